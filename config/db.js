@@ -2,6 +2,10 @@
 
 const mongoose = require('mongoose');
 
+// Run every operation inside connection.transaction() callbacks in that transaction,
+// without passing the session around (used by atomic bulk issue operations)
+mongoose.set('transactionAsyncLocalStorage', true);
+
 // Function to connect to the MongoDB database
 const connectDB = async () => {
   try {
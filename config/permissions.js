@@ -0,0 +1,57 @@
+// backend/config/permissions.js
+
+// Every project-scoped permission that can be granted to a project role
+const PERMISSIONS = [
+  'project:update',             // Edit project name, description, status and priority
+  'project:delete',             // Delete the project and its issues
+  'project:manage-members',     // Add, remove and change roles of project members
+  'project:manage-workflow',    // Edit the project's status workflow
+  'project:manage-permissions', // Edit this permission matrix for the project
+  'label:manage',               // Create, edit, merge and delete project labels
+  'sprint:manage',              // Plan, start and complete sprints, and move issues between them
+  'issue:create',               // Create issues (or move issues into the project)
+  'issue:update',               // Edit issue fields
+  'issue:delete',               // Delete any issue (creators can always delete their own)
+  'issue:assign',               // Change who an issue is assigned to
+  'comment:create',             // Comment on issues
+  'comment:moderate',           // Delete other users' comments
+  'time:log',                   // Log work on issues and edit or delete one's own work logs
+  'time:manage',                // Edit and delete other users' work logs and view their timesheets
+];
+
+// Permissions granted to each project role unless the project overrides them
+const DEFAULT_ROLE_PERMISSIONS = {
+  developer: ['issue:create', 'issue:update', 'issue:assign', 'comment:create', 'time:log'],
+  qa: ['issue:create', 'issue:update', 'issue:assign', 'comment:create', 'time:log'],
+  manager: [...PERMISSIONS],
+};
+
+// Permissions a role can never lose, so managers cannot lock themselves out of the matrix
+const LOCKED_ROLE_PERMISSIONS = {
+  manager: ['project:manage-permissions'],
+};
+
+/**
+ * @function getRolePermissions
+ * @description Get the effective permissions of a project role, applying the project's overrides.
+ * @param {Object} project - Project document
+ * @param {string} role - Project role (e.g., 'developer')
+ * @returns {Array<string>} Permissions granted to the role
+ */
+const getRolePermissions = (project, role) => {
+  const override = project.permissions && project.permissions.get(role);
+  const permissions = override ? [...override] : [...(DEFAULT_ROLE_PERMISSIONS[role] || [])];
+
+  (LOCKED_ROLE_PERMISSIONS[role] || []).forEach(permission => {
+    if (!permissions.includes(permission)) permissions.push(permission);
+  });
+
+  return permissions;
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ROLE_PERMISSIONS,
+  getRolePermissions,
+};
@@ -0,0 +1,62 @@
+// backend/config/rateLimits.js
+
+// Requests allowed per client IP address in each window, by route group (see server.js).
+// Each can be changed with RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW_MINUTES,
+// e.g. RATE_LIMIT_AUTH_MAX=50; a max of 0 turns the limit off.
+const RATE_LIMITS = {
+  auth: { max: 100, windowMinutes: 15 },   // Login, registration, refresh and password reset
+  search: { max: 300, windowMinutes: 15 }, // Full-text search
+  api: { max: 1000, windowMinutes: 15 },   // Everything else
+};
+
+// Failed logins allowed before a lockout, per account (email) and per IP address, counted over
+// the failure window. Each further failure doubles the lockout, up to the maximum.
+const LOGIN_LOCKOUT_DEFAULTS = {
+  maxAccountFailures: 5,    // LOGIN_MAX_ACCOUNT_FAILURES
+  maxIpFailures: 20,        // LOGIN_MAX_IP_FAILURES
+  failureWindowMinutes: 60, // LOGIN_FAILURE_WINDOW_MINUTES
+  lockoutMinutes: 1,        // LOGIN_LOCKOUT_MINUTES
+  maxLockoutMinutes: 60,    // LOGIN_MAX_LOCKOUT_MINUTES
+};
+
+/**
+ * @function getLoginLockout
+ * @description Get the login lockout settings, applying environment overrides.
+ * @returns {Object} Settings shaped like LOGIN_LOCKOUT_DEFAULTS
+ */
+const getLoginLockout = () => ({
+  maxAccountFailures: parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || LOGIN_LOCKOUT_DEFAULTS.maxAccountFailures,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES) || LOGIN_LOCKOUT_DEFAULTS.maxIpFailures,
+  failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || LOGIN_LOCKOUT_DEFAULTS.failureWindowMinutes,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || LOGIN_LOCKOUT_DEFAULTS.lockoutMinutes,
+  maxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || LOGIN_LOCKOUT_DEFAULTS.maxLockoutMinutes,
+});
+
+/**
+ * @function getRateLimit
+ * @description Get the limit of a route group, applying environment overrides.
+ * @param {string} group - Key of RATE_LIMITS (e.g., 'auth')
+ * @returns {Object} `{ max, windowMs }`
+ */
+const getRateLimit = (group) => {
+  const defaults = RATE_LIMITS[group];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit group '${group}'. Use one of: ${Object.keys(RATE_LIMITS).join(', ')}`);
+  }
+
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  const max = parseInt(process.env[`${prefix}_MAX`]);
+  const windowMinutes = parseFloat(process.env[`${prefix}_WINDOW_MINUTES`]);
+
+  return {
+    max: Number.isNaN(max) ? defaults.max : max,
+    windowMs: (windowMinutes > 0 ? windowMinutes : defaults.windowMinutes) * 60 * 1000,
+  };
+};
+
+module.exports = {
+  RATE_LIMITS,
+  LOGIN_LOCKOUT_DEFAULTS,
+  getRateLimit,
+  getLoginLockout,
+};
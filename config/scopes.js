@@ -0,0 +1,16 @@
+// backend/config/scopes.js
+
+// Scopes a personal access token can be granted. A token can only use routes that declare one of
+// its scopes with `requireScope` (middleware/auth.js); everything else needs a signed-in session.
+// Scopes limit what a token can reach: the token's user still needs the usual project permissions.
+const TOKEN_SCOPES = [
+  'issues:read',    // Read issues, comments, attachments, links, history and work logs; search and export
+  'issues:write',   // Create, edit, move, import and delete issues, comments, attachments, links and work logs
+  'projects:read',  // Read projects, boards, workflows, labels, sprints, stats and timesheets
+  'projects:write', // Create, edit and delete projects, labels and sprints
+  'users:read',     // Read users and their timesheets
+];
+
+module.exports = {
+  TOKEN_SCOPES,
+};
@@ -0,0 +1,47 @@
+// backend/config/verification.js
+
+// Actions that can be withheld from users who have not verified their email address
+const VERIFICATION_ACTIONS = [
+  'project:create', // Create projects
+  'project:join',   // Be added as a member of a project
+  'issue:create',   // Create issues
+  'comment:create', // Comment on issues
+];
+
+// Actions withheld unless UNVERIFIED_RESTRICTIONS says otherwise
+const DEFAULT_UNVERIFIED_RESTRICTIONS = ['project:create', 'project:join'];
+
+/**
+ * @function getUnverifiedRestrictions
+ * @description Get the actions unverified users may not take. UNVERIFIED_RESTRICTIONS is a
+ * comma-separated list of VERIFICATION_ACTIONS, or 'none' to allow everything.
+ * @returns {Array<string>}
+ */
+const getUnverifiedRestrictions = () => {
+  const setting = process.env.UNVERIFIED_RESTRICTIONS;
+  if (setting === undefined || setting.trim() === '') return DEFAULT_UNVERIFIED_RESTRICTIONS;
+  if (setting.trim() === 'none') return [];
+
+  const actions = setting.split(',').map(action => action.trim()).filter(Boolean);
+  const unknown = actions.find(action => !VERIFICATION_ACTIONS.includes(action));
+  if (unknown) {
+    throw new Error(`Unknown UNVERIFIED_RESTRICTIONS action '${unknown}'. Use 'none' or any of: ${VERIFICATION_ACTIONS.join(', ')}`);
+  }
+  return actions;
+};
+
+/**
+ * @function isRestrictedForUnverified
+ * @description Whether a user may not take an action because their email address is not verified.
+ * @param {Object} user - User document
+ * @param {string} action - One of VERIFICATION_ACTIONS
+ * @returns {boolean}
+ */
+const isRestrictedForUnverified = (user, action) => user.isVerified === false && getUnverifiedRestrictions().includes(action);
+
+module.exports = {
+  VERIFICATION_ACTIONS,
+  DEFAULT_UNVERIFIED_RESTRICTIONS,
+  getUnverifiedRestrictions,
+  isRestrictedForUnverified,
+};
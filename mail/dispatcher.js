@@ -0,0 +1,107 @@
+// backend/mail/dispatcher.js
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./index');
+const { renderNotification, renderDigest } = require('./templates');
+
+// How long each digest frequency waits between emails
+const DIGEST_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000,
+};
+
+// Mark notifications as emailed so neither a digest nor a retry sends them again
+const markEmailed = (ids) => Notification.updateMany({ _id: { $in: ids } }, { $set: { emailedAt: Date.now() } });
+
+/**
+ * @function dispatchNotifications
+ * @description Email freshly created notifications to recipients who want immediate emails.
+ * Recipients on a digest schedule are picked up later by `sendDigests`.
+ * @param {Array<Object>} notifications - Newly created notification documents
+ * @returns {Promise<void>}
+ */
+const dispatchNotifications = async (notifications) => {
+  if (!notifications.length) return;
+
+  const recipientIds = [...new Set(notifications.map(n => n.recipient.toString()))];
+  const recipients = await User.find({ _id: { $in: recipientIds } }).select('username email emailNotifications');
+
+  const immediate = new Map(recipients
+    .filter(user => user.emailNotifications.enabled && user.emailNotifications.digest === 'immediate')
+    .map(user => [user._id.toString(), user]));
+
+  const toEmail = notifications.filter(n => immediate.has(n.recipient.toString()));
+  if (!toEmail.length) return;
+
+  await Notification.populate(toEmail, { path: 'issue', select: 'title status' });
+
+  toEmail.forEach(notification => {
+    const recipient = immediate.get(notification.recipient.toString());
+    sendMail(
+      { to: recipient.email, ...renderNotification(notification, recipient) },
+      { onSent: () => markEmailed([notification._id]) }
+    );
+  });
+};
+
+/**
+ * @function sendDigests
+ * @description Send a digest email to every user on an hourly or daily schedule whose interval
+ * has elapsed, covering their unread notifications that have not been emailed yet.
+ * @returns {Promise<void>}
+ */
+const sendDigests = async () => {
+  const now = Date.now();
+  const users = await User.find({
+    'emailNotifications.enabled': true,
+    'emailNotifications.digest': { $in: Object.keys(DIGEST_INTERVALS) },
+  }).select('username email emailNotifications');
+
+  for (const user of users) {
+    const interval = DIGEST_INTERVALS[user.emailNotifications.digest];
+    const lastDigestAt = user.emailNotifications.lastDigestAt;
+    if (lastDigestAt && now - lastDigestAt.getTime() < interval) continue;
+
+    // Only include notifications from the current digest window that are still unread
+    const since = lastDigestAt || new Date(now - interval);
+    const notifications = await Notification.find({
+      recipient: user._id,
+      read: false,
+      emailedAt: null,
+      createdAt: { $gte: since },
+    })
+      .sort({ createdAt: 1 })
+      .populate('issue', 'title status');
+
+    if (!notifications.length) continue;
+
+    sendMail(
+      { to: user.email, ...renderDigest(notifications, user) },
+      {
+        onSent: async () => {
+          await markEmailed(notifications.map(n => n._id));
+          await User.updateOne({ _id: user._id }, { $set: { 'emailNotifications.lastDigestAt': new Date(now) } });
+        },
+      }
+    );
+  }
+};
+
+/**
+ * @function startDigestScheduler
+ * @description Periodically send digest emails. The check interval is MAIL_DIGEST_CHECK_MINUTES (default 15).
+ * @returns {Object} The interval timer
+ */
+const startDigestScheduler = () => {
+  const minutes = parseInt(process.env.MAIL_DIGEST_CHECK_MINUTES) || 15;
+  return setInterval(() => {
+    sendDigests().catch(err => console.error('Error sending digest emails:', err));
+  }, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  dispatchNotifications,
+  sendDigests,
+  startDigestScheduler,
+};
@@ -0,0 +1,80 @@
+// backend/mail/index.js
+
+const MailQueue = require('./queue');
+const createConsoleTransport = require('./transports/consoleTransport');
+const createFileTransport = require('./transports/fileTransport');
+const createSmtpTransport = require('./transports/smtpTransport');
+
+// Available transports, selected with the MAIL_TRANSPORT environment variable
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+const DEFAULT_FROM = 'Bug Tracker <no-reply@bugtracker.local>';
+
+let queue = null;
+
+// Create a queue around a transport using the MAIL_* retry settings
+const createQueue = (transport) => new MailQueue({
+  transport,
+  maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+  retryDelay: parseInt(process.env.MAIL_RETRY_DELAY_MS) || 1000,
+});
+
+/**
+ * @function getMailQueue
+ * @description Get the shared mail queue, creating it with the configured transport on first use.
+ * MAIL_TRANSPORT may be 'console' (default), 'file' or 'smtp'.
+ * @returns {MailQueue}
+ */
+const getMailQueue = () => {
+  if (!queue) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    const createTransport = TRANSPORTS[name];
+    if (!createTransport) {
+      throw new Error(`Unknown MAIL_TRANSPORT '${name}'. Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    queue = createQueue(createTransport());
+  }
+  return queue;
+};
+
+/**
+ * @function assertMailConfigured
+ * @description Refuse to start in production without an explicitly chosen MAIL_TRANSPORT, so password
+ * reset and verification emails are never silently sent to the console instead of to users.
+ * @throws {Error} If NODE_ENV is 'production' and MAIL_TRANSPORT is not set
+ */
+const assertMailConfigured = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+    throw new Error(`MAIL_TRANSPORT must be set in production. Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+};
+
+/**
+ * @function setMailTransport
+ * @description Replace the transport used for outgoing mail (e.g. a custom provider or a test double).
+ * @param {Object} transport - Object with a `send(message)` method returning a promise
+ */
+const setMailTransport = (transport) => {
+  queue = createQueue(transport);
+};
+
+/**
+ * @function sendMail
+ * @description Queue an email for background delivery. Returns immediately.
+ * @param {Object} message - `{ to, subject, text, html }` (`from` defaults to MAIL_FROM)
+ * @param {Object} [callbacks] - `{ onSent, onFailed }`, see MailQueue#enqueue
+ */
+const sendMail = (message, callbacks) => {
+  getMailQueue().enqueue({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message }, callbacks);
+};
+
+module.exports = {
+  assertMailConfigured,
+  getMailQueue,
+  setMailTransport,
+  sendMail,
+};
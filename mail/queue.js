@@ -0,0 +1,82 @@
+// backend/mail/queue.js
+
+/**
+ * @class MailQueue
+ * @description In-process queue that delivers emails in the background and retries failures
+ * with exponential backoff, so request handlers never wait on the mail server.
+ */
+class MailQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.transport - Transport with a `send(message)` method
+   * @param {number} [options.maxAttempts=5] - Attempts per email before giving up
+   * @param {number} [options.retryDelay=1000] - Delay before the first retry in ms (doubles every attempt)
+   */
+  constructor({ transport, maxAttempts = 5, retryDelay = 1000 }) {
+    this.transport = transport;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.jobs = [];
+    this.processing = false;
+  }
+
+  /**
+   * @method enqueue
+   * @description Add an email to the queue. Returns immediately.
+   * @param {Object} message - `{ from, to, subject, text, html }`
+   * @param {Object} [callbacks]
+   * @param {Function} [callbacks.onSent] - Called with the transport result once delivered
+   * @param {Function} [callbacks.onFailed] - Called with the last error after the final attempt fails
+   */
+  enqueue(message, { onSent, onFailed } = {}) {
+    this.jobs.push({ message, onSent, onFailed, attempts: 0 });
+    setImmediate(() => this.process());
+  }
+
+  // Deliver queued emails one at a time until the queue is empty
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    while (this.jobs.length) {
+      const job = this.jobs.shift();
+      job.attempts += 1;
+
+      let result;
+      try {
+        result = await this.transport.send(job.message);
+      } catch (err) {
+        this.handleFailure(job, err);
+        continue;
+      }
+
+      // A failing callback must not cause the email to be sent again
+      if (job.onSent) {
+        await Promise.resolve(job.onSent(result)).catch(err => console.error('Error in email onSent callback:', err));
+      }
+    }
+
+    this.processing = false;
+  }
+
+  // Schedule a retry with exponential backoff, or give up after the last attempt
+  handleFailure(job, err) {
+    if (job.attempts < this.maxAttempts) {
+      const delay = this.retryDelay * 2 ** (job.attempts - 1);
+      console.error(`Email to ${job.message.to} failed (attempt ${job.attempts}), retrying in ${delay}ms: ${err.message}`);
+      // Retry later without blocking the rest of the queue; unref so retries don't keep the process alive
+      setTimeout(() => {
+        this.jobs.push(job);
+        this.process();
+      }, delay).unref();
+      return;
+    }
+
+    console.error(`Giving up on email to ${job.message.to} after ${job.attempts} attempts: ${err.message}`);
+    if (job.onFailed) {
+      Promise.resolve(job.onFailed(err)).catch(callbackErr => console.error('Error in email onFailed callback:', callbackErr));
+    }
+  }
+}
+
+module.exports = MailQueue;
@@ -0,0 +1,158 @@
+// backend/mail/templates.js
+
+// Escape text for safe inclusion in HTML email bodies
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Link to an issue in the frontend (CLIENT_ORIGIN is the deployed frontend URL)
+const issueUrl = (issue) => `${process.env.CLIENT_ORIGIN || ''}/issues/${issue._id || issue}`;
+
+// Email subject for each notification type
+const SUBJECTS = {
+  mention: issue => `You were mentioned in "${issue.title}"`,
+  assignment: issue => `"${issue.title}" was assigned to you`,
+  status_change: issue => `"${issue.title}" is now ${issue.status}`,
+  due_date: issue => `"${issue.title}" is due soon`,
+};
+
+const NOTIFICATION_FOOTER = 'You are receiving this email because of your Bug Tracker notification settings.';
+
+// Wrap body content in the shared HTML layout
+const layout = (title, content, footer = NOTIFICATION_FOOTER) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 600px;">
+    <h2 style="font-size: 18px;">${escapeHtml(title)}</h2>
+    ${content}
+    <p style="color: #888; font-size: 12px;">${escapeHtml(footer)}</p>
+  </body>
+</html>`;
+
+/**
+ * @function renderNotification
+ * @description Render the email for a single notification.
+ * @param {Object} notification - Notification with `issue` populated (title, status)
+ * @param {Object} recipient - User receiving the email
+ * @returns {Object} `{ subject, text, html }`
+ */
+const renderNotification = (notification, recipient) => {
+  const issue = notification.issue || { title: 'an issue' };
+  const subject = (SUBJECTS[notification.type] || (() => notification.message))(issue);
+  const url = notification.issue ? issueUrl(issue) : null;
+
+  const text = [
+    `Hi ${recipient.username},`,
+    '',
+    notification.message,
+    url ? `\nView the issue: ${url}` : '',
+  ].join('\n');
+
+  const html = layout(subject, `
+    <p>Hi ${escapeHtml(recipient.username)},</p>
+    <p>${escapeHtml(notification.message)}</p>
+    ${url ? `<p><a href="${escapeHtml(url)}">View the issue</a></p>` : ''}`);
+
+  return { subject, text, html };
+};
+
+/**
+ * @function renderDigest
+ * @description Render a digest email summarizing several notifications.
+ * @param {Array<Object>} notifications - Notifications with `issue` populated, oldest first
+ * @param {Object} recipient - User receiving the email
+ * @returns {Object} `{ subject, text, html }`
+ */
+const renderDigest = (notifications, recipient) => {
+  const subject = `You have ${notifications.length} new notification${notifications.length === 1 ? '' : 's'}`;
+
+  const lines = notifications.map(n => `- ${n.message}${n.issue ? ` (${issueUrl(n.issue)})` : ''}`);
+  const text = [`Hi ${recipient.username},`, '', 'Here is what happened since your last update:', '', ...lines].join('\n');
+
+  const items = notifications.map(n => `<li>${escapeHtml(n.message)}${n.issue
+    ? ` &ndash; <a href="${escapeHtml(issueUrl(n.issue))}">${escapeHtml(n.issue.title)}</a>`
+    : ''}</li>`).join('\n      ');
+
+  const html = layout(subject, `
+    <p>Hi ${escapeHtml(recipient.username)},</p>
+    <p>Here is what happened since your last update:</p>
+    <ul>
+      ${items}
+    </ul>`);
+
+  return { subject, text, html };
+};
+
+/**
+ * @function renderPasswordReset
+ * @description Render the email with a link to reset a forgotten password.
+ * @param {Object} recipient - User who asked for the reset
+ * @param {string} resetToken - Reset token (not its hash)
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {Object} `{ subject, text, html }`
+ */
+const renderPasswordReset = (recipient, resetToken, expiresAt) => {
+  const subject = 'Reset your Bug Tracker password';
+  const url = `${process.env.CLIENT_ORIGIN || ''}/reset-password/${resetToken}`;
+  const minutes = Math.round((expiresAt.getTime() - Date.now()) / 60000);
+
+  const text = [
+    `Hi ${recipient.username},`,
+    '',
+    'Someone asked to reset the password of your Bug Tracker account. To choose a new password, open:',
+    url,
+    '',
+    `The link can be used once and expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.`,
+  ].join('\n');
+
+  const html = layout(subject, `
+    <p>Hi ${escapeHtml(recipient.username)},</p>
+    <p>Someone asked to reset the password of your Bug Tracker account.</p>
+    <p><a href="${escapeHtml(url)}">Choose a new password</a></p>
+    <p>The link can be used once and expires in ${minutes} minutes.</p>`,
+  'If you did not ask for a password reset, you can ignore this email.');
+
+  return { subject, text, html };
+};
+
+/**
+ * @function renderEmailVerification
+ * @description Render the email asking a new user to confirm their email address.
+ * @param {Object} recipient - User who registered
+ * @param {string} verificationToken - Verification token (not its hash)
+ * @param {Date} expiresAt - When the link stops working
+ * @returns {Object} `{ subject, text, html }`
+ */
+const renderEmailVerification = (recipient, verificationToken, expiresAt) => {
+  const subject = 'Confirm your Bug Tracker email address';
+  const url = `${process.env.CLIENT_ORIGIN || ''}/verify-email/${verificationToken}`;
+  const hours = Math.round((expiresAt.getTime() - Date.now()) / 3600000);
+
+  const text = [
+    `Hi ${recipient.username},`,
+    '',
+    'Welcome to Bug Tracker! Please confirm your email address by opening:',
+    url,
+    '',
+    `The link expires in ${hours} hours.`,
+  ].join('\n');
+
+  const html = layout(subject, `
+    <p>Hi ${escapeHtml(recipient.username)},</p>
+    <p>Welcome to Bug Tracker! Please confirm your email address.</p>
+    <p><a href="${escapeHtml(url)}">Confirm email address</a></p>
+    <p>The link expires in ${hours} hours.</p>`,
+  'If you did not create a Bug Tracker account, you can ignore this email.');
+
+  return { subject, text, html };
+};
+
+module.exports = {
+  escapeHtml,
+  renderNotification,
+  renderDigest,
+  renderPasswordReset,
+  renderEmailVerification,
+};
@@ -0,0 +1,27 @@
+// backend/mail/transports/consoleTransport.js
+
+/**
+ * @function createConsoleTransport
+ * @description Transport that prints emails to the console instead of sending them.
+ * Useful for local development where no mail server is available.
+ * Bodies can contain secrets (password reset and email verification links), so only the headers are
+ * printed unless MAIL_CONSOLE_SHOW_BODY is 'true'.
+ * @returns {Object} Transport with a `send(message)` method
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log([
+      '--- Outgoing email ---',
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      '',
+      process.env.MAIL_CONSOLE_SHOW_BODY === 'true' ? message.text : '[body hidden; set MAIL_CONSOLE_SHOW_BODY=true to print it]',
+      '----------------------',
+    ].join('\n'));
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,27 @@
+// backend/mail/transports/fileTransport.js
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * @function createFileTransport
+ * @description Transport that writes each email to a JSON file in a directory.
+ * Lets a local stand-in (or a test) inspect exactly what would have been sent.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Output directory (defaults to MAIL_FILE_DIR or logs/mail)
+ * @returns {Object} Transport with a `send(message)` method
+ */
+const createFileTransport = ({ dir = process.env.MAIL_FILE_DIR || path.join('logs', 'mail') } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const file = path.join(dir, `${messageId}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+
+    return { messageId, file };
+  },
+});
+
+module.exports = createFileTransport;
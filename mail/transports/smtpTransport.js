@@ -0,0 +1,44 @@
+// backend/mail/transports/smtpTransport.js
+
+const nodemailer = require('nodemailer');
+
+/**
+ * @function createSmtpTransport
+ * @description Transport that delivers emails through an SMTP server.
+ * Connection settings come from the SMTP_* environment variables unless passed in.
+ * @param {Object} [options]
+ * @param {string} [options.host] - SMTP host (SMTP_HOST)
+ * @param {number} [options.port] - SMTP port (SMTP_PORT, default 587)
+ * @param {boolean} [options.secure] - Use TLS from the start (SMTP_SECURE=true, default for port 465)
+ * @param {string} [options.user] - Username (SMTP_USER)
+ * @param {string} [options.pass] - Password (SMTP_PASS)
+ * @returns {Object} Transport with a `send(message)` method
+ */
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS,
+} = {}) => {
+  if (!host) {
+    throw new Error('SMTP_HOST must be set to use the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
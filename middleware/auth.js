@@ -3,12 +3,23 @@
     const jwt = require('jsonwebtoken');
     const asyncHandler = require('./asyncHandler'); // Import the asyncHandler middleware
     const User = require('../models/User'); // Import the User model
+    const Session = require('../models/Session'); // Import the Session model
+    const { touchSession } = require('../utils/sessions');
+    const { isRestrictedForUnverified } = require('../config/verification');
+    const { isPersonalAccessToken, findActiveAccessToken, touchAccessToken } = require('../utils/accessTokens');
+
+    // Whether the matched route declares a scope with `requireScope`, i.e. accepts personal access tokens
+    const routeAcceptsAccessTokens = (req) => Boolean(req.route) && req.route.stack.some(layer => layer.handle.requiredScope);
 
     /**
      * @function protect
      * @description Middleware to protect routes, ensuring only authenticated users can access them.
      * It checks for a JWT token in the Authorization header (Bearer) or in cookies.
-     * If a valid token is found, it decodes it and attaches the corresponding user object to `req.user`.
+     * If a valid token is found, it decodes it and attaches the corresponding user object to `req.user`
+     * and the server-side session the token belongs to to `req.authSession`. Tokens of revoked or expired
+     * sessions are rejected even while the token itself has not expired.
+     * Personal access tokens (see utils/accessTokens.js) are accepted as Bearer tokens, but only on routes
+     * that declare the scope they need with `requireScope`; the token is attached to `req.accessToken`.
      * @param {Object} req - Express request object
      * @param {Object} res - Express response object
      * @param {Function} next - Express next middleware function
@@ -32,11 +43,43 @@
         return res.status(401).json({ success: false, msg: 'Not authorized to access this route (no valid token provided or token is empty)' });
       }
 
+      // Personal access tokens are looked up by their hash instead of being verified as JWTs.
+      if (isPersonalAccessToken(token)) {
+        const accessToken = await findActiveAccessToken(token);
+        if (!accessToken) {
+          return res.status(401).json({ success: false, msg: 'Not authorized: Invalid, revoked or expired access token' });
+        }
+        if (!routeAcceptsAccessTokens(req)) {
+          return res.status(403).json({ success: false, msg: 'Personal access tokens cannot be used for this route; please log in' });
+        }
+
+        req.user = await User.findById(accessToken.user).select('-password');
+        if (!req.user) {
+          return res.status(401).json({ success: false, msg: 'Not authorized to access this route (user associated with token not found)' });
+        }
+        req.accessToken = accessToken;
+
+        await touchAccessToken(accessToken, req);
+        return next();
+      }
+
       try {
         // Verify the token using the JWT_SECRET from environment variables.
         // jwt.verify will throw an error if the token is invalid or expired.
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Access tokens belong to a session (see utils/sessions.js); tokens issued before sessions
+        // existed carry no session ID and cannot be revoked, so they are no longer accepted.
+        if (!decoded.sid) {
+            return res.status(401).json({ success: false, msg: 'Not authorized: Token has no session, please log in again' });
+        }
+        const session = await Session.findById(decoded.sid);
+        if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+            res.cookie('token', 'none', { expires: new Date(Date.now() + 10 * 1000), httpOnly: true });
+            return res.status(401).json({ success: false, msg: 'Not authorized: Session has been revoked or has expired' });
+        }
+        req.authSession = session;
+
         // Find the user associated with the decoded token ID.
         // .select('-password') ensures the password hash is not returned with the user object.
         req.user = await User.findById(decoded.id).select('-password');
@@ -50,6 +93,9 @@
             return res.status(401).json({ success: false, msg: 'Not authorized to access this route (user associated with token not found)' });
         }
 
+        // Keep the session's last seen time roughly up to date for GET /api/auth/sessions.
+        await touchSession(session, req);
+
         // If authentication is successful, proceed to the next middleware/route handler.
         next();
       } catch (err) {
@@ -88,4 +134,64 @@
         next();
       };
     };
-    
\ No newline at end of file
+
+    /**
+     * @function authorizeProject
+     * @description Middleware to restrict access to users holding project-scoped permissions.
+     * This is the project-level companion to `authorize` and should be used after `protect`
+     * and `loadProject`/`loadIssue` (from middleware/projectAccess.js), which populate `req.project`.
+     * @param {...string} permissions - Permissions the user must hold in the project (e.g., 'issue:delete').
+     * @returns {Function} Express middleware function
+     */
+    exports.authorizeProject = (...permissions) => {
+      return (req, res, next) => {
+        if (!req.project) {
+          return next(new Error('authorizeProject requires req.project to be loaded first'));
+        }
+
+        const missing = permissions.find(permission => !req.project.hasPermission(req.user, permission));
+        if (missing) {
+          // If the user lacks any of the required permissions, deny access.
+          return res.status(403).json({ success: false, msg: `Project role ${req.projectRole || 'none'} does not have the '${missing}' permission` });
+        }
+        // If authorized, proceed to the next middleware/route handler.
+        next();
+      };
+    };
+
+    /**
+     * @function requireVerified
+     * @description Middleware to keep users who have not verified their email address from an action,
+     * if the verification policy restricts it (see config/verification.js). Use after `protect`.
+     * @param {string} action - One of VERIFICATION_ACTIONS (e.g., 'project:create').
+     * @returns {Function} Express middleware function
+     */
+    exports.requireVerified = (action) => {
+      return (req, res, next) => {
+        if (isRestrictedForUnverified(req.user, action)) {
+          // Unverified users can verify with the emailed link or ask for a new one at POST /api/auth/verify/resend.
+          return res.status(403).json({ success: false, msg: 'Please verify your email address before doing this' });
+        }
+        next();
+      };
+    };
+
+    /**
+     * @function requireScope
+     * @description Middleware to let personal access tokens with a scope use a route (e.g., 'issues:read').
+     * Routes without it only accept signed-in sessions. Requests authenticated with a session are not
+     * limited by scopes. This should be used right after the `protect` middleware.
+     * @param {string} scope - Scope from config/scopes.js
+     * @returns {Function} Express middleware function
+     */
+    exports.requireScope = (scope) => {
+      const middleware = (req, res, next) => {
+        if (req.accessToken && !req.accessToken.scopes.includes(scope)) {
+          // The token works, but was not granted the scope this route needs.
+          return res.status(403).json({ success: false, msg: `Access token does not have the '${scope}' scope` });
+        }
+        next();
+      };
+      middleware.requiredScope = scope; // Lets `protect` tell which routes accept personal access tokens
+      return middleware;
+    };
@@ -46,10 +46,21 @@ const errorHandler = (err, req, res, next) => {
     message = 'Not authorized: Token has expired';
   }
 
+  if (err.name === 'ErrorResponse') { // Custom error with its own status code (utils/errorResponse.js)
+    statusCode = err.statusCode;
+    message = err.message;
+  }
+
+  if (err.name === 'MulterError') { // File upload errors (e.g., file too large, too many files)
+    statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    message = err.message;
+  }
+
   // Send the error response
   res.status(statusCode).json({
     success: false,
     error: message,
+    ...(err.name === 'ErrorResponse' ? err.details : {}),
   });
 };
 
@@ -0,0 +1,110 @@
+// backend/middleware/projectAccess.js
+
+const mongoose = require('mongoose');
+const asyncHandler = require('./asyncHandler'); // Import the asyncHandler middleware
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const { findIssueByRef } = require('../utils/issueKeys');
+
+/**
+ * @function canAccessProject
+ * @description Check whether a user may access a project.
+ * Global admins can access every project; everyone else must be its creator or a member.
+ * @param {Object} project - Project document
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+const canAccessProject = (project, user) => {
+  if (!project || !user) return false;
+  return user.role === 'admin' || project.getMemberRole(user.id) !== null;
+};
+
+/**
+ * @function getAccessibleProjectIds
+ * @description Get the IDs of all projects a user can access.
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Array|null>} Project IDs, or null for admins (no restriction)
+ */
+const getAccessibleProjectIds = async (user) => {
+  if (user.role === 'admin') return null;
+
+  return Project.find({
+    $or: [
+      { createdBy: user.id },
+      { 'members.user': user.id },
+    ],
+  }).distinct('_id');
+};
+
+/**
+ * @function loadProject
+ * @description Middleware that loads the project from a route parameter and checks membership.
+ * Attaches `req.project` and `req.projectRole` (null for admins who are not members).
+ * This should be used after the `protect` middleware.
+ * @param {string} [param='id'] - Name of the route parameter holding the project ID
+ * @returns {Function} Express middleware function
+ */
+const loadProject = (param = 'id') => asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params[param])) {
+    return res.status(400).json({ msg: 'Invalid Project ID format' });
+  }
+
+  const project = await Project.findById(req.params[param]);
+  if (!project) {
+    return res.status(404).json({ msg: 'Project not found' });
+  }
+
+  if (!canAccessProject(project, req.user)) {
+    return res.status(403).json({ msg: 'Not authorized to access this project' });
+  }
+
+  req.project = project;
+  req.projectRole = project.getMemberRole(req.user.id);
+  next();
+});
+
+/**
+ * @function loadIssue
+ * @description Middleware that loads the issue from a route parameter and checks that the user
+ * can access the project it belongs to. The parameter may hold the issue's ID or key (e.g. 'WEB-42').
+ * GET requests using a key the issue had before moving projects are redirected to its current key;
+ * other requests are served as if the current key had been used.
+ * Attaches `req.issue`, `req.project` and `req.projectRole` (null for admins who are not members).
+ * This should be used after the `protect` middleware.
+ * @param {string} [param='id'] - Name of the route parameter holding the issue ID or key
+ * @returns {Function} Express middleware function
+ */
+const loadIssue = (param = 'id') => asyncHandler(async (req, res, next) => {
+  const found = await findIssueByRef(req.params[param]);
+  if (!found) {
+    return res.status(400).json({ msg: 'Invalid Issue ID format' });
+  }
+
+  const { issue, alias } = found;
+  if (!issue) {
+    return res.status(404).json({ msg: 'Issue not found' });
+  }
+
+  const project = await Project.findById(issue.project);
+  if (!canAccessProject(project, req.user)) {
+    return res.status(403).json({ msg: 'Not authorized to access issues in this project' });
+  }
+
+  if (alias && req.method === 'GET') {
+    // Keys only contain letters, digits and '-', so the old key can be used in the pattern as is
+    const oldKey = new RegExp(`/${req.params[param]}(?=/|\\?|$)`, 'i');
+    return res.redirect(301, req.originalUrl.replace(oldKey, `/${issue.key}`));
+  }
+
+  req.issue = issue;
+  req.project = project;
+  req.projectRole = project.getMemberRole(req.user.id);
+  next();
+});
+
+module.exports = {
+  canAccessProject,
+  getAccessibleProjectIds,
+  loadProject,
+  loadIssue,
+};
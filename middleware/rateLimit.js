@@ -0,0 +1,51 @@
+// backend/middleware/rateLimit.js
+
+const { getRateLimit } = require('../config/rateLimits');
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+
+// Seconds until a date, rounded up (for the RateLimit-Reset and Retry-After headers)
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * @function rateLimit
+ * @description Middleware to limit how many requests a client may make to a route group in a window
+ * (see config/rateLimits.js). Responses carry the standard RateLimit-Policy, RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers; requests over the limit get a 429 with Retry-After.
+ * Counts are kept in the shared rate limit store (see utils/rateLimitStore.js).
+ * @param {string} group - Key of RATE_LIMITS (e.g., 'auth')
+ * @param {Object} [options]
+ * @param {Function} [options.keyGenerator] - Identifies the client of a request (default: its IP address)
+ * @returns {Function} Express middleware function
+ */
+const rateLimit = (group, { keyGenerator = req => req.ip } = {}) => {
+  const { max, windowMs } = getRateLimit(group);
+
+  return async (req, res, next) => {
+    if (!max) return next(); // The limit is turned off
+
+    let hits;
+    try {
+      hits = await getRateLimitStore().increment(`${group}:${keyGenerator(req)}`, windowMs);
+    } catch (err) {
+      // An unavailable store should not take the API down with it
+      console.error(`Rate limit store error (${group}):`, err);
+      return next();
+    }
+
+    const reset = secondsUntil(hits.resetAt);
+    res.set({
+      'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hits.count)),
+      'RateLimit-Reset': String(reset),
+    });
+
+    if (hits.count > max) {
+      res.set('Retry-After', String(reset));
+      return res.status(429).json({ msg: `Too many requests, please try again in ${reset} seconds` });
+    }
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,119 @@
+// backend/middleware/upload.js
+
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const multer = require('multer');
+const { getStorage } = require('../storage');
+const ErrorResponse = require('../utils/errorResponse');
+
+// File types accepted when ATTACHMENT_ALLOWED_TYPES is not set ('type/*' matches a whole family)
+const DEFAULT_ALLOWED_TYPES = [
+  'image/*',
+  'video/mp4',
+  'application/pdf',
+  'application/json',
+  'application/zip',
+  'application/gzip',
+  'application/x-gzip',
+  'text/plain',
+  'text/csv',
+];
+
+/**
+ * @function getUploadLimits
+ * @description Read the attachment limits from the environment.
+ * @returns {Object} `{ maxFileSize, maxFiles, allowedTypes }`
+ */
+const getUploadLimits = () => ({
+  maxFileSize: Math.round((parseFloat(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * 1024 * 1024),
+  maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES) || 5,
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+});
+
+// Check a MIME type against the allowed list, supporting 'type/*' wildcards
+const isAllowedType = (mimeType, allowedTypes) => allowedTypes.some(type => (type.endsWith('/*')
+  ? mimeType.startsWith(type.slice(0, -1))
+  : mimeType === type));
+
+// Multer storage engine that streams each upload straight into the configured storage backend
+// instead of buffering it in memory. Files are stored under the ID of the issue loaded by loadIssue.
+const storageEngine = {
+  _handleFile(req, file, cb) {
+    const storageKey = `${req.issue._id}/${crypto.randomUUID()}`;
+    let size = 0;
+
+    const counter = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        done(null, chunk);
+      },
+    });
+
+    getStorage().save(storageKey, file.stream.pipe(counter), { contentType: file.mimetype })
+      .then(() => cb(null, { storageKey, size }))
+      .catch(cb);
+  },
+
+  // Called by multer to clean up stored files when the upload fails part-way (e.g. size limit hit)
+  _removeFile(req, file, cb) {
+    getStorage().remove(file.storageKey).then(() => cb(null), cb);
+  },
+};
+
+let upload = null;
+
+/**
+ * @function uploadAttachments
+ * @description Middleware that accepts up to ATTACHMENT_MAX_FILES files in the multipart field `files`,
+ * enforcing the size (ATTACHMENT_MAX_SIZE_MB) and type (ATTACHMENT_ALLOWED_TYPES) limits.
+ * Uploaded files are available as `req.files`, each with `storageKey` and `size`.
+ * This should be used after `loadIssue`.
+ */
+const uploadAttachments = (req, res, next) => {
+  if (!upload) {
+    const { maxFileSize, maxFiles, allowedTypes } = getUploadLimits();
+    upload = multer({
+      storage: storageEngine,
+      limits: { fileSize: maxFileSize, files: maxFiles },
+      fileFilter: (req, file, cb) => {
+        if (!isAllowedType(file.mimetype, allowedTypes)) {
+          return cb(new ErrorResponse(`File type ${file.mimetype} is not allowed`, 415, { allowedTypes }));
+        }
+        cb(null, true);
+      },
+    }).array('files');
+  }
+  upload(req, res, next);
+};
+
+let importUpload = null;
+
+/**
+ * @function uploadImportFile
+ * @description Middleware that accepts one CSV or JSON file in the multipart field `file`, kept in memory
+ * (at most IMPORT_MAX_SIZE_MB, default 5). The file is available as `req.file`; requests that are not
+ * multipart pass through untouched.
+ */
+const uploadImportFile = (req, res, next) => {
+  if (!importUpload) {
+    importUpload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: Math.round((parseFloat(process.env.IMPORT_MAX_SIZE_MB) || 5) * 1024 * 1024), files: 1 },
+      fileFilter: (req, file, cb) => {
+        if (!/\.(csv|json)$/i.test(file.originalname) && !['text/csv', 'application/json'].includes(file.mimetype)) {
+          return cb(new ErrorResponse('Import files must be CSV or JSON', 415));
+        }
+        cb(null, true);
+      },
+    }).single('file');
+  }
+  importUpload(req, res, next);
+};
+
+module.exports = {
+  getUploadLimits,
+  uploadAttachments,
+  uploadImportFile,
+};
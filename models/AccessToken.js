@@ -0,0 +1,75 @@
+// backend/models/AccessToken.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { TOKEN_SCOPES } = require('../config/scopes');
+
+// A personal access token, used by scripts and CI instead of a password (see utils/accessTokens.js)
+const accessTokenSchema = new Schema({
+  // Reference to the User the token acts as
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Name chosen by the user, e.g. 'CI pipeline'
+  name: {
+    type: String,
+    required: [true, 'Please give the token a name'],
+    trim: true,
+    maxlength: [100, 'Token name can not be more than 100 characters'],
+  },
+  // SHA-256 hash of the token (the token itself is only shown once, when it is created)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Start of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true,
+  },
+  // What the token may be used for (see config/scopes.js)
+  scopes: {
+    type: [{ type: String, enum: TOKEN_SCOPES }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Please give the token at least one scope',
+    },
+  },
+  // When the token stops working; null for tokens that do not expire
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  // When and from where the token was last used
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedIp: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * @method isExpired
+ * @description Whether the token's expiry date has passed.
+ * @returns {boolean}
+ */
+accessTokenSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && this.expiresAt <= new Date();
+};
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+module.exports = AccessToken;
@@ -0,0 +1,113 @@
+// backend/models/Attachment.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { getStorage } = require('../storage');
+
+const attachmentSchema = new Schema({
+  // Reference to the Issue this file is attached to (also set for comment attachments)
+  issue: {
+    type: Schema.Types.ObjectId,
+    ref: 'Issue', // Links to the Issue model
+    required: true,
+  },
+  // Reference to the Comment this file is attached to (null for issue attachments)
+  comment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // Original file name as uploaded
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot exceed 255 characters'],
+  },
+  // Size in bytes
+  size: {
+    type: Number,
+    required: true,
+  },
+  mimeType: {
+    type: String,
+    required: true,
+  },
+  // Location of the file contents in the storage backend (see storage/index.js)
+  storageKey: {
+    type: String,
+    required: true,
+  },
+  // Reference to the User who uploaded the file
+  uploadedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // Links to the User model
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+attachmentSchema.index({ issue: 1, comment: 1 });
+
+// Remove stored files. A file that cannot be removed from storage is logged and does not stop the others.
+const removeStoredFiles = async (storageKeys) => {
+  for (const storageKey of storageKeys) {
+    try {
+      await getStorage().remove(storageKey);
+    } catch (err) {
+      console.error(`Error removing stored file ${storageKey}:`, err);
+    }
+  }
+};
+
+// Delete the attachments matching a filter, including their stored files.
+// A file that cannot be removed from storage is logged and does not block the deletion.
+const removeAttachments = async (Attachment, filter) => {
+  const attachments = await Attachment.find(filter).select('storageKey');
+
+  // Inside a transaction the deletion can still be rolled back, so the files are kept; whoever runs
+  // the transaction removes them once it has committed (see routes/issueBulk.js)
+  if (!Attachment.db.base.transactionAsyncLocalStorage?.getStore()?.session) {
+    await removeStoredFiles(attachments.map(attachment => attachment.storageKey));
+  }
+
+  await Attachment.deleteMany(filter);
+};
+
+/**
+ * @static removeForIssue
+ * @description Delete all attachments of an issue, including their stored files.
+ * A file that cannot be removed from storage is logged and does not block the deletion.
+ * Inside a transaction the files are kept; remove them with removeStoredFiles after the commit.
+ * @param {ObjectId} issueId - ID of the issue
+ * @returns {Promise<void>}
+ */
+attachmentSchema.statics.removeForIssue = function(issueId) {
+  return removeAttachments(this, { issue: issueId });
+};
+
+/**
+ * @static removeForComment
+ * @description Delete all attachments of a comment, including their stored files.
+ * @param {ObjectId} commentId - ID of the comment
+ * @returns {Promise<void>}
+ */
+attachmentSchema.statics.removeForComment = function(commentId) {
+  return removeAttachments(this, { comment: commentId });
+};
+
+/**
+ * @static removeStoredFiles
+ * @description Remove stored files of deleted attachments, e.g. after a transaction that deleted them
+ * has committed. A file that cannot be removed from storage is logged and does not block the others.
+ * @param {Array<string>} storageKeys - Storage keys of the files
+ * @returns {Promise<void>}
+ */
+attachmentSchema.statics.removeStoredFiles = removeStoredFiles;
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -6,7 +6,8 @@ const Schema = mongoose.Schema;
 const commentSchema = new Schema({
   content: {
     type: String,
-    required: [true, 'Comment content cannot be empty'],
+    // Content is removed when a comment is deleted, so it is only required for live comments
+    required: [function() { return !this.isDeleted; }, 'Comment content cannot be empty'],
     trim: true,
     minlength: [1, 'Comment cannot be empty'],
     maxlength: [1000, 'Comment cannot exceed 1000 characters'],
@@ -23,6 +24,39 @@ const commentSchema = new Schema({
     ref: 'User', // Links to the User model
     required: true,
   },
+  // Reference to the comment this one replies to (null for top-level comments)
+  parentComment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // Previous versions of the content, oldest first, recorded on every edit
+  revisions: [
+    {
+      content: { type: String, required: true },
+      editedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+      editedAt: { type: Date, default: Date.now }, // When this version was replaced
+    },
+  ],
+  // When the content was last edited (null if never edited)
+  editedAt: {
+    type: Date,
+    default: null,
+  },
+  // Deleted comments are kept as placeholders so replies stay attached to the thread
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  deletedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
   // Automated timestamps for creation and last update
   createdAt: {
     type: Date,
@@ -36,12 +70,48 @@ const commentSchema = new Schema({
   // timestamps: true, // Uncomment if you prefer Mongoose to manage timestamps automatically
 });
 
+// Comments are read per issue in chronological order (comment list and timeline)
+commentSchema.index({ issue: 1, createdAt: 1 });
+
+// Full-text search over comment content (GET /api/search)
+commentSchema.index({ content: 'text' }, { name: 'comment_text' });
+
 // Middleware to update 'updatedAt' field on every save
 commentSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Text shown in place of the content of a deleted comment
+const DELETED_PLACEHOLDER = 'comment deleted';
+
+/**
+ * @method toThreadJSON
+ * @description Convert the comment into the shape returned by the API.
+ * Deleted comments are reduced to a placeholder and revision contents are left out
+ * (they are available from the revisions endpoint).
+ * @returns {Object}
+ */
+commentSchema.methods.toThreadJSON = function() {
+  const comment = this.toObject();
+  const revisionCount = comment.revisions ? comment.revisions.length : 0;
+  delete comment.revisions;
+
+  if (comment.isDeleted) {
+    return {
+      _id: comment._id,
+      issue: comment.issue,
+      parentComment: comment.parentComment,
+      content: DELETED_PLACEHOLDER,
+      isDeleted: true,
+      deletedAt: comment.deletedAt,
+      createdAt: comment.createdAt,
+    };
+  }
+
+  return { ...comment, edited: revisionCount > 0, revisionCount };
+};
+
 const Comment = mongoose.model('Comment', commentSchema);
 
 module.exports = Comment;
@@ -34,6 +34,19 @@ const issueSchema = new Schema({
     default: 'Bug',
     required: true,
   },
+  // Sequential number of the issue within its project, and the resulting key (e.g. 'WEB-42')
+  number: {
+    type: Number,
+  },
+  key: {
+    type: String,
+  },
+  // Keys the issue had in projects it was moved out of, which still resolve to it
+  keyAliases: [
+    {
+      type: String,
+    },
+  ],
   // Reference to the Project this issue belongs to
   project: {
     type: Schema.Types.ObjectId,
@@ -52,11 +65,56 @@ const issueSchema = new Schema({
     ref: 'User', // Links to the User model
     default: null, // Can be unassigned
   },
+  // Labels from the project's label set (IDs of Project.labels entries)
+  labels: [
+    {
+      type: Schema.Types.ObjectId,
+    },
+  ],
+  // Sprint the issue is planned in (null means the issue is in the project backlog)
+  sprint: {
+    type: Schema.Types.ObjectId,
+    ref: 'Sprint', // Links to the Sprint model
+    default: null,
+  },
+  // Position of the issue's card within its project + status board column.
+  // Compared as a string; see utils/rank.js for how ranks are generated.
+  rank: {
+    type: String,
+    default: null,
+  },
   // Due date for the issue (optional)
   dueDate: {
     type: Date,
     default: null,
   },
+  // When the assignee was reminded about the due date (reset whenever the due date changes)
+  dueReminderSentAt: {
+    type: Date,
+    default: null,
+  },
+  // Time tracking, in minutes: the estimate before work started, the work believed to be left
+  // (reduced as work is logged) and the total of the issue's work logs (see models/WorkLog.js)
+  originalEstimate: {
+    type: Number,
+    min: [0, 'Estimates cannot be negative'],
+    default: null,
+  },
+  remainingEstimate: {
+    type: Number,
+    min: [0, 'Estimates cannot be negative'],
+    default: null,
+  },
+  timeSpent: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // When the issue was resolved (entered a resolved status); cleared when it is reopened
+  resolvedAt: {
+    type: Date,
+    default: null,
+  },
   // Automated timestamps for creation and last update
   createdAt: {
     type: Date,
@@ -73,20 +131,51 @@ const issueSchema = new Schema({
   // timestamps: true,
 });
 
-// Middleware to update 'updatedAt' field on every save
+// Issues can be looked up by their current key or a previous one
+issueSchema.index({ key: 1 }, { unique: true, sparse: true });
+issueSchema.index({ keyAliases: 1 });
+
+// Full-text search (GET /api/search); title matches count more than description matches
+issueSchema.index({ title: 'text', description: 'text' }, { weights: { title: 3, description: 1 }, name: 'issue_text' });
+
+// Label filters on GET /api/issues query issues by project and label
+issueSchema.index({ project: 1, labels: 1 });
+// Sprint boards and the sprint filter query issues by sprint
+issueSchema.index({ sprint: 1 });
+// Board columns list issues of a project and status in rank order
+issueSchema.index({ project: 1, status: 1, rank: 1 });
+
+// Project statistics count resolved issues by resolution date
+issueSchema.index({ project: 1, resolvedAt: 1 });
+
+// Middleware to update 'updatedAt' field on every save, and 'resolvedAt' when the status changes
 issueSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  if (this.isNew || this.isModified('status')) {
+    // Required here rather than at the top: utils/workflow requires this model
+    const { RESOLVED_STATUSES } = require('../utils/workflow');
+    if (!RESOLVED_STATUSES.includes(this.status)) {
+      this.resolvedAt = null;
+    } else if (!this.resolvedAt) {
+      this.resolvedAt = this.updatedAt; // Going from 'Resolved' to 'Closed' keeps the original resolution time
+    }
+  }
   next();
 });
 
 // IMPORTANT: Change 'remove' to 'deleteOne' for Mongoose 5.x+
 // This hook ensures that when an issue document is deleted using .deleteOne(),
-// all associated comments are also deleted.
+// all associated comments, history entries, links, work logs, notifications and attachments (including stored files) are also deleted.
 issueSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   // 'this' refers to the document being deleted
   console.log(`Deleting all comments for issue: ${this._id}`);
   try {
     await this.model('Comment').deleteMany({ issue: this._id });
+    await this.model('IssueHistory').deleteMany({ issue: this._id });
+    await this.model('IssueLink').deleteMany({ $or: [{ source: this._id }, { target: this._id }] });
+    await this.model('WorkLog').deleteMany({ issue: this._id });
+    await this.model('Notification').deleteMany({ issue: this._id });
+    await this.model('Attachment').removeForIssue(this._id);
     next();
   } catch (err) {
     console.error('Error deleting comments for issue:', err);
@@ -0,0 +1,46 @@
+// backend/models/IssueHistory.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Each document records a single field change made to an issue.
+const issueHistorySchema = new Schema({
+  // Reference to the Issue that was changed
+  issue: {
+    type: Schema.Types.ObjectId,
+    ref: 'Issue', // Links to the Issue model
+    required: true,
+  },
+  // Reference to the User who made the change
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // Links to the User model
+    required: true,
+  },
+  // Name of the issue field that changed (e.g., 'status', 'assignedTo')
+  field: {
+    type: String,
+    required: true,
+  },
+  // Values before and after the change (strings, dates, ObjectIds or null)
+  oldValue: {
+    type: Schema.Types.Mixed,
+    default: null,
+  },
+  newValue: {
+    type: Schema.Types.Mixed,
+    default: null,
+  },
+  // When the change was made
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// History is always read per issue in chronological order
+issueHistorySchema.index({ issue: 1, createdAt: -1 });
+
+const IssueHistory = mongoose.model('IssueHistory', issueHistorySchema);
+
+module.exports = IssueHistory;
@@ -0,0 +1,42 @@
+// backend/models/IssueLink.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A directed relationship between two issues, read as "<source> <type> <target>",
+// e.g. "A blocks B" or "A parent_of B" (B is a sub-task of A).
+const issueLinkSchema = new Schema({
+  source: {
+    type: Schema.Types.ObjectId,
+    ref: 'Issue', // Links to the Issue model
+    required: true,
+  },
+  target: {
+    type: Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['blocks', 'duplicates', 'relates_to', 'parent_of'],
+    required: true,
+  },
+  // Reference to the User who created the link
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The same link can only exist once; links are looked up from either end
+issueLinkSchema.index({ source: 1, type: 1, target: 1 }, { unique: true });
+issueLinkSchema.index({ target: 1, type: 1 });
+
+const IssueLink = mongoose.model('IssueLink', issueLinkSchema);
+
+module.exports = IssueLink;
@@ -0,0 +1,72 @@
+// backend/models/Notification.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const notificationSchema = new Schema({
+  // Reference to the User who receives this notification
+  recipient: {
+    type: Schema.Types.ObjectId,
+    ref: 'User', // Links to the User model
+    required: true,
+  },
+  // Reference to the User whose action triggered the notification
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // What happened (e.g., the recipient was mentioned or assigned an issue)
+  type: {
+    type: String,
+    enum: ['mention', 'assignment', 'status_change', 'due_date'],
+    required: true,
+  },
+  // The issue, comment and project the notification is about
+  issue: {
+    type: Schema.Types.ObjectId,
+    ref: 'Issue',
+    default: null,
+  },
+  comment: {
+    type: Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+  },
+  // Human-readable summary shown in the inbox
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Notification message cannot exceed 500 characters'],
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+  // When this notification was delivered by email, individually or in a digest (null if not yet)
+  emailedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// The inbox is always read per recipient, newest first, often filtered by read state
+notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
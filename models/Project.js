@@ -1,6 +1,7 @@
 // backend/models/Project.js
 
 const mongoose = require('mongoose');
+const { getRolePermissions } = require('../config/permissions');
 
 // Define the schema for a Project
 const projectSchema = new mongoose.Schema({
@@ -16,6 +17,18 @@ const projectSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Project description cannot exceed 500 characters'],
   },
+  // Short unique key used in issue keys (e.g. 'WEB' for issue 'WEB-42')
+  key: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z][A-Z0-9]{1,9}$/, 'Project key must be 2-10 letters or digits, starting with a letter'],
+  },
+  // Number of the last issue created in this project, incremented atomically for each new issue
+  issueCounter: {
+    type: Number,
+    default: 0,
+  },
   // 'status' could be 'Active', 'Completed', 'On Hold', etc.
   status: {
     type: String,
@@ -49,6 +62,68 @@ const projectSchema = new mongoose.Schema({
       },
     },
   ],
+  // Status workflow for issues in this project.
+  // When no statuses are defined, the default workflow from utils/workflow.js applies.
+  workflow: {
+    // Status every new issue starts in
+    initialStatus: {
+      type: String,
+    },
+    // Statuses issues in this project may be in (subset of the Issue status enum)
+    statuses: {
+      type: [String],
+      default: undefined,
+    },
+    // Allowed status changes and the project roles that may perform them
+    transitions: {
+      type: [
+        {
+          from: { type: String, required: true },
+          to: { type: String, required: true },
+          // Project member roles allowed to perform this transition (empty = any member)
+          roles: {
+            type: [String],
+            enum: ['developer', 'qa', 'manager'],
+          },
+        },
+      ],
+      default: undefined,
+    },
+    // Maximum number of issues per status column on the board (statuses without one are unlimited)
+    wipLimits: {
+      type: Map,
+      of: { type: Number, min: 1 },
+      default: undefined,
+    },
+  },
+  // Labels issues in this project can be tagged with (issues reference them by _id)
+  labels: [
+    {
+      name: {
+        type: String,
+        required: [true, 'Label name is required'],
+        trim: true,
+        maxlength: [50, 'Label name cannot exceed 50 characters'],
+      },
+      color: {
+        type: String,
+        match: [/^#[0-9a-fA-F]{6}$/, 'Label color must be a hex color like #1f8ceb'],
+        default: '#cccccc',
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Label description cannot exceed 200 characters'],
+      },
+    },
+  ],
+  // Per-project overrides of the default role permissions from config/permissions.js.
+  // Maps a project role to the full list of permissions it is granted.
+  permissions: {
+    type: Map,
+    of: [String],
+    default: undefined,
+  },
   // Removed 'assignedUsers' as 'members' with roles now handles team association.
   // assignedUsers: [
   //   {
@@ -72,12 +147,49 @@ const projectSchema = new mongoose.Schema({
   // timestamps: true,
 });
 
+// Project keys are unique; projects created before keys existed may not have one yet
+projectSchema.index({ key: 1 }, { unique: true, sparse: true });
+
 // Update 'updatedAt' field on every save
 projectSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+/**
+ * @method getMemberRole
+ * @description Get the role a user holds in this project.
+ * A creator missing from the members list is treated as a manager.
+ * @param {string} userId - ID of the user
+ * @returns {string|null} The member's role, or null if the user is not part of the project
+ */
+projectSchema.methods.getMemberRole = function(userId) {
+  if (!userId) return null;
+  const id = userId.toString();
+
+  const member = this.members.find(m => m.user && (m.user._id || m.user).toString() === id);
+  if (member) return member.role;
+
+  const creatorId = this.createdBy && (this.createdBy._id || this.createdBy).toString();
+  return creatorId === id ? 'manager' : null;
+};
+
+/**
+ * @method hasPermission
+ * @description Check whether a user holds a project-scoped permission (e.g., 'issue:delete').
+ * Global admins hold every permission.
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {string} permission - Permission to check
+ * @returns {boolean}
+ */
+projectSchema.methods.hasPermission = function(user, permission) {
+  if (!user) return false;
+  if (user.role === 'admin') return true;
+
+  const role = this.getMemberRole(user.id);
+  return role !== null && getRolePermissions(this, role).includes(permission);
+};
+
 // Create the Project model from the schema
 const Project = mongoose.model('Project', projectSchema);
 
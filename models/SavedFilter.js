@@ -0,0 +1,71 @@
+// backend/models/SavedFilter.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A named, reusable issue search: either GET /api/issues filter parameters (`criteria`)
+// or an issue query language string (`query`).
+const savedFilterSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Filter name is required'],
+    trim: true,
+    maxlength: [100, 'Filter name cannot exceed 100 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Filter description cannot exceed 500 characters'],
+  },
+  // Reference to the User who owns the filter (the only one who can change it)
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Who can see and run the filter: only the owner, members of `project`, or every user
+  visibility: {
+    type: String,
+    enum: ['private', 'project', 'public'],
+    default: 'private',
+  },
+  // Project the filter is shared with (required for 'project' visibility)
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
+    required: [function() { return this.visibility === 'project'; }, 'A project is required to share a filter with a project'],
+  },
+  // GET /api/issues parameters (see FILTER_PARAMS in utils/issueFilters.js)
+  criteria: {
+    type: Schema.Types.Mixed,
+    default: undefined,
+  },
+  // Issue query language string (see GET /api/issues/query); used instead of `criteria` when set
+  query: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Filter query cannot exceed 2000 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+savedFilterSchema.index({ owner: 1 });
+savedFilterSchema.index({ visibility: 1, project: 1 });
+
+// Update 'updatedAt' field on every save
+savedFilterSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const SavedFilter = mongoose.model('SavedFilter', savedFilterSchema);
+
+module.exports = SavedFilter;
@@ -0,0 +1,78 @@
+// backend/models/Session.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A signed-in device. Access tokens carry the session ID and are only accepted while the session
+// is active; the session's refresh token is rotated on every use (see utils/sessions.js).
+const sessionSchema = new Schema({
+  // Reference to the User who signed in
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // SHA-256 hash of the current refresh token (the token itself is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Hashes of refresh tokens already exchanged; presenting one again means the token was stolen
+  previousTokenHashes: {
+    type: [String],
+    select: false,
+  },
+  // Where the session was last used from
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  device: {
+    type: String,
+    default: 'Unknown device',
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // When the refresh token stops working; expired sessions are removed by MongoDB
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the session is ended, with the reason: 'logout', 'revoked', 'logout_all',
+  // 'token_reuse', 'password_change' or 'password_reset'
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    default: null,
+  },
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @method isActive
+ * @description Whether the session can still be used (not revoked and not expired).
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
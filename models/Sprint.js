@@ -0,0 +1,93 @@
+// backend/models/Sprint.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A time-boxed iteration (sprint or milestone) within a project.
+// Issues join a sprint through their `sprint` field; issues without one are in the project backlog.
+const sprintSchema = new Schema({
+  // Reference to the Project this sprint belongs to
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project', // Links to the Project model
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot exceed 100 characters'],
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Sprint goal cannot exceed 500 characters'],
+  },
+  startDate: {
+    type: Date,
+    default: null,
+  },
+  endDate: {
+    type: Date,
+    default: null,
+  },
+  // Sprints are planned, then started (only one active sprint per project), then completed
+  state: {
+    type: String,
+    enum: ['planned', 'active', 'completed'],
+    default: 'planned',
+    required: true,
+  },
+  // Set when the sprint is completed: the issues that were done, and those rolled over elsewhere
+  completedIssues: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Issue',
+    },
+  ],
+  incompleteIssues: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: 'Issue',
+    },
+  ],
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  // Reference to the User who created the sprint
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// End date must not come before the start date
+sprintSchema.path('endDate').validate(function(endDate) {
+  return !endDate || !this.startDate || endDate >= this.startDate;
+}, 'Sprint end date must be after its start date');
+
+sprintSchema.index({ project: 1, state: 1 });
+
+// Issues of a deleted sprint go back to the backlog
+sprintSchema.pre('deleteOne', { document: true, query: false }, async function(next) {
+  try {
+    await this.model('Issue').updateMany({ sprint: this._id }, { $set: { sprint: null } });
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+const Sprint = mongoose.model('Sprint', sprintSchema);
+
+module.exports = Sprint;
@@ -1,8 +1,8 @@
 // backend/models/User.js
 
 const mongoose = require('mongoose');
+const crypto = require('crypto'); // For password reset tokens
 const bcrypt = require('bcryptjs'); // For password hashing
-const jwt = require('jsonwebtoken'); // For generating authentication tokens <--- ADDED THIS IMPORT
 
 const UserSchema = new mongoose.Schema({
   username: { // <-- CHANGED from 'name' to 'username' for consistency
@@ -32,32 +32,108 @@ const UserSchema = new mongoose.Schema({
     enum: ['user', 'admin'], // <-- Simplified roles for initial setup, consistent with backend logic
     default: 'user'
   },
+  // How the user wants to receive notification emails
+  emailNotifications: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // 'immediate' sends one email per notification; 'hourly'/'daily' batch them into a digest
+    digest: {
+      type: String,
+      enum: ['immediate', 'hourly', 'daily'],
+      default: 'immediate'
+    },
+    lastDigestAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Saved filter shown when the user opens the issue list (see routes/filters.js)
+  defaultFilter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedFilter',
+    default: null
+  },
+  // Whether the user has confirmed their email address. Accounts created before email
+  // verification existed count as verified; new registrations start unverified.
+  isVerified: {
+    type: Boolean,
+    default: true
+  },
+  // SHA-256 hash of the pending email verification token and when it stops working (see getEmailVerificationToken)
+  verificationToken: {
+    type: String,
+    select: false
+  },
+  verificationExpire: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 hash of the pending password reset token and when it stops working (see getResetPasswordToken)
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Reset and verification tokens are stored hashed, so a leaked database does not reveal usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Hash a password with a new salt, as it is stored on the user
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10); // Generate a salt
+  return bcrypt.hash(password, salt);
+};
+
 // Middleware to hash password before saving the user
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) { // Only hash if password field is new or modified
-    next();
+    return next();
   }
-  const salt = await bcrypt.genSalt(10); // Generate a salt
-  this.password = await bcrypt.hash(this.password, salt); // Hash the password
+  this.password = await hashPassword(this.password);
   next();
 });
 
-// Method to generate and return a JWT token <--- ADDED THIS METHOD (CRITICAL)
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE // Token expiration time from environment variables
-  });
-};
-
 // Method to compare entered password with hashed password in DB
 UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Method to create a password reset token. Only its hash is stored; the token itself is emailed
+// to the user and expires after RESET_PASSWORD_EXPIRE_MINUTES (default 30). Save the user afterwards.
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = hashToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + (parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30) * 60 * 1000);
+
+  return resetToken;
+};
+
+// Method to create an email verification token, emailed to the user. Only its hash is stored and it
+// expires after VERIFY_EMAIL_EXPIRE_HOURS (default 24). Save the user afterwards.
+UserSchema.methods.getEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.verificationToken = hashToken(verificationToken);
+  this.verificationExpire = new Date(Date.now() + (parseInt(process.env.VERIFY_EMAIL_EXPIRE_HOURS) || 24) * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Static to turn a reset or verification token from a link into the hash stored on the user
+UserSchema.statics.hashToken = hashToken;
+
+// Static to hash a password for updates that bypass the pre-save hook
+UserSchema.statics.hashPassword = hashPassword;
+
 module.exports = mongoose.model('User', UserSchema);
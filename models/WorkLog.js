@@ -0,0 +1,67 @@
+// backend/models/WorkLog.js
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Time a user spent working on an issue
+const workLogSchema = new Schema({
+  // Reference to the Issue the work was done on
+  issue: {
+    type: Schema.Types.ObjectId,
+    ref: 'Issue',
+    required: true,
+  },
+  // Project of the issue, kept in step when the issue moves, so timesheets can be built per project
+  project: {
+    type: Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+  },
+  // Reference to the User who did the work
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Time spent, in minutes
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [1, 'Duration must be at least one minute'],
+    max: [24 * 60, 'A single work log cannot exceed 24 hours'],
+  },
+  // When the work was done
+  date: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Work log note cannot exceed 1000 characters'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Work logs are listed per issue, and timesheets read them per project or per user over a date range
+workLogSchema.index({ issue: 1, date: -1 });
+workLogSchema.index({ project: 1, date: 1 });
+workLogSchema.index({ user: 1, date: 1 });
+
+// Middleware to update 'updatedAt' field on every save
+workLogSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const WorkLog = mongoose.model('WorkLog', workLogSchema);
+
+module.exports = WorkLog;
@@ -0,0 +1,306 @@
+// backend/query/compiler.js
+
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+const escapeRegex = require('../utils/escapeRegex');
+const { ISSUE_KEY_PATTERN } = require('../utils/issueKeys');
+
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const Sprint = require('../models/Sprint');
+const User = require('../models/User');
+
+const STATUSES = Issue.schema.path('status').enumValues;
+const PRIORITIES = Issue.schema.path('priority').enumValues; // Lowest to highest
+const TYPES = Issue.schema.path('type').enumValues;
+
+const EQUALITY = ['=', '!=', 'in', 'notIn'];
+const ORDERING = ['<', '<=', '>', '>='];
+const EMPTINESS = ['empty', 'notEmpty'];
+
+// Queryable fields: the issue path they compile to, the kind of value they hold,
+// and the operators they support
+const FIELDS = {
+  status: { path: 'status', kind: 'enum', values: STATUSES, operators: EQUALITY },
+  priority: { path: 'priority', kind: 'enum', values: PRIORITIES, operators: [...EQUALITY, ...ORDERING] },
+  type: { path: 'type', kind: 'enum', values: TYPES, operators: EQUALITY },
+  assignee: { path: 'assignedTo', kind: 'user', operators: [...EQUALITY, ...EMPTINESS] },
+  reporter: { path: 'createdBy', kind: 'user', operators: EQUALITY },
+  project: { path: 'project', kind: 'project', operators: EQUALITY },
+  label: { path: 'labels', kind: 'label', operators: [...EQUALITY, ...EMPTINESS] },
+  sprint: { path: 'sprint', kind: 'sprint', operators: [...EQUALITY, ...EMPTINESS] },
+  key: { path: 'key', kind: 'key', operators: EQUALITY },
+  title: { paths: ['title'], kind: 'text', operators: ['~', '!~'] },
+  description: { paths: ['description'], kind: 'text', operators: ['~', '!~', ...EMPTINESS] },
+  text: { paths: ['title', 'description'], kind: 'text', operators: ['~', '!~'] },
+  created: { path: 'createdAt', kind: 'date', operators: ['=', '!=', ...ORDERING] },
+  updated: { path: 'updatedAt', kind: 'date', operators: ['=', '!=', ...ORDERING] },
+  due: { path: 'dueDate', kind: 'date', operators: ['=', '!=', ...ORDERING, ...EMPTINESS] },
+};
+
+// Other names accepted for fields
+const FIELD_ALIASES = {
+  assignedto: 'assignee',
+  createdby: 'reporter',
+  creator: 'reporter',
+  labels: 'label',
+  summary: 'title',
+  createdat: 'created',
+  updatedat: 'updated',
+  duedate: 'due',
+};
+
+// Fields that can be used in ORDER BY. Priority and status sort by their position in the
+// schema enum (not alphabetically), using a computed field added to the aggregation.
+const SORT_FIELDS = {
+  created: { path: 'createdAt' },
+  updated: { path: 'updatedAt' },
+  due: { path: 'dueDate' },
+  title: { path: 'title' },
+  rank: { path: 'rank' },
+  type: { path: 'type' },
+  key: { paths: ['project', 'number'] },
+  priority: { path: '_priorityOrder', computed: { $indexOfArray: [PRIORITIES, '$priority'] } },
+  status: { path: '_statusOrder', computed: { $indexOfArray: [STATUSES, '$status'] } },
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const RELATIVE_UNITS = { h: 60 * 60 * 1000, d: DAY, w: 7 * DAY };
+
+const fail = (message, position) => new ErrorResponse(`${message} at position ${position}`, 400, { position });
+
+// Resolve a field name (case-insensitive, with aliases) to its definition
+const resolveField = (name, position) => {
+  const lower = name.toLowerCase();
+  const field = FIELDS[FIELD_ALIASES[lower] || lower];
+  if (!field) {
+    throw fail(`Unknown field '${name}'. Available fields: ${Object.keys(FIELDS).join(', ')}`, position);
+  }
+  return field;
+};
+
+// Enum values match case-insensitively, ignoring spaces, dashes and underscores ('in_progress' = 'In Progress')
+const normalizeEnum = value => value.toLowerCase().replace(/[\s_-]/g, '');
+
+const resolveEnum = (field, token) => {
+  const match = field.values.find(value => normalizeEnum(value) === normalizeEnum(token.value));
+  if (!match) {
+    throw fail(`Unknown value '${token.value}'. Expected one of: ${field.values.join(', ')}`, token.position);
+  }
+  return match;
+};
+
+/**
+ * @function parseDate
+ * @description Turn a date value into a Date: an ISO date ('2024-05-01', '2024-05-01T12:00:00Z'),
+ * 'now', 'today' (midnight UTC), or either of those shifted by hours, days or weeks ('now+7d', 'today-2w').
+ * @param {Object} token - Value token
+ * @returns {Date}
+ */
+const parseDate = (token) => {
+  const relative = /^(now|today)(?:([+-])(\d+)([hdw]))?$/i.exec(token.value);
+  if (relative) {
+    const [, base, sign, amount, unit] = relative;
+    const now = Date.now();
+    let time = base.toLowerCase() === 'today' ? now - (now % DAY) : now;
+    if (sign) time += (sign === '+' ? 1 : -1) * parseInt(amount) * RELATIVE_UNITS[unit.toLowerCase()];
+    return new Date(time);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(token.value)) {
+    const date = new Date(token.value);
+    if (!isNaN(date.getTime())) return date;
+  }
+
+  throw fail(`Invalid date '${token.value}'. Use an ISO date (2024-05-01) or a relative date (now, today, now+7d, today-2w)`, token.position);
+};
+
+/**
+ * @class QueryCompiler
+ * @description Compiles a parsed query (see query/parser.js) into a MongoDB filter.
+ * Names of users, projects, labels and sprints are looked up once per compilation and only
+ * among projects the user can access.
+ */
+class QueryCompiler {
+  /**
+   * @param {Object} context
+   * @param {Object} context.user - Authenticated user (req.user), for 'me'
+   * @param {Array|null} context.accessibleProjectIds - Project IDs the user can access (null for no restriction)
+   */
+  constructor({ user, accessibleProjectIds }) {
+    this.user = user;
+    this.accessibleProjectIds = accessibleProjectIds;
+    this.projects = null;
+  }
+
+  // Projects the user can access, loaded on first use (for project, label and sprint names).
+  // The promise is cached, so clauses compiled in parallel share one query.
+  getProjects() {
+    if (!this.projects) {
+      this.projects = Project.find(this.accessibleProjectIds ? { _id: { $in: this.accessibleProjectIds } } : {})
+        .select('name key labels')
+        .exec();
+    }
+    return this.projects;
+  }
+
+  async resolveUser(token) {
+    if (token.value.toLowerCase() === 'me') return new mongoose.Types.ObjectId(this.user.id);
+
+    const user = await User.findOne({
+      $or: [{ username: token.value }, { email: { $regex: `^${escapeRegex(token.value)}$`, $options: 'i' } }],
+    }).select('_id');
+    if (!user) throw fail(`Unknown user '${token.value}'`, token.position);
+    return user._id;
+  }
+
+  async resolveProject(token) {
+    const projects = await this.getProjects();
+    const value = token.value.toLowerCase();
+    const project = projects.find(p => p._id.toString() === token.value
+      || (p.key && p.key.toLowerCase() === value)
+      || p.name.toLowerCase() === value);
+    if (!project) throw fail(`Unknown project '${token.value}'`, token.position);
+    return [project._id];
+  }
+
+  // A label name can exist in several projects, so it resolves to every matching label ID
+  async resolveLabel(token) {
+    const projects = await this.getProjects();
+    const value = token.value.toLowerCase();
+    const ids = projects.flatMap(p => p.labels.filter(label => label.name.toLowerCase() === value).map(label => label._id));
+    if (ids.length === 0) throw fail(`Unknown label '${token.value}'`, token.position);
+    return ids;
+  }
+
+  async resolveSprint(token) {
+    const projectIds = (await this.getProjects()).map(p => p._id);
+    const byId = /^[0-9a-f]{24}$/i.test(token.value);
+    const sprints = await Sprint.find({
+      project: { $in: projectIds },
+      ...(byId ? { _id: token.value } : { name: { $regex: `^${escapeRegex(token.value)}$`, $options: 'i' } }),
+    }).select('_id');
+    if (sprints.length === 0) throw fail(`Unknown sprint '${token.value}'`, token.position);
+    return sprints.map(sprint => sprint._id);
+  }
+
+  resolveKey(token) {
+    const key = token.value.toUpperCase();
+    if (!ISSUE_KEY_PATTERN.test(key)) throw fail(`Invalid issue key '${token.value}'`, token.position);
+    return [key];
+  }
+
+  // Resolve a value token to the list of stored values it stands for
+  async resolveValues(field, token) {
+    switch (field.kind) {
+      case 'enum': return [resolveEnum(field, token)];
+      case 'user': return [await this.resolveUser(token)];
+      case 'project': return this.resolveProject(token);
+      case 'label': return this.resolveLabel(token);
+      case 'sprint': return this.resolveSprint(token);
+      case 'key': return this.resolveKey(token);
+      default: return [token.value];
+    }
+  }
+
+  async compile(node) {
+    switch (node.type) {
+      case 'and': return { $and: await Promise.all(node.children.map(child => this.compile(child))) };
+      case 'or': return { $or: await Promise.all(node.children.map(child => this.compile(child))) };
+      case 'not': return { $nor: [await this.compile(node.child)] };
+      default: return this.compileClause(node);
+    }
+  }
+
+  async compileClause(clause) {
+    const field = resolveField(clause.field, clause.position);
+    if (!field.operators.includes(clause.operator)) {
+      const operator = { in: 'IN', notIn: 'NOT IN', empty: 'IS EMPTY', notEmpty: 'IS NOT EMPTY' }[clause.operator] || clause.operator;
+      throw fail(`Operator '${operator}' cannot be used with field '${clause.field}'`, clause.position);
+    }
+
+    if (clause.operator === 'empty' || clause.operator === 'notEmpty') {
+      const empty = field.kind === 'text'
+        ? { [field.paths[0]]: { $in: [null, ''] } }
+        : { [field.path]: { $in: [null, []] } };
+      return clause.operator === 'empty' ? empty : { $nor: [empty] };
+    }
+
+    if (field.kind === 'text') {
+      const regex = { $regex: escapeRegex(clause.value.value), $options: 'i' };
+      const contains = field.paths.map(path => ({ [path]: regex }));
+      const query = contains.length === 1 ? contains[0] : { $or: contains };
+      return clause.operator === '~' ? query : { $nor: [query] };
+    }
+
+    if (field.kind === 'date') {
+      const date = parseDate(clause.value);
+      if (clause.operator === '=' || clause.operator === '!=') {
+        // Equality compares whole (UTC) days, so 'due = today' matches any time that day
+        const start = new Date(date.getTime() - (date.getTime() % DAY));
+        const sameDay = { [field.path]: { $gte: start, $lt: new Date(start.getTime() + DAY) } };
+        return clause.operator === '=' ? sameDay : { $nor: [sameDay] };
+      }
+      const mongoOperator = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' }[clause.operator];
+      return { [field.path]: { [mongoOperator]: date } };
+    }
+
+    // Ordered comparisons on enums (e.g. priority >= High) become a list of matching values
+    if (ORDERING.includes(clause.operator)) {
+      const index = field.values.indexOf(resolveEnum(field, clause.value));
+      const matches = field.values.filter((value, i) => ({
+        '<': i < index, '<=': i <= index, '>': i > index, '>=': i >= index,
+      })[clause.operator]);
+      return { [field.path]: { $in: matches } };
+    }
+
+    const tokens = clause.values || [clause.value];
+    const values = (await Promise.all(tokens.map(token => this.resolveValues(field, token)))).flat();
+    const negated = clause.operator === '!=' || clause.operator === 'notIn';
+
+    return { [field.path]: negated ? { $nin: values } : { $in: values } };
+  }
+
+  compileSort(orderBy) {
+    const sort = {};
+    const computed = {};
+
+    orderBy.forEach(({ field, direction, position }) => {
+      const lower = field.toLowerCase();
+      const sortField = SORT_FIELDS[FIELD_ALIASES[lower] || lower];
+      if (!sortField) {
+        throw fail(`Cannot order by '${field}'. Sortable fields: ${Object.keys(SORT_FIELDS).join(', ')}`, position);
+      }
+      (sortField.paths || [sortField.path]).forEach(path => {
+        sort[path] = direction === 'desc' ? -1 : 1;
+      });
+      if (sortField.computed) computed[sortField.path] = sortField.computed;
+    });
+
+    if (Object.keys(sort).length === 0) sort.createdAt = -1; // Newest first by default
+    sort._id = 1; // Stable order across pages
+
+    return { sort, computed };
+  }
+}
+
+/**
+ * @function compileQuery
+ * @description Compile a parsed query into a MongoDB filter and sort specification.
+ * @param {Object} parsed - `{ where, orderBy }` from `parseQuery`
+ * @param {Object} context - `{ user, accessibleProjectIds }`
+ * @returns {Promise<Object>} `{ filter, sort, computed }` where `computed` holds `$addFields`
+ * expressions the sort depends on
+ * @throws {ErrorResponse} 400 with the `position` of unknown fields, operators or values
+ */
+const compileQuery = async (parsed, context) => {
+  const compiler = new QueryCompiler(context);
+  const filter = parsed.where ? await compiler.compile(parsed.where) : {};
+  return { filter, ...compiler.compileSort(parsed.orderBy) };
+};
+
+module.exports = {
+  FIELDS,
+  SORT_FIELDS,
+  compileQuery,
+};
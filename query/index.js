@@ -0,0 +1,71 @@
+// backend/query/index.js
+
+const Issue = require('../models/Issue');
+const { parseQuery } = require('./parser');
+const { compileQuery } = require('./compiler');
+
+/**
+ * @function compileIssueMatch
+ * @description Parse and compile an issue query into a $match stage restricted to the projects the user can access.
+ * @param {string} q - Query string
+ * @param {Object} options
+ * @param {Object} options.user - Authenticated user (req.user)
+ * @param {Array|null} options.accessibleProjectIds - Project IDs the user can access (null for no restriction)
+ * @returns {Promise<Object>} `{ match, sort, computed }` (see `compileQuery`)
+ * @throws {ErrorResponse} 400 with the `position` of the first error in the query
+ */
+const compileIssueMatch = async (q, { user, accessibleProjectIds }) => {
+  const { filter, sort, computed } = await compileQuery(parseQuery(q), { user, accessibleProjectIds });
+
+  const match = accessibleProjectIds
+    ? { $and: [{ project: { $in: accessibleProjectIds } }, filter] }
+    : filter;
+
+  return { match, sort, computed };
+};
+
+/**
+ * @function runIssueQuery
+ * @description Parse, compile and run an issue query, restricted to the projects the user can access.
+ * @param {string} q - Query string, e.g. "status in (Open, Reopened) AND due < now+7d ORDER BY priority DESC"
+ * @param {Object} options
+ * @param {Object} options.user - Authenticated user (req.user)
+ * @param {Array|null} options.accessibleProjectIds - Project IDs the user can access (null for no restriction)
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Issues per page
+ * @returns {Promise<Object>} `{ total, issues }` with the requested page of populated issues
+ * @throws {ErrorResponse} 400 with the `position` of the first error in the query
+ */
+const runIssueQuery = async (q, { user, accessibleProjectIds, page = 1, limit = 10 }) => {
+  const { match, sort, computed } = await compileIssueMatch(q, { user, accessibleProjectIds });
+
+  // An aggregation rather than find(), so priority and status can be sorted by their enum order
+  const pipeline = [{ $match: match }];
+  if (Object.keys(computed).length > 0) {
+    pipeline.push({ $addFields: computed });
+  }
+  pipeline.push({ $sort: sort }, { $skip: (page - 1) * limit }, { $limit: limit });
+  if (Object.keys(computed).length > 0) {
+    pipeline.push({ $project: Object.fromEntries(Object.keys(computed).map(path => [path, 0])) });
+  }
+
+  const [issues, total] = await Promise.all([
+    Issue.aggregate(pipeline),
+    Issue.countDocuments(match),
+  ]);
+
+  await Issue.populate(issues, [
+    { path: 'project', select: 'name key' },
+    { path: 'createdBy', select: 'username email' },
+    { path: 'assignedTo', select: 'username email' },
+  ]);
+
+  return { total, issues };
+};
+
+module.exports = {
+  parseQuery,
+  compileQuery,
+  compileIssueMatch,
+  runIssueQuery,
+};
@@ -0,0 +1,80 @@
+// backend/query/lexer.js
+
+const ErrorResponse = require('../utils/errorResponse');
+
+// Comparison operators, longest first so '<=' is not read as '<' followed by '='
+const OPERATORS = ['!=', '<=', '>=', '!~', '=', '<', '>', '~'];
+
+// Characters allowed in unquoted words: identifiers, numbers, issue keys (WEB-42), dates (2024-05-01),
+// relative dates (now+7d) and email addresses
+const WORD_CHAR = /[A-Za-z0-9_.@+\-:]/;
+
+/**
+ * @function tokenize
+ * @description Split a query string into tokens.
+ * Each token has a `type` ('word', 'string', 'operator', '(', ')', ',' or 'end'), a `value`
+ * and the `position` (0-based character offset) where it starts.
+ * @param {string} input - Query string
+ * @returns {Array<Object>} Tokens, ending with an 'end' token
+ * @throws {ErrorResponse} 400 with the position of unexpected characters or unterminated strings
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char, position: i });
+      i++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    // Quoted strings, with backslash escapes for the quote character and backslash itself
+    if (char === '"' || char === "'") {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < input.length && input[i] !== char) {
+        if (input[i] === '\\' && i + 1 < input.length) i++;
+        value += input[i];
+        i++;
+      }
+      if (i >= input.length) {
+        throw new ErrorResponse(`Unterminated string starting at position ${start}`, 400, { position: start });
+      }
+      tokens.push({ type: 'string', value, position: start });
+      i++; // Closing quote
+      continue;
+    }
+
+    if (WORD_CHAR.test(char)) {
+      const start = i;
+      while (i < input.length && WORD_CHAR.test(input[i])) i++;
+      tokens.push({ type: 'word', value: input.slice(start, i), position: start });
+      continue;
+    }
+
+    throw new ErrorResponse(`Unexpected character '${char}' at position ${i}`, 400, { position: i });
+  }
+
+  tokens.push({ type: 'end', value: '', position: input.length });
+  return tokens;
+};
+
+module.exports = {
+  tokenize,
+};
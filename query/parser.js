@@ -0,0 +1,202 @@
+// backend/query/parser.js
+
+const ErrorResponse = require('../utils/errorResponse');
+const { tokenize } = require('./lexer');
+
+/*
+ * Grammar (keywords are case-insensitive):
+ *
+ *   query    := [or] [ORDER BY sortKey (',' sortKey)*]
+ *   or       := and (OR and)*
+ *   and      := not (AND not)*
+ *   not      := NOT not | '(' or ')' | clause
+ *   clause   := field operator value
+ *             | field [NOT] IN '(' value (',' value)* ')'
+ *             | field IS [NOT] EMPTY
+ *   sortKey  := field [ASC | DESC]
+ *   value    := word | quoted string
+ *
+ * The parser produces a tree of nodes:
+ *   { type: 'and' | 'or', children: [...] }
+ *   { type: 'not', child }
+ *   { type: 'clause', field, operator, value | values, position }
+ * where `operator` is one of = != < <= > >= ~ !~ in notIn empty notEmpty.
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'IS', 'EMPTY', 'ORDER', 'BY', 'ASC', 'DESC'];
+
+// Longest query accepted, in characters
+const MAX_QUERY_LENGTH = 2000;
+// Deepest nesting of parentheses and NOTs accepted, so a query cannot overflow the stack
+const MAX_NESTING_DEPTH = 32;
+
+class Parser {
+  constructor(input) {
+    this.tokens = tokenize(input);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  // Whether the current token is the given keyword
+  isKeyword(keyword, token = this.peek()) {
+    return token.type === 'word' && token.value.toUpperCase() === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (!this.isKeyword(keyword)) return false;
+    this.index++;
+    return true;
+  }
+
+  fail(message, token = this.peek()) {
+    const near = token.type === 'end' ? 'end of query' : `'${token.value}'`;
+    return new ErrorResponse(`${message} at position ${token.position} (near ${near})`, 400, {
+      position: token.position,
+    });
+  }
+
+  expect(type, description) {
+    const token = this.peek();
+    if (token.type !== type) throw this.fail(`Expected ${description}`);
+    return this.next();
+  }
+
+  parseQuery() {
+    let where = null;
+    if (this.peek().type !== 'end' && !this.isKeyword('ORDER')) {
+      where = this.parseOr();
+    }
+
+    const orderBy = [];
+    if (this.acceptKeyword('ORDER')) {
+      if (!this.acceptKeyword('BY')) throw this.fail("Expected 'BY' after 'ORDER'");
+      do {
+        const field = this.parseField();
+        let direction = 'asc';
+        if (this.acceptKeyword('DESC')) direction = 'desc';
+        else this.acceptKeyword('ASC');
+        orderBy.push({ field: field.value, direction, position: field.position });
+      } while (this.peek().type === ',' && this.next());
+    }
+
+    if (this.peek().type !== 'end') {
+      throw this.fail(where ? "Expected 'AND', 'OR' or 'ORDER BY'" : 'Expected a condition');
+    }
+
+    return { where, orderBy };
+  }
+
+  parseOr() {
+    const children = [this.parseAnd()];
+    while (this.acceptKeyword('OR')) children.push(this.parseAnd());
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+
+  parseAnd() {
+    const children = [this.parseNot()];
+    while (this.acceptKeyword('AND')) children.push(this.parseNot());
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+
+  parseNot() {
+    if (this.isKeyword('NOT') || this.peek().type === '(') {
+      if (this.depth === MAX_NESTING_DEPTH) {
+        throw this.fail(`Query is nested too deeply (at most ${MAX_NESTING_DEPTH} levels of parentheses and NOT)`);
+      }
+      this.depth++;
+      const node = this.parseNested();
+      this.depth--;
+      return node;
+    }
+    return this.parseClause();
+  }
+
+  // A NOT or a parenthesized condition (counted towards the nesting depth by parseNot)
+  parseNested() {
+    if (this.acceptKeyword('NOT')) {
+      return { type: 'not', child: this.parseNot() };
+    }
+    this.next();
+    const node = this.parseOr();
+    this.expect(')', "')'");
+    return node;
+  }
+
+  parseField() {
+    const token = this.peek();
+    if (token.type !== 'word' || KEYWORDS.includes(token.value.toUpperCase())) {
+      throw this.fail('Expected a field name');
+    }
+    return this.next();
+  }
+
+  parseValue() {
+    const token = this.peek();
+    if (token.type !== 'word' && token.type !== 'string') {
+      throw this.fail('Expected a value');
+    }
+    return this.next();
+  }
+
+  parseClause() {
+    const field = this.parseField();
+    const clause = { type: 'clause', field: field.value, position: field.position };
+
+    if (this.acceptKeyword('IS')) {
+      const negated = this.acceptKeyword('NOT');
+      if (!this.acceptKeyword('EMPTY')) throw this.fail("Expected 'EMPTY'");
+      return { ...clause, operator: negated ? 'notEmpty' : 'empty' };
+    }
+
+    const negated = this.acceptKeyword('NOT');
+    if (this.acceptKeyword('IN')) {
+      this.expect('(', "'(' after 'IN'");
+      const values = [this.parseValue()];
+      while (this.peek().type === ',') {
+        this.next();
+        values.push(this.parseValue());
+      }
+      this.expect(')', "',' or ')'");
+      return { ...clause, operator: negated ? 'notIn' : 'in', values };
+    }
+    if (negated) throw this.fail("Expected 'IN' after 'NOT'");
+
+    const operator = this.peek();
+    if (operator.type !== 'operator') {
+      throw this.fail(`Expected an operator (=, !=, <, <=, >, >=, ~, !~, IN or IS) after '${field.value}'`);
+    }
+    this.next();
+    return { ...clause, operator: operator.value, value: this.parseValue() };
+  }
+}
+
+/**
+ * @function parseQuery
+ * @description Parse a query string into a condition tree and sort keys.
+ * Values in clauses keep their token (`{ type, value, position }`) so later errors can point at them.
+ * @param {string} input - Query string, e.g. "status in (Open, Reopened) AND assignee = me ORDER BY priority DESC"
+ * @returns {Object} `{ where, orderBy }` where `where` is null for an empty condition
+ * @throws {ErrorResponse} 400 with the `position` of the first syntax error, or if the query is longer
+ * than MAX_QUERY_LENGTH characters or nested deeper than MAX_NESTING_DEPTH levels
+ */
+const parseQuery = (input) => {
+  const text = String(input || '');
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new ErrorResponse(`Query is too long at position ${MAX_QUERY_LENGTH} (at most ${MAX_QUERY_LENGTH} characters)`, 400, {
+      position: MAX_QUERY_LENGTH,
+    });
+  }
+  return new Parser(text).parseQuery();
+};
+
+module.exports = {
+  parseQuery,
+};
@@ -0,0 +1,154 @@
+// backend/routes/attachments.js
+
+// Mounted by routes/issues.js on both of these paths:
+//   /api/issues/:issueId/attachments                      (issue attachments)
+//   /api/issues/:issueId/comments/:commentId/attachments  (comment attachments)
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :issueId and :commentId from the parent router
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect, requireScope } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { loadIssue } = require('../middleware/projectAccess');
+const { uploadAttachments } = require('../middleware/upload');
+const { getStorage } = require('../storage');
+
+const Attachment = require('../models/Attachment');
+const Comment = require('../models/Comment');
+
+// Load the comment from :commentId (when mounted under a comment) and make sure it belongs to the issue
+const loadComment = asyncHandler(async (req, res, next) => {
+  if (!req.params.commentId) return next();
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+    return res.status(400).json({ msg: 'Invalid Comment ID format' });
+  }
+
+  const comment = await Comment.findById(req.params.commentId);
+  if (!comment || comment.isDeleted || comment.issue.toString() !== req.issue._id.toString()) {
+    return res.status(404).json({ msg: 'Comment not found' });
+  }
+
+  req.comment = comment;
+  next();
+});
+
+// Issue attachments require the 'issue:update' permission; comment attachments can only be added by the comment author
+const canUpload = (req, res, next) => {
+  if (req.comment) {
+    if (req.comment.author.toString() !== req.user.id) {
+      return res.status(403).json({ msg: 'Only the comment author can attach files to it' });
+    }
+  } else if (!req.project.hasPermission(req.user, 'issue:update')) {
+    return res.status(403).json({ msg: 'Not authorized to attach files to this issue' });
+  }
+  next();
+};
+
+// Filter for the attachments of the current issue (or comment, if any). Attachments of deleted
+// comments are left out; deleting a comment removes them, but they may remain from before that.
+const attachmentQuery = async (req) => {
+  if (req.comment) return { issue: req.issue._id, comment: req.comment._id };
+
+  const deletedComments = await Comment.find({ issue: req.issue._id, isDeleted: true }).distinct('_id');
+  return { issue: req.issue._id, comment: { $nin: deletedComments } };
+};
+
+// Find an attachment by :attachmentId within the current issue (and comment, if any)
+const findAttachment = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) {
+    res.status(400).json({ msg: 'Invalid Attachment ID format' });
+    return null;
+  }
+
+  const attachment = await Attachment.findOne({ _id: req.params.attachmentId, ...(await attachmentQuery(req)) });
+  if (!attachment) {
+    res.status(404).json({ msg: 'Attachment not found' });
+    return null;
+  }
+  return attachment;
+};
+
+/**
+ * @route GET /api/issues/:issueId/attachments
+ * @route GET /api/issues/:issueId/comments/:commentId/attachments
+ * @desc List attachments of an issue (including its comments' attachments, except deleted comments') or of a single comment
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/', protect, requireScope('issues:read'), loadIssue('issueId'), loadComment, asyncHandler(async (req, res) => {
+  const attachments = await Attachment.find(await attachmentQuery(req))
+    .sort({ createdAt: 1 })
+    .populate('uploadedBy', 'username email');
+
+  res.json(attachments);
+}));
+
+/**
+ * @route POST /api/issues/:issueId/attachments
+ * @route POST /api/issues/:issueId/comments/:commentId/attachments
+ * @desc Upload one or more files (multipart/form-data, field name `files`)
+ * @access Private (issue attachments: 'issue:update' permission; comment attachments: comment author)
+ */
+router.post('/', protect, requireScope('issues:write'), loadIssue('issueId'), loadComment, canUpload, uploadAttachments, asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ msg: 'Please attach at least one file in the "files" field' });
+  }
+
+  const attachments = await Attachment.insertMany(req.files.map(file => ({
+    issue: req.issue._id,
+    comment: req.comment ? req.comment._id : null,
+    filename: file.originalname,
+    size: file.size,
+    mimeType: file.mimetype,
+    storageKey: file.storageKey,
+    uploadedBy: req.user.id,
+  })));
+
+  res.status(201).json(attachments);
+}));
+
+/**
+ * @route GET /api/issues/:issueId/attachments/:attachmentId/download
+ * @route GET /api/issues/:issueId/comments/:commentId/attachments/:attachmentId/download
+ * @desc Download (stream) an attachment
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/:attachmentId/download', protect, requireScope('issues:read'), loadIssue('issueId'), loadComment, asyncHandler(async (req, res, next) => {
+  const attachment = await findAttachment(req, res);
+  if (!attachment) return;
+
+  const stream = await getStorage().createReadStream(attachment.storageKey);
+
+  // Always download rather than render, so uploaded HTML/SVG can't run in the app's origin
+  res.attachment(attachment.filename);
+  res.type(attachment.mimeType);
+  res.set({
+    'Content-Length': attachment.size,
+    'X-Content-Type-Options': 'nosniff',
+  });
+
+  stream.on('error', next);
+  stream.pipe(res);
+}));
+
+/**
+ * @route DELETE /api/issues/:issueId/attachments/:attachmentId
+ * @route DELETE /api/issues/:issueId/comments/:commentId/attachments/:attachmentId
+ * @desc Delete an attachment and its stored file
+ * @access Private (requires authentication; the uploader or the 'issue:delete' permission)
+ */
+router.delete('/:attachmentId', protect, requireScope('issues:write'), loadIssue('issueId'), loadComment, asyncHandler(async (req, res) => {
+  const attachment = await findAttachment(req, res);
+  if (!attachment) return;
+
+  const isUploader = attachment.uploadedBy.toString() === req.user.id;
+  if (!isUploader && !req.project.hasPermission(req.user, 'issue:delete')) {
+    return res.status(403).json({ msg: 'Not authorized to delete this attachment' });
+  }
+
+  await getStorage().remove(attachment.storageKey);
+  await attachment.deleteOne();
+
+  res.json({ msg: 'Attachment removed successfully' });
+}));
+
+module.exports = router;
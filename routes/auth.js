@@ -3,20 +3,67 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs'); // For password hashing
-const jwt = require('jsonwebtoken'); // For creating and verifying tokens
 const asyncHandler = require('../middleware/asyncHandler'); // Custom async error handler
 const User = require('../models/User'); // User model
 const { protect } = require('../middleware/auth'); // Auth middleware
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const Session = require('../models/Session'); // Session model
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  getAuthCookieOptions,
+} = require('../utils/sessions');
+const AccessToken = require('../models/AccessToken'); // Personal access token model
+const { parseTokenRequest, createAccessToken } = require('../utils/accessTokens');
+const { checkLoginLock, recordLoginFailure, clearLoginFailures } = require('../utils/loginThrottle');
+const { sendMail } = require('../mail'); // Outgoing email (transport chosen by MAIL_TRANSPORT)
+const { renderPasswordReset, renderEmailVerification } = require('../mail/templates');
 
-// Helper function to generate JWT token
-const getSignedJwtToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
+// Helper function to send the access and refresh tokens in cookies and in the body
+const sendTokenResponse = (res, statusCode, user, { accessToken, refreshToken }) => {
+  res.status(statusCode)
+    .cookie('token', accessToken, getAuthCookieOptions('token'))
+    .cookie('refreshToken', refreshToken, getAuthCookieOptions('refreshToken'))
+    .json({
+      success: true,
+      token: accessToken, // Also send in body for frontend to use (e.g., localStorage fallback, Axios interceptor)
+      refreshToken, // Exchange at POST /api/auth/refresh when the short-lived access token expires
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        isVerified: user.isVerified,
+      },
+    });
+};
+
+// Helper function to email a new verification link to a user (the user is saved with the token)
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  sendMail({ to: user.email, ...renderEmailVerification(user, verificationToken, user.verificationExpire) });
+};
+
+// Helper function to check a new password before it is saved, matching the User model's minimum length
+const validateNewPassword = (password) => {
+  if (!password || typeof password !== 'string') return 'Please provide a new password';
+  if (password.length < 6) return 'Password must be at least 6 characters';
+  return null;
+};
+
+// Helper function to clear both auth cookies
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', getAuthCookieOptions('token', true));
+  res.cookie('refreshToken', 'none', getAuthCookieOptions('refreshToken', true));
 };
 
 // @route POST /api/auth/register
-// @desc Register user
+// @desc Register user and email them a link to verify their email address.
+// Until then, the actions in UNVERIFIED_RESTRICTIONS are not allowed (see config/verification.js).
 // @access Public
 router.post('/register', asyncHandler(async (req, res, next) => {
   const { username, email, password } = req.body;
@@ -37,25 +84,18 @@ router.post('/register', asyncHandler(async (req, res, next) => {
     username,
     email,
     password, // Password will be hashed by pre-save hook in User model
+    isVerified: false, // Until the link in the verification email is opened
   });
+  await sendVerificationEmail(user);
 
-  // Generate token and send response
-  const token = getSignedJwtToken(user._id);
-
-  res.status(201).json({
-    success: true,
-    token,
-    user: {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-    },
-  });
+  // Start a session and send the tokens
+  const tokens = await createSession(user, req);
+  sendTokenResponse(res, 201, user, tokens);
 }));
 
 // @route POST /api/auth/login
-// @desc Login user
+// @desc Login user. After too many failed attempts for an account or from an IP address,
+// logins are locked for a while, longer with every further failure (see utils/loginThrottle.js).
 // @access Public
 router.post('/login', asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
@@ -65,56 +105,62 @@ router.post('/login', asyncHandler(async (req, res, next) => {
     return res.status(400).json({ msg: 'Please enter all fields' });
   }
 
+  // Refuse locked logins before checking the password, so guesses during a lockout tell nothing
+  const lockedFor = await checkLoginLock(email, req.ip);
+  if (lockedFor) {
+    res.set('Retry-After', String(lockedFor));
+    return res.status(429).json({ msg: `Too many failed login attempts, please try again in ${Math.ceil(lockedFor / 60)} minute(s)` });
+  }
+
   // Check for user
   const user = await User.findOne({ email }).select('+password'); // Select password explicitly
 
-  if (!user) {
-    return res.status(400).json({ msg: 'Invalid credentials' });
-  }
-
   // Check if password matches
-  const isMatch = await user.matchPassword(password);
+  const isMatch = user ? await user.matchPassword(password) : false;
 
   if (!isMatch) {
+    await recordLoginFailure(email, req.ip);
     return res.status(400).json({ msg: 'Invalid credentials' });
   }
+  await clearLoginFailures(email);
 
-  // Generate token
-  const token = getSignedJwtToken(user._id);
+  // Start a session and send the tokens
+  const tokens = await createSession(user, req);
+  sendTokenResponse(res, 200, user, tokens);
+}));
 
-  // Set cookie options
-  const options = {
-    expires: new Date(Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000), // Convert days to milliseconds
-    httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
-    secure: process.env.NODE_ENV === 'production', // Only send over HTTPS in production
-    sameSite: 'Lax', // Or 'Strict' or 'None' (with secure: true)
-  };
+// @route POST /api/auth/refresh
+// @desc Exchange a refresh token (body `refreshToken` or the refreshToken cookie) for new tokens.
+// Each refresh token can be used once; using one again revokes its session.
+// @access Public
+router.post('/refresh', asyncHandler(async (req, res, next) => {
+  const refreshToken = (req.body && req.body.refreshToken) || req.cookies.refreshToken;
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return res.status(401).json({ msg: 'No refresh token provided' });
+  }
 
-  // Send response with token in cookie and body
-  res.status(200)
-    .cookie('token', token, options) // Set cookie
-    .json({
-      success: true,
-      token, // Also send in body for frontend to use (e.g., localStorage fallback, Axios interceptor)
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-      },
-    });
+  const result = await rotateSession(refreshToken, req);
+  if (result.statusCode) {
+    clearAuthCookies(res);
+    return res.status(result.statusCode).json({ msg: result.msg });
+  }
+
+  const user = await User.findById(result.session.user);
+  if (!user) {
+    await revokeSession(result.session._id, 'revoked');
+    clearAuthCookies(res);
+    return res.status(401).json({ msg: 'User no longer exists' });
+  }
+
+  sendTokenResponse(res, 200, user, result);
 }));
 
 // @route GET /api/auth/logout
-// @desc Log user out / clear cookie
+// @desc Log user out: end the current session and clear the cookies
 // @access Private
 router.get('/logout', protect, asyncHandler(async (req, res, next) => {
-  res.cookie('token', 'none', {
-    expires: new Date(Date.now() + 10 * 1000), // Expire in 10 seconds
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'Lax',
-  });
+  await revokeSession(req.authSession._id, 'logout');
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -122,6 +168,269 @@ router.get('/logout', protect, asyncHandler(async (req, res, next) => {
   });
 }));
 
+// @route GET /api/auth/sessions
+// @desc Get the current user's active sessions (device, IP, last seen), most recently used first
+// @access Private
+router.get('/sessions', protect, asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastSeenAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    sessions: sessions.map(session => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id),
+    })),
+  });
+}));
+
+// @route DELETE /api/auth/sessions
+// @desc Log out everywhere: end all sessions of the current user
+// (with `?exceptCurrent=true`, every session but the current one)
+// @access Private
+router.delete('/sessions', protect, asyncHandler(async (req, res, next) => {
+  const exceptCurrent = req.query.exceptCurrent === 'true';
+  const revoked = await revokeUserSessions(req.user._id, 'logout_all', {
+    except: exceptCurrent ? req.authSession._id : undefined,
+  });
+  if (!exceptCurrent) clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    revoked,
+    msg: exceptCurrent ? 'Logged out of all other sessions' : 'Logged out of all sessions',
+  });
+}));
+
+// @route DELETE /api/auth/sessions/:sessionId
+// @desc End one of the current user's sessions
+// @access Private
+router.delete('/sessions/:sessionId', protect, asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+    return res.status(400).json({ msg: 'Invalid Session ID format' });
+  }
+
+  const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id, revokedAt: null });
+  if (!session) {
+    return res.status(404).json({ msg: 'Session not found' });
+  }
+
+  await revokeSession(session._id, 'revoked');
+  const current = session._id.equals(req.authSession._id);
+  if (current) clearAuthCookies(res);
+
+  res.status(200).json({
+    success: true,
+    msg: current ? 'Current session ended; logged out' : 'Session revoked successfully',
+  });
+}));
+
+// @route GET /api/auth/verify/:token
+// @desc Verify the email address with the token from the verification email
+// @access Public
+router.get('/verify/:token', asyncHandler(async (req, res, next) => {
+  // Claim the token atomically so it cannot be used twice
+  const user = await User.findOneAndUpdate(
+    { verificationToken: User.hashToken(req.params.token), verificationExpire: { $gt: new Date() } },
+    { $set: { isVerified: true }, $unset: { verificationToken: 1, verificationExpire: 1 } },
+    { new: true }
+  );
+  if (!user) {
+    return res.status(400).json({ msg: 'Invalid or expired verification token' });
+  }
+
+  res.status(200).json({
+    success: true,
+    msg: 'Email address verified successfully',
+  });
+}));
+
+// @route POST /api/auth/verify/resend
+// @desc Email a new verification link to the current user (earlier links stop working)
+// @access Private
+router.post('/verify/resend', protect, asyncHandler(async (req, res, next) => {
+  if (req.user.isVerified !== false) {
+    return res.status(400).json({ msg: 'Email address is already verified' });
+  }
+
+  const user = await User.findById(req.user._id);
+  await sendVerificationEmail(user);
+
+  res.status(200).json({
+    success: true,
+    msg: `A new verification link has been sent to ${user.email}`,
+  });
+}));
+
+// @route GET /api/auth/tokens
+// @desc Get the current user's personal access tokens (without the tokens themselves), newest first
+// @access Private (requires a signed-in session; access tokens cannot manage tokens)
+router.get('/tokens', protect, asyncHandler(async (req, res, next) => {
+  const tokens = await AccessToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: tokens.length,
+    tokens: tokens.map(token => ({
+      id: token._id,
+      name: token.name,
+      tokenPrefix: token.tokenPrefix,
+      scopes: token.scopes,
+      createdAt: token.createdAt,
+      expiresAt: token.expiresAt,
+      expired: token.isExpired(),
+      lastUsedAt: token.lastUsedAt,
+      lastUsedIp: token.lastUsedIp,
+    })),
+  });
+}));
+
+// @route POST /api/auth/tokens
+// @desc Create a personal access token for scripts and CI (body: name, scopes, expiresInDays).
+// Send it as `Authorization: Bearer <token>`. The token is only returned once.
+// @access Private (requires a signed-in session)
+router.post('/tokens', protect, asyncHandler(async (req, res, next) => {
+  const options = parseTokenRequest(req.body);
+  if (options.statusCode) {
+    return res.status(options.statusCode).json({ msg: options.msg });
+  }
+
+  const { accessToken, token } = await createAccessToken(req.user._id, options);
+
+  res.status(201).json({
+    success: true,
+    token, // Not stored; cannot be shown again
+    id: accessToken._id,
+    name: accessToken.name,
+    tokenPrefix: accessToken.tokenPrefix,
+    scopes: accessToken.scopes,
+    expiresAt: accessToken.expiresAt,
+    msg: 'Copy the token now; it will not be shown again',
+  });
+}));
+
+// @route DELETE /api/auth/tokens/:tokenId
+// @desc Revoke one of the current user's personal access tokens
+// @access Private (requires a signed-in session)
+router.delete('/tokens/:tokenId', protect, asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.tokenId)) {
+    return res.status(400).json({ msg: 'Invalid Token ID format' });
+  }
+
+  const { deletedCount } = await AccessToken.deleteOne({ _id: req.params.tokenId, user: req.user._id });
+  if (!deletedCount) {
+    return res.status(404).json({ msg: 'Access token not found' });
+  }
+
+  res.status(200).json({
+    success: true,
+    msg: 'Access token revoked successfully',
+  });
+}));
+
+// @route POST /api/auth/forgot-password
+// @desc Email a single-use password reset link. The response is the same whether or not
+// an account uses the email, so it cannot be used to find out who has an account.
+// @access Public
+router.post('/forgot-password', asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+  if (!email || typeof email !== 'string') {
+    return res.status(400).json({ msg: 'Please provide an email' });
+  }
+
+  const user = await User.findOne({ email: email.trim() });
+  if (user) {
+    // A new token replaces any earlier one, so only the latest link works
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    sendMail({ to: user.email, ...renderPasswordReset(user, resetToken, user.resetPasswordExpire) });
+  }
+
+  res.status(200).json({
+    success: true,
+    msg: 'If an account exists for this email, a password reset link has been sent to it',
+  });
+}));
+
+// @route PUT /api/auth/reset-password/:token
+// @desc Set a new password with a reset token from the email (body: password).
+// The token can be used once; all existing sessions are ended, all personal access tokens
+// are deleted and a new session is started.
+// @access Public
+router.put('/reset-password/:token', asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+  const invalid = validateNewPassword(password);
+  if (invalid) {
+    return res.status(400).json({ msg: invalid });
+  }
+
+  // Claim the token and set the password in one atomic update, so the token cannot be used twice
+  // and is not used up unless the password is changed
+  const user = await User.findOneAndUpdate(
+    { resetPasswordToken: User.hashToken(req.params.token), resetPasswordExpire: { $gt: new Date() } },
+    {
+      $set: { password: await User.hashPassword(password) },
+      $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 },
+    },
+    { new: true }
+  );
+  if (!user) {
+    return res.status(400).json({ msg: 'Invalid or expired password reset token' });
+  }
+
+  await revokeUserSessions(user._id, 'password_reset');
+  await AccessToken.deleteMany({ user: user._id }); // Tokens may have been created by whoever had the account
+  const tokens = await createSession(user, req);
+  sendTokenResponse(res, 200, user, tokens);
+}));
+
+// @route PUT /api/auth/password
+// @desc Change the current user's password (body: currentPassword, newPassword).
+// All other sessions are ended and all personal access tokens are deleted; the current session
+// stays signed in.
+// @access Private
+router.put('/password', protect, asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!currentPassword) {
+    return res.status(400).json({ msg: 'Please provide your current password' });
+  }
+  const invalid = validateNewPassword(newPassword);
+  if (invalid) {
+    return res.status(400).json({ msg: invalid });
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!(await user.matchPassword(currentPassword))) {
+    return res.status(400).json({ msg: 'Current password is incorrect' });
+  }
+  if (currentPassword === newPassword) {
+    return res.status(400).json({ msg: 'The new password must be different from the current password' });
+  }
+
+  user.password = newPassword; // Hashed by the pre-save hook in the User model
+  user.resetPasswordToken = undefined; // A pending reset link is no longer needed
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  const revoked = await revokeUserSessions(user._id, 'password_change', { except: req.authSession._id });
+  const { deletedCount: deletedTokens } = await AccessToken.deleteMany({ user: user._id });
+
+  res.status(200).json({
+    success: true,
+    revoked,
+    deletedTokens,
+    msg: 'Password changed successfully; you have been logged out of all other sessions and your access tokens have been deleted',
+  });
+}));
+
 // @route GET /api/auth/me
 // @desc Get current logged in user
 // @access Private
@@ -136,6 +445,7 @@ router.get('/me', protect, asyncHandler(async (req, res, next) => {
       username: user.username,
       email: user.email,
       role: user.role,
+      isVerified: user.isVerified,
     },
   });
 }));
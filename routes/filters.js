@@ -0,0 +1,292 @@
+// backend/routes/filters.js
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect } = require('../middleware/auth'); // Import authentication middleware
+const asyncHandler = require('../middleware/asyncHandler'); // Import asyncHandler
+const { canAccessProject, getAccessibleProjectIds } = require('../middleware/projectAccess');
+const { FILTER_PARAMS, buildIssueQuery, findIssues } = require('../utils/issueFilters');
+const { parseQuery, runIssueQuery } = require('../query');
+
+const SavedFilter = require('../models/SavedFilter');
+const Project = require('../models/Project');
+const User = require('../models/User');
+
+// Whether a user may see and run a saved filter
+const canViewFilter = async (filter, user) => {
+  if (user.role === 'admin' || filter.owner.toString() === user.id) return true;
+  if (filter.visibility === 'public') return true;
+  if (filter.visibility === 'project') {
+    return canAccessProject(await Project.findById(filter.project), user);
+  }
+  return false;
+};
+
+// Only the owner (or an admin) can change or delete a filter
+const canEditFilter = (filter, user) => user.role === 'admin' || filter.owner.toString() === user.id;
+
+// Load the filter from :id, responding with 404 if it doesn't exist or isn't visible to the user
+const loadFilter = asyncHandler(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ msg: 'Invalid Filter ID format' });
+  }
+
+  const filter = await SavedFilter.findById(req.params.id);
+  if (!filter || !await canViewFilter(filter, req.user)) {
+    return res.status(404).json({ msg: 'Filter not found' });
+  }
+
+  req.filter = filter;
+  next();
+});
+
+// Criteria values are strings, like the query string parameters of GET /api/issues; `labels` may also be a list
+const isCriteriaValue = (param, value) => typeof value === 'string'
+  || (param === 'labels' && Array.isArray(value) && value.every(label => typeof label === 'string'));
+
+// Validate the definition of a filter being created or updated and apply it to the document.
+// Returns `{ statusCode, msg }` if it is invalid, otherwise null.
+const applyFilterDefinition = async (filter, body, user) => {
+  const { name, description, visibility, project, criteria, query } = body;
+
+  if (name !== undefined) filter.name = name;
+  if (description !== undefined) filter.description = description;
+  if (visibility !== undefined) filter.visibility = visibility;
+  if (project !== undefined) {
+    if (project && !mongoose.Types.ObjectId.isValid(project)) {
+      return { statusCode: 400, msg: 'Invalid Project ID format' };
+    }
+    filter.project = project || null;
+  }
+
+  // Sharing with a project requires access to it, whether the visibility or the project changed
+  if (filter.visibility === 'project' && (visibility !== undefined || project !== undefined)) {
+    if (!filter.project) {
+      return { statusCode: 400, msg: 'Please choose the project to share the filter with' };
+    }
+    if (!canAccessProject(await Project.findById(filter.project), user)) {
+      return { statusCode: 403, msg: 'Not authorized to share filters with this project' };
+    }
+  }
+
+  if (criteria !== undefined) {
+    if (criteria !== null && (typeof criteria !== 'object' || Array.isArray(criteria))) {
+      return { statusCode: 400, msg: 'Filter criteria must be an object of issue filter parameters' };
+    }
+    const unknown = Object.keys(criteria || {}).find(param => !FILTER_PARAMS.includes(param));
+    if (unknown) {
+      return { statusCode: 400, msg: `Unknown filter parameter '${unknown}'. Allowed parameters: ${FILTER_PARAMS.join(', ')}` };
+    }
+    // Values are used as-is in the issue query, so operators like { "$ne": ... } must not get through
+    const invalid = Object.entries(criteria || {}).find(([param, value]) => !isCriteriaValue(param, value));
+    if (invalid) {
+      return { statusCode: 400, msg: `Filter parameter '${invalid[0]}' must be a string${invalid[0] === 'labels' ? ' or an array of strings' : ''}` };
+    }
+    // Check the criteria the same way GET /api/issues would
+    const built = await buildIssueQuery(criteria || {}, user);
+    if (built.statusCode) return built;
+    filter.criteria = criteria || undefined;
+  }
+
+  if (query !== undefined) {
+    if (query) parseQuery(query); // Throws a 400 with the position of any syntax error
+    filter.query = query || undefined;
+  }
+
+  if (!filter.query && !filter.criteria) {
+    return { statusCode: 400, msg: 'Please provide filter criteria or a query' };
+  }
+
+  return null;
+};
+
+/**
+ * @route GET /api/filters
+ * @desc Get the saved filters available to the authenticated user: their own, those shared with
+ * their projects and public ones
+ * @access Private
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const accessibleProjectIds = await getAccessibleProjectIds(req.user);
+
+  const query = { $or: [{ owner: req.user.id }, { visibility: 'public' }, { visibility: 'project' }] };
+  if (accessibleProjectIds) {
+    query.$or[2].project = { $in: accessibleProjectIds };
+  }
+
+  const filters = await SavedFilter.find(query)
+    .sort({ name: 1 })
+    .populate('owner', 'username email')
+    .populate('project', 'name key');
+
+  const defaultFilter = req.user.defaultFilter ? req.user.defaultFilter.toString() : null;
+  res.json(filters.map(filter => ({
+    ...filter.toObject(),
+    isOwner: Boolean(filter.owner) && filter.owner._id.toString() === req.user.id, // The owner may have been deleted
+    isDefault: filter._id.toString() === defaultFilter,
+  })));
+}));
+
+/**
+ * @route POST /api/filters
+ * @desc Save a filter
+ * @access Private
+ *
+ * Body:
+ * - name: Filter name
+ * - description: (optional) What the filter is for
+ * - visibility: 'private' (default), 'project' or 'public'
+ * - project: Project to share with (required for 'project' visibility)
+ * - criteria: GET /api/issues parameters, e.g. { "project": "...", "status": "Open", "sortBy": "priority" }
+ * - query: Issue query language string, used instead of criteria (see GET /api/issues/query)
+ */
+router.post('/', protect, asyncHandler(async (req, res) => {
+  if (!req.body.name || !String(req.body.name).trim()) {
+    return res.status(400).json({ msg: 'Filter name is required' });
+  }
+
+  const filter = new SavedFilter({ owner: req.user.id });
+  const definitionError = await applyFilterDefinition(filter, req.body, req.user);
+  if (definitionError) {
+    return res.status(definitionError.statusCode).json({ msg: definitionError.msg });
+  }
+
+  await filter.save(); // Mongoose validates visibility and the project requirement
+
+  res.status(201).json(filter);
+}));
+
+/**
+ * @route GET /api/filters/default
+ * @desc Get the authenticated user's default filter
+ * @access Private
+ */
+router.get('/default', protect, asyncHandler(async (req, res) => {
+  const filter = req.user.defaultFilter ? await SavedFilter.findById(req.user.defaultFilter) : null;
+
+  // A default that was deleted or is no longer shared with the user no longer applies
+  if (!filter || !await canViewFilter(filter, req.user)) {
+    return res.status(404).json({ msg: 'No default filter set' });
+  }
+
+  res.json(filter);
+}));
+
+/**
+ * @route DELETE /api/filters/default
+ * @desc Clear the authenticated user's default filter
+ * @access Private
+ */
+router.delete('/default', protect, asyncHandler(async (req, res) => {
+  await User.findByIdAndUpdate(req.user.id, { $set: { defaultFilter: null } });
+
+  res.json({ msg: 'Default filter cleared' });
+}));
+
+/**
+ * @route GET /api/filters/:id
+ * @desc Get a saved filter
+ * @access Private (owner, or users the filter is shared with)
+ */
+router.get('/:id', protect, loadFilter, asyncHandler(async (req, res) => {
+  await req.filter.populate([
+    { path: 'owner', select: 'username email' },
+    { path: 'project', select: 'name key' },
+  ]);
+
+  res.json(req.filter);
+}));
+
+/**
+ * @route PUT /api/filters/:id
+ * @desc Update a saved filter
+ * @access Private (owner only)
+ */
+router.put('/:id', protect, loadFilter, asyncHandler(async (req, res) => {
+  if (!canEditFilter(req.filter, req.user)) {
+    return res.status(403).json({ msg: 'Only the owner can change this filter' });
+  }
+  if (req.body.name !== undefined && !String(req.body.name || '').trim()) {
+    return res.status(400).json({ msg: 'Filter name is required' });
+  }
+
+  const definitionError = await applyFilterDefinition(req.filter, req.body, req.user);
+  if (definitionError) {
+    return res.status(definitionError.statusCode).json({ msg: definitionError.msg });
+  }
+
+  await req.filter.save();
+
+  res.json(req.filter);
+}));
+
+/**
+ * @route DELETE /api/filters/:id
+ * @desc Delete a saved filter (and unset it wherever it is a default view)
+ * @access Private (owner only)
+ */
+router.delete('/:id', protect, loadFilter, asyncHandler(async (req, res) => {
+  if (!canEditFilter(req.filter, req.user)) {
+    return res.status(403).json({ msg: 'Only the owner can delete this filter' });
+  }
+
+  await User.updateMany({ defaultFilter: req.filter._id }, { $set: { defaultFilter: null } });
+  await req.filter.deleteOne();
+
+  res.json({ msg: 'Filter removed successfully' });
+}));
+
+/**
+ * @route GET /api/filters/:id/run
+ * @desc Run a saved filter and return the matching issues
+ * @access Private (owner, or users the filter is shared with)
+ *
+ * The filter runs with the permissions of the caller, so shared filters only ever return
+ * issues from projects the caller can access.
+ *
+ * Query Parameters:
+ * - page: Current page number (default 1)
+ * - limit: Number of issues per page (default 10)
+ */
+router.get('/:id/run', protect, loadFilter, asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.max(parseInt(req.query.limit) || 10, 1);
+
+  let result;
+  if (req.filter.query) {
+    result = await runIssueQuery(req.filter.query, {
+      user: req.user,
+      accessibleProjectIds: await getAccessibleProjectIds(req.user),
+      page,
+      limit,
+    });
+  } else {
+    const built = await buildIssueQuery(req.filter.criteria || {}, req.user);
+    if (built.statusCode) {
+      return res.status(built.statusCode).json({ msg: built.msg });
+    }
+    result = await findIssues(built, { page, limit });
+  }
+
+  res.json({
+    filter: { _id: req.filter._id, name: req.filter.name },
+    total: result.total,
+    page,
+    limit,
+    issues: result.issues,
+  });
+}));
+
+/**
+ * @route PUT /api/filters/:id/default
+ * @desc Make a saved filter the authenticated user's default view
+ * @access Private (owner, or users the filter is shared with)
+ */
+router.put('/:id/default', protect, loadFilter, asyncHandler(async (req, res) => {
+  await User.findByIdAndUpdate(req.user.id, { $set: { defaultFilter: req.filter._id } });
+
+  res.json({ msg: `'${req.filter.name}' is now your default filter`, filter: req.filter });
+}));
+
+module.exports = router;
@@ -0,0 +1,298 @@
+// backend/routes/issueBulk.js
+
+// Mounted by routes/issues.js on /api/issues/bulk
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { protect, requireScope } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { canAccessProject, getAccessibleProjectIds } = require('../middleware/projectAccess');
+
+const Issue = require('../models/Issue');
+const Attachment = require('../models/Attachment');
+const Project = require('../models/Project');
+const { findIssueByRef } = require('../utils/issueKeys');
+const { FILTER_PARAMS, buildIssueQuery } = require('../utils/issueFilters');
+const { canDeleteIssue, updateIssue, notifyIssueUpdate } = require('../utils/issueUpdates');
+const { compileIssueMatch } = require('../query');
+
+// Most issues a single bulk request may touch
+const MAX_BULK_ISSUES = 200;
+
+// Fields a bulk update may change
+const BULK_UPDATE_FIELDS = ['status', 'priority', 'assignedTo', 'project'];
+
+const BULK_ACTIONS = ['update', 'delete'];
+const BULK_MODES = ['partial', 'atomic'];
+
+// Thrown inside the transaction of an atomic run to roll it back
+class BulkAbort extends Error {
+  constructor(result) {
+    super(result.msg);
+    this.result = result;
+  }
+}
+
+// Find the issues a request targets: an explicit list of IDs/keys, GET /api/issues filter
+// parameters or an issue query. Returns `{ targets }` where each target is `{ ref, issue }` (issue is
+// null with `error` set for unknown references), or `{ statusCode, msg }` if the selection is invalid.
+const resolveTargets = async ({ issues, filter, query }, user) => {
+  const selectors = [issues, filter, query].filter(selector => selector !== undefined);
+  if (selectors.length !== 1) {
+    return { statusCode: 400, msg: "Select issues with exactly one of 'issues', 'filter' or 'query'" };
+  }
+
+  if (issues !== undefined) {
+    if (!Array.isArray(issues) || issues.length === 0) {
+      return { statusCode: 400, msg: "'issues' must be a non-empty array of issue IDs or keys" };
+    }
+    if (issues.length > MAX_BULK_ISSUES) {
+      return { statusCode: 400, msg: `Bulk operations are limited to ${MAX_BULK_ISSUES} issues` };
+    }
+
+    const targets = [];
+    const seen = new Set();
+    for (const ref of issues) {
+      const found = await findIssueByRef(ref);
+      if (!found) {
+        targets.push({ ref, issue: null, error: { statusCode: 400, msg: 'Invalid Issue ID format' } });
+      } else if (!found.issue) {
+        targets.push({ ref, issue: null, error: { statusCode: 404, msg: 'Issue not found' } });
+      } else if (!seen.has(found.issue.id)) { // The same issue listed twice (e.g. by ID and key) is handled once
+        seen.add(found.issue.id);
+        targets.push({ ref, issue: found.issue });
+      }
+    }
+    return { targets };
+  }
+
+  let found;
+  if (filter !== undefined) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return { statusCode: 400, msg: "'filter' must be an object of issue filter parameters" };
+    }
+    const unknown = Object.keys(filter).find(param => !FILTER_PARAMS.includes(param));
+    if (unknown) {
+      return { statusCode: 400, msg: `Unknown filter parameter '${unknown}'. Allowed parameters: ${FILTER_PARAMS.join(', ')}` };
+    }
+    // An empty filter would select every issue the user can see
+    if (!Object.keys(filter).some(param => !['sortBy', 'order'].includes(param) && filter[param])) {
+      return { statusCode: 400, msg: 'The filter must contain at least one criterion' };
+    }
+    const built = await buildIssueQuery(filter, user);
+    if (built.statusCode) return built;
+    found = await Issue.find(built.query).sort(built.sort).limit(MAX_BULK_ISSUES + 1);
+  } else {
+    if (typeof query !== 'string' || !query.trim()) {
+      return { statusCode: 400, msg: "'query' must be an issue query" };
+    }
+    const { match } = await compileIssueMatch(query, { user, accessibleProjectIds: await getAccessibleProjectIds(user) });
+    found = await Issue.find(match).sort({ createdAt: -1 }).limit(MAX_BULK_ISSUES + 1);
+  }
+
+  if (found.length > MAX_BULK_ISSUES) {
+    return { statusCode: 400, msg: `The selection matches more than ${MAX_BULK_ISSUES} issues; narrow it down` };
+  }
+  return { targets: found.map(issue => ({ ref: issue.key || issue.id, issue })) };
+};
+
+// Apply (or with dryRun, check) the action to one issue, with the same rules as the single-issue routes.
+// Returns `{ ok: true, changes, update }` or `{ ok: false, statusCode, msg, ... }`.
+const processIssue = async (issue, projects, { action, update, user, dryRun }) => {
+  const projectId = issue.project.toString();
+  if (!projects.has(projectId)) projects.set(projectId, await Project.findById(issue.project));
+  const project = projects.get(projectId);
+
+  if (!canAccessProject(project, user)) {
+    return { ok: false, statusCode: 403, msg: 'Not authorized to access issues in this project' };
+  }
+
+  if (action === 'delete') {
+    if (!canDeleteIssue(issue, project, user)) {
+      return { ok: false, statusCode: 403, msg: 'Not authorized to delete this issue' };
+    }
+    if (!dryRun) await issue.deleteOne(); // The 'deleteOne' pre-hook removes comments, history, links and attachments
+    return { ok: true };
+  }
+
+  if (!project.hasPermission(user, 'issue:update')) {
+    return { ok: false, statusCode: 403, msg: 'Not authorized to update issues in this project' };
+  }
+  const result = await updateIssue(issue, project, update, user, { dryRun });
+  if (result.statusCode) {
+    return { ok: false, statusCode: result.statusCode, ...result.body };
+  }
+  return { ok: true, changes: result.changes, update: result };
+};
+
+// Turn an unexpected error while processing one issue into a per-item failure
+const describeError = (err) => {
+  if (err.name === 'ValidationError') {
+    return { ok: false, statusCode: 400, msg: Object.values(err.errors).map(val => val.message).join(', ') };
+  }
+  if (err.name === 'CastError') {
+    return { ok: false, statusCode: 400, msg: `Invalid value for ${err.path}` };
+  }
+  console.error(err.stack);
+  return { ok: false, statusCode: 500, msg: 'Server Error' };
+};
+
+// Response entry for one target
+const describeResult = (target, result) => {
+  const { update, ...rest } = result;
+  return {
+    issue: target.issue ? target.issue._id : null,
+    key: target.issue ? target.issue.key : undefined,
+    ref: target.ref,
+    ...rest,
+  };
+};
+
+/**
+ * @route POST /api/issues/bulk
+ * @desc Update or delete many issues at once
+ * @access Private (requires authentication; every issue is checked against the same permissions and
+ * rules as PUT and DELETE /api/issues/:id)
+ *
+ * Body:
+ * - Exactly one of:
+ *   - issues: Array of issue IDs or keys
+ *   - filter: GET /api/issues filter parameters, e.g. { "project": "...", "status": "Resolved" }
+ *   - query: Issue query, e.g. "status = Resolved AND updated < now-30d" (see GET /api/issues/query)
+ * - action: 'update' or 'delete'
+ * - update: For 'update', the fields to change: status, priority, assignedTo (null to unassign), project
+ * - mode: 'partial' (default) applies every issue that passes and reports per-issue success or failure;
+ *   'atomic' applies all issues in one transaction, or none of them if any fails
+ * - dryRun: true to only report what would happen
+ *
+ * At most 200 issues can be changed per request. Atomic mode needs MongoDB to run as a replica set.
+ * In atomic mode, stored attachment files of deleted issues are only removed once the transaction has committed.
+ */
+router.post('/', protect, requireScope('issues:write'), asyncHandler(async (req, res) => {
+  const { action, update = {}, mode = 'partial', dryRun = false } = req.body;
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return res.status(400).json({ msg: `Action must be one of: ${BULK_ACTIONS.join(', ')}` });
+  }
+  if (!BULK_MODES.includes(mode)) {
+    return res.status(400).json({ msg: `Mode must be one of: ${BULK_MODES.join(', ')}` });
+  }
+  if (action === 'update') {
+    if (!update || typeof update !== 'object' || Array.isArray(update) || Object.keys(update).length === 0) {
+      return res.status(400).json({ msg: `Please provide the fields to update (${BULK_UPDATE_FIELDS.join(', ')})` });
+    }
+    const unsupported = Object.keys(update).find(field => !BULK_UPDATE_FIELDS.includes(field));
+    if (unsupported) {
+      return res.status(400).json({ msg: `Field '${unsupported}' cannot be changed in bulk. Allowed fields: ${BULK_UPDATE_FIELDS.join(', ')}` });
+    }
+  }
+
+  const selection = await resolveTargets(req.body, req.user);
+  if (selection.statusCode) {
+    return res.status(selection.statusCode).json({ msg: selection.msg });
+  }
+  const { targets } = selection;
+
+  const options = { action, update, user: req.user };
+  const projects = new Map(); // Projects loaded so far, by ID
+
+  const summarize = (results) => ({
+    action,
+    mode,
+    dryRun: Boolean(dryRun),
+    total: results.length,
+    succeeded: results.filter(result => result.ok).length,
+    failed: results.filter(result => !result.ok).length,
+    results,
+  });
+
+  // Dry runs, and the validation pass of atomic runs, check every issue without saving anything
+  const validate = async () => {
+    const results = [];
+    for (const target of targets) {
+      const result = target.issue
+        ? await processIssue(target.issue, projects, { ...options, dryRun: true })
+        : { ok: false, ...target.error };
+      results.push(describeResult(target, result));
+    }
+    return results;
+  };
+
+  if (dryRun) {
+    return res.json(summarize(await validate()));
+  }
+
+  if (mode === 'partial') {
+    const results = [];
+    for (const target of targets) {
+      let result = target.issue ? null : { ok: false, ...target.error };
+      if (!result) {
+        try {
+          result = await processIssue(target.issue, projects, options);
+        } catch (err) {
+          result = describeError(err);
+        }
+      }
+      if (result.update) await notifyIssueUpdate(result.update, req.user);
+      results.push(describeResult(target, result));
+    }
+    return res.json(summarize(results));
+  }
+
+  // Atomic: check everything first, so a rollback is only needed for failures nobody could predict
+  const checked = await validate();
+  if (checked.some(result => !result.ok)) {
+    return res.status(422).json({
+      msg: 'No issues were changed because some of them cannot be processed',
+      ...summarize(checked),
+    });
+  }
+
+  let results;
+  let updates;
+  let storageKeys; // Stored files of deleted attachments, removed after the commit
+  try {
+    await mongoose.connection.transaction(async () => {
+      // The callback may be retried, so start from freshly loaded issues every time
+      results = [];
+      updates = [];
+      storageKeys = [];
+      projects.clear();
+      for (const target of targets) {
+        const issue = await Issue.findById(target.issue._id);
+        if (issue && action === 'delete') {
+          const attachments = await Attachment.find({ issue: issue._id }).select('storageKey');
+          storageKeys.push(...attachments.map(attachment => attachment.storageKey));
+        }
+        const result = issue
+          ? await processIssue(issue, projects, options)
+          : { ok: false, statusCode: 404, msg: 'Issue not found' };
+        if (!result.ok) throw new BulkAbort(describeResult(target, result));
+        if (result.update) updates.push(result.update);
+        results.push(describeResult(target, result));
+      }
+    });
+  } catch (err) {
+    if (err instanceof BulkAbort) {
+      return res.status(409).json({
+        msg: `No issues were changed: ${err.result.ref} failed while applying the changes (${err.result.msg})`,
+        failure: err.result,
+      });
+    }
+    // Standalone servers reject transactions (IllegalOperation)
+    if (err.code === 20 || /replica set/i.test(err.message)) {
+      return res.status(400).json({ msg: "Atomic mode requires MongoDB to run as a replica set; use mode 'partial'" });
+    }
+    throw err;
+  }
+
+  // Only remove files and notify once the changes are committed
+  await Attachment.removeStoredFiles(storageKeys);
+  for (const result of updates) {
+    await notifyIssueUpdate(result, req.user);
+  }
+
+  res.json(summarize(results));
+}));
+
+module.exports = router;
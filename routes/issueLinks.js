@@ -0,0 +1,97 @@
+// backend/routes/issueLinks.js
+
+// Mounted by routes/issues.js on /api/issues/:issueId/links
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :issueId from the parent router
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect, authorizeProject, requireScope } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { canAccessProject, getAccessibleProjectIds, loadIssue } = require('../middleware/projectAccess');
+
+const IssueLink = require('../models/IssueLink');
+const Project = require('../models/Project');
+const { LINK_RELATIONS, resolveLinkRelation, validateLink, describeLink, getLinkSummary } = require('../utils/issueLinks');
+const { findIssueByRef } = require('../utils/issueKeys');
+
+/**
+ * @route GET /api/issues/:issueId/links
+ * @desc Get the links of an issue, grouped by relation (e.g. 'blocks', 'is_blocked_by', 'subtask_of')
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/', protect, requireScope('issues:read'), loadIssue('issueId'), asyncHandler(async (req, res) => {
+  const accessibleProjectIds = await getAccessibleProjectIds(req.user);
+
+  res.json(await getLinkSummary(req.issue._id, accessibleProjectIds));
+}));
+
+/**
+ * @route POST /api/issues/:issueId/links
+ * @desc Link the issue to another issue
+ * @access Private (requires authentication, the 'issue:update' permission and access to the other issue)
+ *
+ * Body:
+ * - relation: How this issue relates to the other one: 'blocks', 'is_blocked_by', 'duplicates',
+ *   'is_duplicated_by', 'relates_to', 'parent_of' or 'subtask_of'
+ * - issue: ID or key of the other issue
+ *
+ * Blocking and parent/sub-task links may not form cycles, and a sub-task can only have one parent.
+ */
+router.post('/', protect, requireScope('issues:write'), loadIssue('issueId'), authorizeProject('issue:update'), asyncHandler(async (req, res) => {
+  const { relation, issue: otherId } = req.body;
+
+  if (!LINK_RELATIONS.includes(relation)) {
+    return res.status(400).json({ msg: `Relation must be one of: ${LINK_RELATIONS.join(', ')}` });
+  }
+  const found = await findIssueByRef(otherId);
+  if (!found) {
+    return res.status(400).json({ msg: 'Invalid Issue ID format' });
+  }
+
+  const other = found.issue;
+  if (!other) {
+    return res.status(404).json({ msg: 'Linked issue not found' });
+  }
+  const otherProject = other.project.equals(req.project._id) ? req.project : await Project.findById(other.project);
+  if (!canAccessProject(otherProject, req.user)) {
+    return res.status(403).json({ msg: 'Not authorized to access the linked issue' });
+  }
+
+  const link = resolveLinkRelation(relation, req.issue._id, other._id);
+  const linkError = await validateLink(link);
+  if (linkError) {
+    return res.status(linkError.statusCode).json({ msg: linkError.msg });
+  }
+
+  const created = await IssueLink.create({ ...link, createdBy: req.user.id });
+  await created.populate([
+    { path: 'source', select: 'key title status priority project' },
+    { path: 'target', select: 'key title status priority project' },
+  ]);
+
+  res.status(201).json(describeLink(created, req.issue._id));
+}));
+
+/**
+ * @route DELETE /api/issues/:issueId/links/:linkId
+ * @desc Remove a link between the issue and another issue
+ * @access Private (requires authentication and the 'issue:update' permission)
+ */
+router.delete('/:linkId', protect, requireScope('issues:write'), loadIssue('issueId'), authorizeProject('issue:update'), asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.linkId)) {
+    return res.status(400).json({ msg: 'Invalid Link ID format' });
+  }
+
+  const link = await IssueLink.findOne({
+    _id: req.params.linkId,
+    $or: [{ source: req.issue._id }, { target: req.issue._id }],
+  });
+  if (!link) {
+    return res.status(404).json({ msg: 'Link not found' });
+  }
+
+  await link.deleteOne();
+
+  res.json({ msg: 'Link removed successfully' });
+}));
+
+module.exports = router;
@@ -1,16 +1,33 @@
 // backend/routes/issues.js
 
 const express = require('express');
+const { once } = require('events');
 const router = express.Router();
 // Correctly import protect and authorize from the middleware
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, authorizeProject, requireVerified, requireScope } = require('../middleware/auth');
 const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
 
 // Import Mongoose models
 const Issue = require('../models/Issue');
 const Comment = require('../models/Comment');
+const Attachment = require('../models/Attachment'); // Attachments of deleted comments are removed
 const Project = require('../models/Project'); // Needed to validate project existence
 const User = require('../models/User');     // Needed to validate user existence (assignedTo, createdBy)
+const IssueHistory = require('../models/IssueHistory');
+const { snapshotIssue, diffIssue, recordIssueChanges } = require('../utils/issueHistory');
+const { RESOLVED_STATUSES, getAvailableTransitions, getWorkflow, validateInitialStatus } = require('../utils/workflow');
+const { getAccessibleProjectIds, loadIssue } = require('../middleware/projectAccess');
+const { buildCommentThread } = require('../utils/commentThread');
+const { notifyMentions, notifyAssignment, notifyStatusChange } = require('../utils/notifications');
+const { getLinkSummary } = require('../utils/issueLinks');
+const { rankAtEnd, ensureColumnRanks, rankForPosition } = require('../utils/rank');
+const { allocateIssueKey } = require('../utils/issueKeys');
+const { buildIssueQuery, findIssues } = require('../utils/issueFilters');
+const { EXPORT_COLUMNS, EXPORT_POPULATE, toExportRecord } = require('../utils/issueExport');
+const { formatCsvRow } = require('../utils/csv');
+const { parseDuration } = require('../utils/duration');
+const { runIssueQuery } = require('../query');
+const { validateLabels, checkStatusChange, canDeleteIssue, updateIssue, notifyIssueUpdate } = require('../utils/issueUpdates');
 
 // --- Helper function for error handling ---
 // This function wraps asynchronous route handlers to catch any errors and pass them to the Express error middleware.
@@ -22,7 +39,7 @@ const asyncHandler = fn => (req, res, next) =>
 /**
  * @route GET /api/issues
  * @desc Get all issues (with optional filters, sorting, and pagination)
- * @access Private (requires authentication)
+ * @access Private (requires authentication; only issues in the user's projects are returned)
  *
  * Query Parameters:
  * - project: Filter by project ID
@@ -30,71 +47,27 @@ const asyncHandler = fn => (req, res, next) =>
  * - priority: Filter by issue priority (e.g., 'High', 'Medium')
  * - type: Filter by issue type (e.g., 'Bug', 'Feature')
  * - assignedTo: Filter by assigned user ID
- * - search: Search by keywords in title or description
- * - sortBy: Field to sort by (e.g., 'createdAt', 'priority')
+ * - labels: Comma-separated label IDs to filter by
+ * - labelMatch: 'any' (default) to match issues with at least one of the labels, 'all' to require every label
+ * - sprint: Filter by sprint ID, or 'backlog' for issues not planned in any sprint
+ * - search: Search by keywords in title or description, or by issue key (e.g. 'WEB-42')
+ * - sortBy: Field to sort by (e.g., 'createdAt', 'priority', or 'rank' for board order)
  * - order: Sort order ('asc' for ascending, 'desc' for descending)
  * - page: Current page number (for pagination, default 1)
  * - limit: Number of issues per page (for pagination, default 10)
  */
-router.get('/', protect, asyncHandler(async (req, res) => {
-  const { project, status, priority, type, assignedTo, search, sortBy, order, page = 1, limit = 10 } = req.query;
-  const query = {}; // Initialize an empty query object
-
-  // Add filters to the query based on provided parameters
-  if (project) {
-    // Validate project ID format
-    if (!mongoose.Types.ObjectId.isValid(project)) {
-      return res.status(400).json({ msg: 'Invalid Project ID format' });
-    }
-    query.project = project;
-  }
-  if (status) query.status = status;
-  if (priority) query.priority = priority;
-  if (type) query.type = type;
-  if (assignedTo) {
-    // Validate assignedTo user ID format
-    if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
-      return res.status(400).json({ msg: 'Invalid Assigned User ID format' });
-    }
-    const userExists = await User.findById(assignedTo);
-    if (!userExists) {
-        return res.status(404).json({ msg: 'Assigned user for filter not found' });
-    }
-    query.assignedTo = assignedTo;
-  }
-  if (search) {
-    // Implement case-insensitive search across title and description fields
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } },
-    ];
-  }
+router.get('/', protect, requireScope('issues:read'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
 
-  // Define sorting options
-  const sortOptions = {};
-  if (sortBy) {
-    sortOptions[sortBy] = order === 'desc' ? -1 : 1; // -1 for descending, 1 for ascending
-  } else {
-    sortOptions.createdAt = -1; // Default sort by creation date (newest first)
+  const filter = await buildIssueQuery(req.query, req.user);
+  if (filter.statusCode) {
+    return res.status(filter.statusCode).json({ msg: filter.msg });
   }
 
-  // Calculate skip for pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
-
-  // Find issues matching the query, sort, paginate, and populate related fields
-  const issues = await Issue.find(query)
-    .sort(sortOptions)
-    .skip(skip)
-    .limit(parseInt(limit))
-    .populate('project', 'name')             // Populate 'name' field from Project model
-    .populate('createdBy', 'username email') // Populate 'username' and 'email' from User model
-    .populate('assignedTo', 'username email'); // Populate 'username' and 'email' from User model
-
-  // Get the total count of issues matching the filter for pagination metadata
-  const totalIssues = await Issue.countDocuments(query);
+  const { total, issues } = await findIssues(filter, { page, limit });
 
   res.json({
-    total: totalIssues,
+    total,
     page: parseInt(page),
     limit: parseInt(limit),
     issues,
@@ -102,37 +75,127 @@ router.get('/', protect, asyncHandler(async (req, res) => {
 }));
 
 /**
- * @route GET /api/issues/:id
- * @desc Get a single issue by ID
- * @access Private (requires authentication)
+ * @route GET /api/issues/query
+ * @desc Find issues with the issue query language
+ * @access Private (requires authentication; only issues in the user's projects are returned)
+ *
+ * A query combines conditions with AND, OR, NOT and parentheses, optionally followed by ORDER BY:
+ *   status in (Open, Reopened) AND priority >= High AND assignee = me AND due < now+7d ORDER BY priority DESC
+ *
+ * - Fields: status, priority, type, assignee, reporter, project, label, sprint, key, title, description,
+ *   text (title or description), created, updated, due
+ * - Operators: = != IN, NOT IN, IS EMPTY, IS NOT EMPTY, < <= > >= (priority and dates), ~ !~ (text contains)
+ * - Values: words or quoted strings; 'me' for the current user; dates as 2024-05-01 or relative to
+ *   now/today in hours, days or weeks (now+7d, today-2w)
+ * - ORDER BY: created, updated, due, title, rank, type, key, priority, status (ASC or DESC)
+ *
+ * Invalid queries are rejected with 400 and the `position` of the error in the query.
+ *
+ * Query Parameters:
+ * - q: The query
+ * - page: Current page number (default 1)
+ * - limit: Number of issues per page (default 10)
+ */
+router.get('/query', protect, requireScope('issues:read'), asyncHandler(async (req, res) => {
+  const { q } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.max(parseInt(req.query.limit) || 10, 1);
+
+  const { total, issues } = await runIssueQuery(q, {
+    user: req.user,
+    accessibleProjectIds: await getAccessibleProjectIds(req.user),
+    page,
+    limit,
+  });
+
+  res.json({ total, page, limit, issues });
+}));
+
+/**
+ * @route GET /api/issues/export
+ * @desc Export the issues matching the GET /api/issues filters as CSV or JSON
+ * @access Private (requires authentication; only issues in the user's projects are exported)
+ *
+ * All matching issues are streamed (no pagination), with the project name, creator and assignee
+ * usernames, label names and sprint name in place of IDs. The CSV columns can be imported again with
+ * POST /api/projects/:id/import.
+ *
+ * Query Parameters:
+ * - format: 'csv' (default) or 'json'
+ * - The filter and sort parameters of GET /api/issues (project, status, priority, type, assignedTo,
+ *   labels, labelMatch, sprint, search, sortBy, order)
  */
-router.get('/:id', protect, asyncHandler(async (req, res) => {
-  // Validate if the provided ID is a valid Mongoose ObjectId format
-  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-    return res.status(400).json({ msg: 'Invalid Issue ID format' });
+router.get('/export', protect, requireScope('issues:read'), asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ msg: "Format must be 'csv' or 'json'" });
   }
 
-  // Find the issue by ID and populate related fields
-  const issue = await Issue.findById(req.params.id)
-    .populate('project', 'name')
-    .populate('createdBy', 'username email')
-    .populate('assignedTo', 'username email');
+  const filter = await buildIssueQuery(req.query, req.user);
+  if (filter.statusCode) {
+    return res.status(filter.statusCode).json({ msg: filter.msg });
+  }
 
-  // If issue not found, return 404
-  if (!issue) {
-    return res.status(404).json({ msg: 'Issue not found' });
+  const cursor = Issue.find(filter.query).sort(filter.sort).populate(EXPORT_POPULATE).cursor();
+  const filename = `issues-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.attachment(filename);
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+
+  // Write a chunk, waiting for the client to catch up when the response buffer is full
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain');
+  };
+
+  try {
+    let count = 0;
+    await write(format === 'csv' ? formatCsvRow(EXPORT_COLUMNS) : '[');
+    for await (const issue of cursor) {
+      if (res.destroyed) break; // The client went away
+      const record = toExportRecord(issue);
+      if (format === 'csv') {
+        await write(formatCsvRow(EXPORT_COLUMNS.map(column => (Array.isArray(record[column]) ? record[column].join('; ') : record[column]))));
+      } else {
+        await write(`${count > 0 ? ',' : ''}\n${JSON.stringify(record)}`);
+      }
+      count++;
+    }
+    if (format === 'json') await write(count > 0 ? '\n]\n' : ']\n');
+    res.end();
+  } catch (err) {
+    // The status has already been sent, so the response can only be cut short
+    console.error('Error exporting issues:', err);
+    await cursor.close();
+    res.destroy(err);
   }
+}));
 
-  res.json(issue);
+/**
+ * @route GET /api/issues/:id
+ * @desc Get a single issue by ID, including a summary of its links grouped by relation
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/:id', protect, requireScope('issues:read'), loadIssue('id'), asyncHandler(async (req, res) => {
+  // The issue was loaded and access-checked by loadIssue; populate related fields
+  const issue = await req.issue.populate([
+    { path: 'project', select: 'name' },
+    { path: 'createdBy', select: 'username email' },
+    { path: 'assignedTo', select: 'username email' },
+  ]);
+  const links = await getLinkSummary(issue._id, await getAccessibleProjectIds(req.user));
+
+  res.json({ ...issue.toObject(), links });
 }));
 
 /**
  * @route POST /api/issues
  * @desc Create a new issue
- * @access Private (requires authentication)
+ * @access Private (requires authentication and the 'issue:create' permission in the target project)
+ *
+ * Setting an assignee additionally requires the 'issue:assign' permission.
+ * An `originalEstimate` (minutes, or working time like '2d 4h') also becomes the remaining estimate.
  */
-router.post('/', protect, asyncHandler(async (req, res) => {
-  const { title, description, status, priority, type, project, assignedTo, dueDate } = req.body;
+router.post('/', protect, requireScope('issues:write'), requireVerified('issue:create'), asyncHandler(async (req, res) => {
+  const { title, description, status, priority, type, project, assignedTo, dueDate, labels = [], originalEstimate } = req.body;
 
   // Basic request body validation
   if (!title || !project) {
@@ -147,6 +210,30 @@ router.post('/', protect, asyncHandler(async (req, res) => {
   if (!existingProject) {
     return res.status(404).json({ msg: 'Project not found' });
   }
+  if (!existingProject.hasPermission(req.user, 'issue:create')) {
+    return res.status(403).json({ msg: 'Not authorized to create issues in this project' });
+  }
+  if (assignedTo && !existingProject.hasPermission(req.user, 'issue:assign')) {
+    return res.status(403).json({ msg: 'Not authorized to assign issues in this project' });
+  }
+
+  // New issues must start in the initial status of the project's workflow
+  const statusError = validateInitialStatus(existingProject, status);
+  if (statusError) {
+    return res.status(statusError.statusCode).json({ msg: statusError.msg, allowedTransitions: statusError.allowedTransitions });
+  }
+
+  // Labels must come from the project's label set
+  const labelError = validateLabels(existingProject, labels);
+  if (labelError) {
+    return res.status(400).json({ msg: labelError });
+  }
+
+  // Estimates are minutes or working time like '2d 4h'
+  const estimate = originalEstimate !== undefined && originalEstimate !== null ? parseDuration(originalEstimate) : null;
+  if (originalEstimate !== undefined && originalEstimate !== null && estimate === null) {
+    return res.status(400).json({ msg: "Invalid originalEstimate; use minutes or a duration like '1d 4h 30m'" });
+  }
 
   // Validate AssignedTo User existence if an assigned user ID is provided
   let assignedToId = null;
@@ -161,114 +248,75 @@ router.post('/', protect, asyncHandler(async (req, res) => {
     assignedToId = assignedTo; // Use the validated ID
   }
 
-  // Create a new Issue instance
+  // Create a new Issue instance with the next key of the project, at the bottom of its board column
+  const initialStatus = status || getWorkflow(existingProject).initialStatus;
+  const { number, key } = await allocateIssueKey(existingProject);
   const newIssue = new Issue({
+    number,
+    key,
     title,
     description,
-    status,
+    status: initialStatus,
     priority,
     type,
     project,
     createdBy: req.user.id, // The creator is the authenticated user
     assignedTo: assignedToId,
     dueDate,
+    labels,
+    originalEstimate: estimate,
+    remainingEstimate: estimate,
+    rank: await rankAtEnd(project, initialStatus),
   });
 
   // Save the new issue to the database
   const issue = await newIssue.save();
+
+  // Let mentioned project members and the assignee know about the new issue
+  await notifyMentions({ text: issue.description, project: existingProject, issue, actor: req.user });
+  await notifyAssignment({ issue, actor: req.user });
+
   res.status(201).json(issue); // Respond with the created issue and 201 status
 }));
 
 /**
  * @route PUT /api/issues/:id
  * @desc Update an issue
- * @access Private (requires authentication and ownership/admin rights)
+ * @access Private (requires authentication and the 'issue:update' permission in the project)
  *
- * Note: In a production application, you would add more granular
- * authorization checks here (e.g., only creator or project admin can update).
- * For simplicity, any authenticated user can update for now, but this should be refined.
+ * Changing the assignee also requires the 'issue:assign' permission, and moving an issue
+ * to another project requires the 'issue:create' permission in the target project; the issue then
+ * gets a key in the target project, and its old key keeps resolving to it.
+ * An issue cannot be resolved or closed while any of its sub-tasks are still open.
+ * `originalEstimate` and `remainingEstimate` take minutes or working time like '2d 4h' (null clears them);
+ * a first original estimate also sets the remaining estimate.
  */
-router.put('/:id', protect, asyncHandler(async (req, res) => {
-  const { title, description, status, priority, type, project, assignedTo, dueDate } = req.body;
-
-  // Validate Issue ID format
-  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-    return res.status(400).json({ msg: 'Invalid Issue ID format' });
+router.put('/:id', protect, requireScope('issues:write'), loadIssue('id'), authorizeProject('issue:update'), asyncHandler(async (req, res) => {
+  const result = await updateIssue(req.issue, req.project, req.body, req.user);
+  if (result.statusCode) {
+    return res.status(result.statusCode).json(result.body);
   }
 
-  let issue = await Issue.findById(req.params.id);
+  // Notify newly mentioned members and the new assignee
+  await notifyIssueUpdate(result, req.user);
 
-  if (!issue) {
-    return res.status(404).json({ msg: 'Issue not found' });
-  }
-
-  // Optional: Authorization check (e.g., if (issue.createdBy.toString() !== req.user.id && req.user.role !== 'admin'))
-
-  // Validate Project existence if 'project' field is being updated
-  if (project && !mongoose.Types.ObjectId.isValid(project)) {
-    return res.status(400).json({ msg: 'Invalid Project ID format' });
-  }
-  if (project) {
-    const existingProject = await Project.findById(project);
-    if (!existingProject) {
-      return res.status(404).json({ msg: 'Project not found' });
-    }
-  }
-
-  // Validate AssignedTo User existence if 'assignedTo' field is being updated
-  if (assignedTo) {
-    if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
-      return res.status(400).json({ msg: 'Invalid Assigned To User ID format' });
-    }
-    const existingUser = await User.findById(assignedTo);
-    if (!existingUser) {
-      return res.status(404).json({ msg: 'Assigned user not found' });
-    }
-  } else if (assignedTo === null) {
-      // Explicitly allow setting assignedTo to null (unassigning)
-      issue.assignedTo = null;
-  }
-
-  // Update fields if provided in the request body
-  issue.title = title || issue.title;
-  // Use !== undefined to allow description to be explicitly set to an empty string
-  issue.description = description !== undefined ? description : issue.description;
-  issue.status = status || issue.status;
-  issue.priority = priority || issue.priority;
-  issue.type = type || issue.type;
-  issue.project = project || issue.project;
-  // Handle assignedTo update, including setting to null
-  if (assignedTo !== undefined) issue.assignedTo = assignedTo;
-  // Use !== undefined to allow dueDate to be explicitly set to null
-  issue.dueDate = dueDate !== undefined ? dueDate : issue.dueDate;
-
-  await issue.save(); // Save the updated issue
-  res.json(issue);
+  res.json(result.issue);
 }));
 
 /**
  * @route DELETE /api/issues/:id
  * @desc Delete an issue
- * @access Private (requires authentication and ownership/admin rights)
+ * @access Private (requires authentication; the issue creator or the 'issue:delete' permission)
  *
  * Note: The 'deleteOne' pre-hook in the Issue model will automatically delete
  * all associated comments when an issue is deleted.
  */
-router.delete('/:id', protect, asyncHandler(async (req, res) => {
-  // Validate Issue ID format
-  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-    return res.status(400).json({ msg: 'Invalid Issue ID format' });
-  }
-
-  const issue = await Issue.findById(req.params.id);
+router.delete('/:id', protect, requireScope('issues:write'), loadIssue('id'), asyncHandler(async (req, res) => {
+  const issue = req.issue;
 
-  if (!issue) {
-    return res.status(404).json({ msg: 'Issue not found' });
-  }
-
-  // Authorization check: Only the creator can delete this issue (for now)
-  if (issue.createdBy.toString() !== req.user.id) {
-    return res.status(401).json({ msg: 'Not authorized to delete this issue' });
+  // Authorization check: Creators can delete their own issues, anyone else needs 'issue:delete'
+  if (!canDeleteIssue(issue, req.project, req.user)) {
+    return res.status(403).json({ msg: 'Not authorized to delete this issue' });
   }
 
   // Delete the issue. The 'deleteOne' pre-hook in the Issue model will handle cascading deletes for comments.
@@ -278,99 +326,366 @@ router.delete('/:id', protect, asyncHandler(async (req, res) => {
   res.json({ msg: 'Issue removed successfully' });
 }));
 
-// --- Comment Routes (Nested under Issues) ---
+/**
+ * @route GET /api/issues/:id/transitions
+ * @desc Get the status transitions the authenticated user can perform on an issue
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/:id/transitions', protect, requireScope('issues:read'), loadIssue('id'), asyncHandler(async (req, res) => {
+  res.json({
+    status: req.issue.status,
+    transitions: getAvailableTransitions(req.project, req.issue.status, req.user),
+  });
+}));
 
 /**
- * @route GET /api/issues/:issueId/comments
- * @desc Get all comments for a specific issue
- * @access Private (requires authentication)
+ * @route POST /api/issues/:id/move
+ * @desc Move an issue's card on the board: change its status and/or its position within the column
+ * @access Private (requires authentication and the 'issue:update' permission in the project)
+ *
+ * Status and position are changed in a single conditional update, so a card moved by someone else
+ * in the meantime is reported as a conflict (409) instead of being silently overwritten.
+ *
+ * Body:
+ * - status: (optional) Target column; defaults to the current status
+ * - afterIssue: (optional) ID of the card to place this one directly below
+ * - beforeIssue: (optional) ID of the card to place this one directly above
+ * Without afterIssue or beforeIssue the card goes to the bottom of the column.
  */
-router.get('/:issueId/comments', protect, asyncHandler(async (req, res) => {
-  // Validate Issue ID format
-  if (!mongoose.Types.ObjectId.isValid(req.params.issueId)) {
-    return res.status(400).json({ msg: 'Invalid Issue ID format' });
+router.post('/:id/move', protect, requireScope('issues:write'), loadIssue('id'), authorizeProject('issue:update'), asyncHandler(async (req, res) => {
+  const { afterIssue, beforeIssue } = req.body;
+  const issue = req.issue;
+  const status = req.body.status || issue.status;
+
+  const before = snapshotIssue(issue);
+
+  if (status !== issue.status) {
+    const statusError = await checkStatusChange(req.project, issue, status, req.user);
+    if (statusError) {
+      return res.status(statusError.statusCode).json(statusError.body);
+    }
+  }
+
+  // Cards created before ranking existed need a rank before others can be placed around them
+  await ensureColumnRanks(issue.project, status);
+
+  const position = await rankForPosition(issue, status, { afterIssue, beforeIssue });
+  if (position.statusCode) {
+    return res.status(position.statusCode).json({ msg: position.msg });
+  }
+
+  // Keep the resolution time in step with the status, as the Issue pre-save hook does
+  const now = Date.now();
+  const update = { status, rank: position.rank, updatedAt: now };
+  if (!RESOLVED_STATUSES.includes(status)) {
+    update.resolvedAt = null;
+  } else if (!issue.resolvedAt) {
+    update.resolvedAt = now;
   }
 
-  // Check if the issue exists
-  const issueExists = await Issue.findById(req.params.issueId);
-  if (!issueExists) {
-    return res.status(404).json({ msg: 'Issue not found' });
+  // Only apply the move if nobody has updated or moved the issue since this request loaded it
+  const moved = await Issue.findOneAndUpdate(
+    { _id: issue._id, status: issue.status, updatedAt: issue.updatedAt },
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  if (!moved) {
+    return res.status(409).json({ msg: 'The issue was changed by someone else. Reload the board and try again.' });
   }
 
+  const changes = diffIssue(before, moved);
+  await recordIssueChanges(moved, changes, req.user.id);
+  if (changes.some(change => change.field === 'status')) {
+    await notifyStatusChange({ issue: moved, oldStatus: before.status, actor: req.user });
+  }
+
+  res.json(moved);
+}));
+
+/**
+ * @route GET /api/issues/:id/history
+ * @desc Get the field change history of an issue (newest first, paginated)
+ * @access Private (requires authentication and project membership)
+ *
+ * Query Parameters:
+ * - page: Current page number (default 1)
+ * - limit: Number of entries per page (default 20)
+ */
+router.get('/:id/history', protect, requireScope('issues:read'), loadIssue('id'), asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const history = await IssueHistory.find({ issue: req.issue._id })
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('actor', 'username email'); // Populate who made each change
+
+  const total = await IssueHistory.countDocuments({ issue: req.issue._id });
+
+  res.json({
+    total,
+    page: parseInt(page),
+    limit: parseInt(limit),
+    history,
+  });
+}));
+
+/**
+ * @route GET /api/issues/:id/timeline
+ * @desc Get a combined, chronological timeline of comments and field changes for an issue
+ * @access Private (requires authentication and project membership)
+ *
+ * Each entry has a `kind` of either 'comment' or 'change'. Entries are merged and paged in the database,
+ * so only the requested page is loaded.
+ *
+ * Query Parameters:
+ * - page: Current page number (default 1)
+ * - limit: Number of entries per page (default 20, at most 100)
+ */
+router.get('/:id/timeline', protect, requireScope('issues:read'), loadIssue('id'), asyncHandler(async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const issueId = req.issue._id;
+
+  // Merge both sources oldest first, like the comment list, and keep only the IDs of the requested page
+  const entryFields = kind => ({ $project: { kind: { $literal: kind }, createdAt: 1 } });
+  const [entries, commentCount, changeCount] = await Promise.all([
+    Comment.aggregate([
+      { $match: { issue: issueId } },
+      entryFields('comment'),
+      {
+        $unionWith: {
+          coll: IssueHistory.collection.name,
+          pipeline: [{ $match: { issue: issueId } }, entryFields('change')],
+        },
+      },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+    ]),
+    Comment.countDocuments({ issue: issueId }),
+    IssueHistory.countDocuments({ issue: issueId }),
+  ]);
+
+  const idsOf = kind => entries.filter(entry => entry.kind === kind).map(entry => entry._id);
+  const [comments, history] = await Promise.all([
+    Comment.find({ _id: { $in: idsOf('comment') } }).populate('author', 'username email'),
+    IssueHistory.find({ _id: { $in: idsOf('change') } }).populate('actor', 'username email'),
+  ]);
+  const loaded = new Map([
+    ...comments.map(comment => [comment.id, { kind: 'comment', ...comment.toThreadJSON() }]),
+    ...history.map(entry => [entry.id, { kind: 'change', ...entry.toObject() }]),
+  ]);
+
+  res.json({
+    total: commentCount + changeCount,
+    page,
+    limit,
+    timeline: entries.map(entry => loaded.get(entry._id.toString())).filter(Boolean),
+  });
+}));
+
+// --- Bulk Routes (see routes/issueBulk.js) ---
+
+router.use('/bulk', require('./issueBulk'));
+
+// --- Link Routes (see routes/issueLinks.js) ---
+
+router.use('/:issueId/links', require('./issueLinks'));
+
+// --- Work Log Routes (see routes/worklogs.js) ---
+
+router.use('/:issueId/worklogs', require('./worklogs'));
+
+// --- Attachment Routes (see routes/attachments.js) ---
+
+router.use('/:issueId/attachments', require('./attachments'));
+router.use('/:issueId/comments/:commentId/attachments', require('./attachments'));
+
+// --- Comment Routes (Nested under Issues) ---
+
+// Load a comment by ID and make sure it belongs to the issue loaded by loadIssue
+const findIssueComment = async (req, res) => {
+  // Validate Comment ID format
+  if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) {
+    res.status(400).json({ msg: 'Invalid Comment ID format' });
+    return null;
+  }
+
+  const comment = await Comment.findById(req.params.commentId);
+
+  if (!comment) {
+    res.status(404).json({ msg: 'Comment not found' });
+    return null;
+  }
+
+  // Ensure the comment truly belongs to the specified issue to prevent unauthorized changes
+  if (comment.issue.toString() !== req.issue._id.toString()) {
+    res.status(400).json({ msg: 'Comment does not belong to this issue' });
+    return null;
+  }
+
+  return comment;
+};
+
+/**
+ * @route GET /api/issues/:issueId/comments
+ * @desc Get all comments for a specific issue as a nested thread
+ * @access Private (requires authentication and project membership)
+ *
+ * Top-level comments are returned oldest first, each with a nested `replies` array.
+ * Deleted comments that still have replies are returned as "comment deleted" placeholders.
+ */
+router.get('/:issueId/comments', protect, requireScope('issues:read'), loadIssue('issueId'), asyncHandler(async (req, res) => {
   // Find all comments associated with the given issue ID
-  const comments = await Comment.find({ issue: req.params.issueId })
+  const comments = await Comment.find({ issue: req.issue._id })
     .populate('author', 'username email') // Populate author details
     .sort({ createdAt: 1 }); // Sort comments by creation date (oldest first)
 
-  res.json(comments);
+  res.json(buildCommentThread(comments));
 }));
 
 /**
  * @route POST /api/issues/:issueId/comments
- * @desc Add a new comment to an issue
- * @access Private (requires authentication)
+ * @desc Add a new comment (or a reply to an existing comment) to an issue
+ * @access Private (requires authentication and the 'comment:create' permission in the project)
+ *
+ * Body:
+ * - content: Comment text
+ * - parentComment: (optional) ID of the comment being replied to
  */
-router.post('/:issueId/comments', protect, asyncHandler(async (req, res) => {
-  const { content } = req.body;
+router.post('/:issueId/comments', protect, requireScope('issues:write'), requireVerified('comment:create'), loadIssue('issueId'), authorizeProject('comment:create'), asyncHandler(async (req, res) => {
+  const { content, parentComment } = req.body;
 
   // Basic validation for comment content
   if (!content) {
     return res.status(400).json({ msg: 'Comment content cannot be empty' });
   }
 
-  // Validate Issue ID format
-  if (!mongoose.Types.ObjectId.isValid(req.params.issueId)) {
-    return res.status(400).json({ msg: 'Invalid Issue ID format' });
-  }
-
-  // Check if the issue exists
-  const issueExists = await Issue.findById(req.params.issueId);
-  if (!issueExists) {
-    return res.status(404).json({ msg: 'Issue not found' });
+  // Validate the parent comment if this is a reply
+  if (parentComment) {
+    if (!mongoose.Types.ObjectId.isValid(parentComment)) {
+      return res.status(400).json({ msg: 'Invalid Parent Comment ID format' });
+    }
+    const parent = await Comment.findById(parentComment);
+    if (!parent || parent.issue.toString() !== req.issue._id.toString()) {
+      return res.status(404).json({ msg: 'Parent comment not found on this issue' });
+    }
+    if (parent.isDeleted) {
+      return res.status(400).json({ msg: 'Cannot reply to a deleted comment' });
+    }
   }
 
   // Create a new Comment instance
   const newComment = new Comment({
     content,
-    issue: req.params.issueId,
+    issue: req.issue._id,
     author: req.user.id, // The author is the authenticated user
+    parentComment: parentComment || null,
   });
 
   const comment = await newComment.save(); // Save the new comment
+  await notifyMentions({ text: comment.content, project: req.project, issue: req.issue, comment, actor: req.user });
   // Populate author information before sending the response
   await comment.populate('author', 'username email');
-  res.status(201).json(comment); // Respond with the created comment and 201 status
+  res.status(201).json(comment.toThreadJSON()); // Respond with the created comment and 201 status
 }));
 
 /**
- * @route DELETE /api/issues/:issueId/comments/:commentId
- * @desc Delete a specific comment
- * @access Private (requires authentication and comment ownership/admin rights)
+ * @route PUT /api/issues/:issueId/comments/:commentId
+ * @desc Edit a comment, keeping its previous content in the revision history
+ * @access Private (requires authentication and comment ownership)
  */
-router.delete('/:issueId/comments/:commentId', protect, asyncHandler(async (req, res) => {
-  // Validate both Issue ID and Comment ID formats
-  if (!mongoose.Types.ObjectId.isValid(req.params.issueId) || !mongoose.Types.ObjectId.isValid(req.params.commentId)) {
-    return res.status(400).json({ msg: 'Invalid Issue or Comment ID format' });
+router.put('/:issueId/comments/:commentId', protect, requireScope('issues:write'), loadIssue('issueId'), asyncHandler(async (req, res) => {
+  const { content } = req.body;
+
+  // Basic validation for comment content
+  if (!content) {
+    return res.status(400).json({ msg: 'Comment content cannot be empty' });
   }
 
-  const comment = await Comment.findById(req.params.commentId);
+  const comment = await findIssueComment(req, res);
+  if (!comment) return;
 
-  if (!comment) {
-    return res.status(404).json({ msg: 'Comment not found' });
+  // Authorization check: Only the author can edit a comment
+  if (comment.author.toString() !== req.user.id) {
+    return res.status(403).json({ msg: 'Not authorized to edit this comment' });
   }
 
-  // Ensure the comment truly belongs to the specified issue to prevent unauthorized deletions
-  if (comment.issue.toString() !== req.params.issueId) {
-    return res.status(400).json({ msg: 'Comment does not belong to this issue' });
+  if (comment.isDeleted) {
+    return res.status(400).json({ msg: 'Cannot edit a deleted comment' });
   }
 
-  // Authorization check: Only the author of the comment can delete it (for now)
-  if (comment.author.toString() !== req.user.id) {
-    return res.status(401).json({ msg: 'Not authorized to delete this comment' });
+  // Only record a revision if the content actually changes
+  if (String(content).trim() !== comment.content) {
+    const previousContent = comment.content;
+    comment.revisions.push({ content: previousContent, editedBy: req.user.id, editedAt: Date.now() });
+    comment.content = content;
+    comment.editedAt = Date.now();
+    await comment.save();
+
+    // Only users mentioned for the first time in this edit are notified
+    await notifyMentions({ text: comment.content, previousText: previousContent, project: req.project, issue: req.issue, comment, actor: req.user });
+  }
+
+  await comment.populate('author', 'username email');
+  res.json(comment.toThreadJSON());
+}));
+
+/**
+ * @route GET /api/issues/:issueId/comments/:commentId/revisions
+ * @desc Get the edit history of a comment (previous versions, oldest first)
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/:issueId/comments/:commentId/revisions', protect, requireScope('issues:read'), loadIssue('issueId'), asyncHandler(async (req, res) => {
+  const comment = await findIssueComment(req, res);
+  if (!comment) return;
+
+  if (comment.isDeleted) {
+    return res.status(404).json({ msg: 'Comment has been deleted' });
+  }
+
+  await comment.populate('revisions.editedBy', 'username email');
+
+  res.json({
+    current: comment.content,
+    editedAt: comment.editedAt,
+    revisions: comment.revisions,
+  });
+}));
+
+/**
+ * @route DELETE /api/issues/:issueId/comments/:commentId
+ * @desc Delete a specific comment
+ * @access Private (requires authentication; the comment author or the 'comment:moderate' permission)
+ *
+ * Comments are soft-deleted: the content, revisions and attachments are removed, but the comment stays
+ * in the thread as a "comment deleted" placeholder so its replies remain attached.
+ */
+router.delete('/:issueId/comments/:commentId', protect, requireScope('issues:write'), loadIssue('issueId'), asyncHandler(async (req, res) => {
+  const comment = await findIssueComment(req, res);
+  if (!comment) return;
+
+  // Authorization check: Authors can delete their own comments, anyone else needs 'comment:moderate'
+  const isAuthor = comment.author.toString() === req.user.id;
+  if (!isAuthor && !req.project.hasPermission(req.user, 'comment:moderate')) {
+    return res.status(403).json({ msg: 'Not authorized to delete this comment' });
+  }
+
+  if (comment.isDeleted) {
+    return res.status(404).json({ msg: 'Comment not found' });
   }
 
-  // Use comment.deleteOne() to trigger the document middleware.
-  await comment.deleteOne();
+  // Soft delete: keep the comment as a placeholder but drop everything that was said
+  comment.isDeleted = true;
+  comment.deletedAt = Date.now();
+  comment.deletedBy = req.user.id;
+  comment.content = undefined;
+  comment.revisions = [];
+  await comment.save();
+  await Attachment.removeForComment(comment._id); // Its files go too, including stored blobs
 
   res.json({ msg: 'Comment removed successfully' });
 }));
@@ -0,0 +1,158 @@
+// backend/routes/labels.js
+
+// Mounted by routes/projects.js on /api/projects/:id/labels
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :id (the project ID) from the parent router
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect, authorizeProject, requireScope } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { loadProject } = require('../middleware/projectAccess');
+
+const Issue = require('../models/Issue');
+
+// Case-insensitive check for another label in the project with the same name
+const nameTaken = (project, name, exceptId) => project.labels.some(label =>
+  label.name.toLowerCase() === name.trim().toLowerCase() && label._id.toString() !== String(exceptId));
+
+// Find a label of the loaded project by :labelId, responding with an error if it doesn't exist
+const findLabel = (req, res, labelId = req.params.labelId) => {
+  if (!mongoose.Types.ObjectId.isValid(labelId)) {
+    res.status(400).json({ msg: 'Invalid Label ID format' });
+    return null;
+  }
+
+  const label = req.project.labels.id(labelId);
+  if (!label) {
+    res.status(404).json({ msg: 'Label not found' });
+    return null;
+  }
+  return label;
+};
+
+/**
+ * @route GET /api/projects/:id/labels
+ * @desc Get all labels of a project, with the number of issues tagged with each
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/', protect, requireScope('projects:read'), loadProject('id'), asyncHandler(async (req, res) => {
+  const counts = await Issue.aggregate([
+    { $match: { project: req.project._id } },
+    { $unwind: '$labels' },
+    { $group: { _id: '$labels', count: { $sum: 1 } } },
+  ]);
+  const countByLabel = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+  res.json(req.project.labels.map(label => ({
+    ...label.toObject(),
+    issueCount: countByLabel.get(label._id.toString()) || 0,
+  })));
+}));
+
+/**
+ * @route POST /api/projects/:id/labels
+ * @desc Create a label in a project
+ * @access Private (requires authentication and the 'label:manage' permission)
+ */
+router.post('/', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('label:manage'), asyncHandler(async (req, res) => {
+  const { name, color, description } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ msg: 'Label name is required' });
+  }
+  if (nameTaken(req.project, name)) {
+    return res.status(400).json({ msg: `A label named '${name.trim()}' already exists in this project` });
+  }
+
+  req.project.labels.push({ name, color, description });
+  await req.project.save(); // Mongoose validates name length and color format
+
+  res.status(201).json(req.project.labels[req.project.labels.length - 1]);
+}));
+
+/**
+ * @route PUT /api/projects/:id/labels/:labelId
+ * @desc Rename or recolor a label
+ * @access Private (requires authentication and the 'label:manage' permission)
+ *
+ * Issues reference labels by ID, so a rename applies to every tagged issue immediately.
+ */
+router.put('/:labelId', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('label:manage'), asyncHandler(async (req, res) => {
+  const label = findLabel(req, res);
+  if (!label) return;
+
+  const { name, color, description } = req.body;
+
+  if (name !== undefined) {
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Label name is required' });
+    }
+    if (nameTaken(req.project, name, label._id)) {
+      return res.status(400).json({ msg: `A label named '${name.trim()}' already exists in this project` });
+    }
+    label.name = name;
+  }
+  if (color !== undefined) label.color = color;
+  if (description !== undefined) label.description = description;
+
+  await req.project.save();
+
+  const issueCount = await Issue.countDocuments({ project: req.project._id, labels: label._id });
+  res.json({ ...label.toObject(), issueCount });
+}));
+
+/**
+ * @route POST /api/projects/:id/labels/:labelId/merge
+ * @desc Merge a label into another one: issues tagged with it get the target label instead,
+ * and the merged label is deleted
+ * @access Private (requires authentication and the 'label:manage' permission)
+ *
+ * Body:
+ * - into: ID of the label to keep
+ */
+router.post('/:labelId/merge', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('label:manage'), asyncHandler(async (req, res) => {
+  const source = findLabel(req, res);
+  if (!source) return;
+  const target = findLabel(req, res, req.body.into);
+  if (!target) return;
+
+  if (source._id.equals(target._id)) {
+    return res.status(400).json({ msg: 'Cannot merge a label into itself' });
+  }
+
+  // Tag every issue carrying the source label with the target label, then drop the source label.
+  // These are two updates because MongoDB can't $addToSet and $pull the same array at once.
+  const tagged = { project: req.project._id, labels: source._id };
+  const result = await Issue.updateMany(tagged, { $addToSet: { labels: target._id } });
+  await Issue.updateMany(tagged, { $pull: { labels: source._id } });
+
+  req.project.labels.pull(source._id);
+  await req.project.save();
+
+  res.json({
+    msg: `Label '${source.name}' merged into '${target.name}'`,
+    label: target,
+    affectedIssues: result.matchedCount,
+  });
+}));
+
+/**
+ * @route DELETE /api/projects/:id/labels/:labelId
+ * @desc Delete a label and remove it from all issues
+ * @access Private (requires authentication and the 'label:manage' permission)
+ */
+router.delete('/:labelId', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('label:manage'), asyncHandler(async (req, res) => {
+  const label = findLabel(req, res);
+  if (!label) return;
+
+  const result = await Issue.updateMany(
+    { project: req.project._id, labels: label._id },
+    { $pull: { labels: label._id } }
+  );
+
+  req.project.labels.pull(label._id);
+  await req.project.save();
+
+  res.json({ msg: 'Label removed successfully', affectedIssues: result.modifiedCount });
+}));
+
+module.exports = router;
@@ -0,0 +1,131 @@
+// backend/routes/notifications.js
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect } = require('../middleware/auth'); // Import authentication middleware
+const asyncHandler = require('../middleware/asyncHandler'); // Import asyncHandler
+
+const Notification = require('../models/Notification'); // Import the Notification model
+const User = require('../models/User'); // Import the User model (for email preferences)
+
+/**
+ * @route GET /api/notifications
+ * @desc Get the authenticated user's notifications (newest first, paginated)
+ * @access Private
+ *
+ * Query Parameters:
+ * - unread: Set to 'true' to only return unread notifications
+ * - page: Current page number (default 1)
+ * - limit: Number of notifications per page (default 20)
+ */
+router.get('/', protect, asyncHandler(async (req, res) => {
+  const { unread, page = 1, limit = 20 } = req.query;
+
+  const query = { recipient: req.user.id };
+  if (unread === 'true') query.read = false;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('actor', 'username email')
+    .populate('issue', 'title status')
+    .populate('project', 'name');
+
+  const total = await Notification.countDocuments(query);
+
+  res.json({
+    total,
+    page: parseInt(page),
+    limit: parseInt(limit),
+    notifications,
+  });
+}));
+
+/**
+ * @route GET /api/notifications/unread-count
+ * @desc Get the number of unread notifications for the authenticated user
+ * @access Private
+ */
+router.get('/unread-count', protect, asyncHandler(async (req, res) => {
+  const count = await Notification.countDocuments({ recipient: req.user.id, read: false });
+
+  res.json({ count });
+}));
+
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Get the authenticated user's email notification preferences
+ * @access Private
+ */
+router.get('/preferences', protect, asyncHandler(async (req, res) => {
+  const { enabled, digest } = req.user.emailNotifications;
+
+  res.json({ enabled, digest });
+}));
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @desc Update the authenticated user's email notification preferences
+ * @access Private
+ *
+ * Body:
+ * - enabled: Whether to receive notification emails at all
+ * - digest: 'immediate', 'hourly' or 'daily'
+ */
+router.put('/preferences', protect, asyncHandler(async (req, res) => {
+  const { enabled, digest } = req.body;
+
+  const updates = {};
+  if (enabled !== undefined) updates['emailNotifications.enabled'] = Boolean(enabled);
+  if (digest !== undefined) updates['emailNotifications.digest'] = digest;
+
+  // runValidators makes Mongoose check the digest enum
+  const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true });
+
+  res.json({ enabled: user.emailNotifications.enabled, digest: user.emailNotifications.digest });
+}));
+
+/**
+ * @route PUT /api/notifications/read-all
+ * @desc Mark all of the authenticated user's notifications as read
+ * @access Private
+ */
+router.put('/read-all', protect, asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user.id, read: false },
+    { $set: { read: true, readAt: Date.now() } }
+  );
+
+  res.json({ msg: 'All notifications marked as read', updated: result.modifiedCount });
+}));
+
+/**
+ * @route PUT /api/notifications/:id/read
+ * @desc Mark a single notification as read
+ * @access Private (recipient only)
+ */
+router.put('/:id/read', protect, asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ msg: 'Invalid Notification ID format' });
+  }
+
+  const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+
+  if (!notification) {
+    return res.status(404).json({ msg: 'Notification not found' });
+  }
+
+  if (!notification.read) {
+    notification.read = true;
+    notification.readAt = Date.now();
+    await notification.save();
+  }
+
+  res.json(notification);
+}));
+
+module.exports = router;
@@ -2,24 +2,56 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, authorizeProject, requireVerified, requireScope } = require('../middleware/auth');
 const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
 
 // Import Mongoose models
 const Project = require('../models/Project');
 const User = require('../models/User');     // For populating members and validating user IDs
 const Issue = require('../models/Issue');   // For cascading delete of issues
+const Sprint = require('../models/Sprint'); // For cascading delete of sprints
+const WorkLog = require('../models/WorkLog'); // For cascading delete of work logs
+const { getWorkflow, validateWorkflowDefinition, findStrandedStatuses } = require('../utils/workflow');
+const { isRestrictedForUnverified } = require('../config/verification');
+const { rankAtEnd } = require('../utils/rank');
+const { PROJECT_KEY_PATTERN, suggestProjectKey, rekeyProjectIssues, allocateIssueKey } = require('../utils/issueKeys');
+const { canAccessProject, loadProject } = require('../middleware/projectAccess');
+const { uploadImportFile } = require('../middleware/upload');
+const { parseCsv } = require('../utils/csv');
+const { buildColumnMapping, createImportContext, validateImportRow } = require('../utils/issueImport');
+const { buildTimesheet } = require('../utils/worklogs');
+const { parseStatsRange, getIssueBreakdown, getCreatedVsResolved, getTimeToResolve, getCumulativeFlow } = require('../utils/projectStats');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, getRolePermissions } = require('../config/permissions');
+
+// Most rows a single import may contain
+const IMPORT_MAX_ROWS = 1000;
 
 // --- Helper function for error handling ---
 const asyncHandler = fn => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
+// Build the permission matrix response for a project: effective permissions per role,
+// which roles are overridden, and what the requesting user can do.
+const buildPermissionMatrix = (project, user) => {
+  const roles = {};
+  Object.keys(DEFAULT_ROLE_PERMISSIONS).forEach(role => {
+    roles[role] = getRolePermissions(project, role);
+  });
+
+  return {
+    permissions: PERMISSIONS,
+    roles,
+    overriddenRoles: project.permissions ? [...project.permissions.keys()] : [],
+    myPermissions: PERMISSIONS.filter(permission => project.hasPermission(user, permission)),
+  };
+};
+
 /**
  * @route GET /api/projects
  * @desc Get all projects (user's projects + public projects they are members of)
  * @access Private (requires authentication)
  */
-router.get('/', protect, asyncHandler(async (req, res) => {
+router.get('/', protect, requireScope('projects:read'), asyncHandler(async (req, res) => {
   // Only fetch projects where the authenticated user is the creator or a member
   const query = {
     $or: [
@@ -43,7 +75,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
  * @desc Get a single project by ID
  * @access Private (requires authentication and project membership/ownership)
  */
-router.get('/:id', protect, asyncHandler(async (req, res) => {
+router.get('/:id', protect, requireScope('projects:read'), asyncHandler(async (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
     return res.status(400).json({ msg: 'Invalid Project ID format' });
   }
@@ -59,31 +91,45 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
     return res.status(404).json({ msg: 'Project not found' });
   }
 
-  // Authorization: Only creator or a member can view the project
-  // Ensure req.user and project.createdBy are properly defined before comparison
-  const isCreator = req.user && project.createdBy && project.createdBy._id.toString() === req.user.id;
-  const isMember = req.user && project.members.some(member => member.user && member.user._id.toString() === req.user.id);
-
-
-  if (!isCreator && !isMember) {
+  // Authorization: Only creator, a member or an admin can view the project
+  if (!canAccessProject(project, req.user)) {
     return res.status(401).json({ msg: 'Not authorized to view this project' });
   }
 
   res.json(project);
 }));
 
+// Check a requested project key. Returns an error message, or null if the key can be used.
+const validateProjectKey = async (key, projectId) => {
+  if (!PROJECT_KEY_PATTERN.test(key)) {
+    return 'Project key must be 2-10 letters or digits, starting with a letter (e.g. WEB)';
+  }
+  const taken = await Project.exists({ key, _id: { $ne: projectId } });
+  return taken ? `Project key '${key}' is already in use` : null;
+};
+
 /**
  * @route POST /api/projects
  * @desc Create a new project
- * @access Private (requires authentication)
+ * @access Private (requires authentication; a verified email address unless UNVERIFIED_RESTRICTIONS allows otherwise)
+ *
+ * Body:
+ * - key: (optional) Short unique key used in issue keys, e.g. 'WEB' for 'WEB-42'.
+ *   Derived from the name when not given.
  */
-router.post('/', protect, asyncHandler(async (req, res) => {
+router.post('/', protect, requireScope('projects:write'), requireVerified('project:create'), asyncHandler(async (req, res) => {
   const { name, description, status, priority, members } = req.body;
 
   if (!name) {
     return res.status(400).json({ msg: 'Project name is required' });
   }
 
+  const key = req.body.key ? String(req.body.key).trim().toUpperCase() : await suggestProjectKey(name);
+  const keyError = await validateProjectKey(key);
+  if (keyError) {
+    return res.status(400).json({ msg: keyError });
+  }
+
   // Check for existing project with the same name by the same user to prevent duplicates
   const existingProject = await Project.findOne({ name, createdBy: req.user.id });
   if (existingProject) {
@@ -107,6 +153,9 @@ router.post('/', protect, asyncHandler(async (req, res) => {
       if (!userExists) {
         return res.status(404).json({ msg: `User not found for member ID: ${memberData.user}` });
       }
+      if (isRestrictedForUnverified(userExists, 'project:join')) {
+        return res.status(400).json({ msg: `User ${userExists.username} has not verified their email address yet` });
+      }
       // Add member if not already in the list
       if (!projectMembers.some(pm => pm.user.toString() === memberData.user)) {
         projectMembers.push({ user: memberData.user, role: memberData.role || 'developer' }); // Default role
@@ -116,6 +165,7 @@ router.post('/', protect, asyncHandler(async (req, res) => {
 
   const newProject = new Project({
     name,
+    key,
     description,
     status,
     priority,
@@ -137,26 +187,30 @@ router.post('/', protect, asyncHandler(async (req, res) => {
 /**
  * @route PUT /api/projects/:id
  * @desc Update a project
- * @access Private (requires authentication and ownership/admin rights)
+ * @access Private (requires authentication and the 'project:update' permission)
+ *
+ * Changing the members list additionally requires the 'project:manage-members' permission.
+ * Changing the key re-keys all issues of the project; their previous keys keep resolving to them.
  */
-router.put('/:id', protect, asyncHandler(async (req, res) => {
-  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-    return res.status(400).json({ msg: 'Invalid Project ID format' });
-  }
-
-  let project = await Project.findById(req.params.id);
+router.put('/:id', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('project:update'), asyncHandler(async (req, res) => {
+  const project = req.project;
+  const { name, description, status, priority, members } = req.body;
 
-  if (!project) {
-    return res.status(404).json({ msg: 'Project not found' });
+  // Authorization: Changing members requires its own permission
+  if (members !== undefined && !project.hasPermission(req.user, 'project:manage-members')) {
+    return res.status(403).json({ msg: 'Not authorized to manage members of this project' });
   }
 
-  // Authorization: Only the creator of the project or an admin can update it
-  if (project.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-    return res.status(401).json({ msg: 'Not authorized to update this project' });
+  const previousKey = project.key;
+  const key = req.body.key ? String(req.body.key).trim().toUpperCase() : null;
+  if (key && key !== project.key) {
+    const keyError = await validateProjectKey(key, project._id);
+    if (keyError) {
+      return res.status(400).json({ msg: keyError });
+    }
+    project.key = key; // Issues are re-keyed once the project is saved
   }
 
-  const { name, description, status, priority, members } = req.body;
-
   // Update basic fields
   project.name = name || project.name;
   project.description = description !== undefined ? description : project.description;
@@ -189,6 +243,10 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
       if (!userExists) {
         return res.status(404).json({ msg: `User not found for member ID: ${memberData.user}` });
       }
+      // Existing members stay even if unverified; only new members must have verified their email
+      if (!project.getMemberRole(userExists._id) && isRestrictedForUnverified(userExists, 'project:join')) {
+        return res.status(400).json({ msg: `User ${userExists.username} has not verified their email address yet` });
+      }
       // Add member if not already in the updatedMembers list
       if (!updatedMembers.some(um => um.user.toString() === memberData.user)) {
         updatedMembers.push({ user: memberData.user, role: memberData.role || 'developer' });
@@ -198,6 +256,10 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
   }
 
   await project.save();
+  // Only re-key the issues once the new key is saved (a failed save, e.g. a duplicate key, leaves them alone)
+  if (project.key !== previousKey) {
+    await rekeyProjectIssues(project, previousKey);
+  }
   // Populate fields before sending response
   await project.populate('createdBy', 'username email');
   await project.populate({
@@ -208,12 +270,18 @@ router.put('/:id', protect, asyncHandler(async (req, res) => {
   res.json(project);
 }));
 
+// Label management routes (see routes/labels.js)
+router.use('/:id/labels', require('./labels'));
+
+// Sprint planning routes (see routes/sprints.js)
+router.use('/:id/sprints', require('./sprints'));
+
 /**
- * @route DELETE /api/projects/:id
- * @desc Delete a project
- * @access Private (requires authentication and ownership/admin rights)
+ * @route GET /api/projects/:id/workflow
+ * @desc Get the status workflow of a project (the default workflow if none is defined)
+ * @access Private (requires authentication and project membership/ownership)
  */
-router.delete('/:id', protect, asyncHandler(async (req, res) => {
+router.get('/:id/workflow', protect, requireScope('projects:read'), asyncHandler(async (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
     return res.status(400).json({ msg: 'Invalid Project ID format' });
   }
@@ -224,13 +292,391 @@ router.delete('/:id', protect, asyncHandler(async (req, res) => {
     return res.status(404).json({ msg: 'Project not found' });
   }
 
-  // Authorization: Only the creator of the project or an admin can delete it
-  if (project.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
-    return res.status(401).json({ msg: 'Not authorized to delete this project' });
+  // Authorization: Only creator, a member or an admin can view the workflow
+  if (!canAccessProject(project, req.user)) {
+    return res.status(401).json({ msg: 'Not authorized to view this project' });
   }
 
-  // Delete all issues associated with this project first
-  await Issue.deleteMany({ project: req.params.id });
+  res.json(getWorkflow(project));
+}));
+
+/**
+ * @route PUT /api/projects/:id/workflow
+ * @desc Replace the status workflow of a project
+ * @access Private (requires authentication and the 'project:manage-workflow' permission)
+ *
+ * Body:
+ * - initialStatus: Status new issues start in (defaults to the first status)
+ * - statuses: Statuses issues in this project may use
+ * - transitions: Array of { from, to, roles } allowed status changes
+ * - wipLimits: (optional) Maximum number of issues per status on the board, e.g. { "In Progress": 5 }
+ *
+ * Statuses that issues of the project are still in cannot be removed (409 with the `stranded` statuses).
+ */
+router.put('/:id/workflow', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('project:manage-workflow'), asyncHandler(async (req, res) => {
+  const project = req.project;
+  const { initialStatus, statuses, transitions, wipLimits } = req.body;
+
+  const workflowError = validateWorkflowDefinition({ initialStatus, statuses, transitions, wipLimits });
+  if (workflowError) {
+    return res.status(422).json({ msg: workflowError });
+  }
+
+  // Statuses still used by issues cannot be dropped; move those issues first
+  const stranded = await findStrandedStatuses(project._id, statuses);
+  if (stranded.length) {
+    return res.status(409).json({
+      msg: `The workflow must keep statuses still used by issues: ${stranded.map(({ status, count }) => `'${status}' (${count} issue${count === 1 ? '' : 's'})`).join(', ')}`,
+      stranded,
+    });
+  }
+
+  project.workflow = {
+    initialStatus: initialStatus || statuses[0],
+    statuses,
+    transitions: (transitions || []).map(({ from, to, roles }) => ({ from, to, roles: roles || [] })),
+    // Statuses without a limit (or with a null one) are left out
+    wipLimits: new Map(Object.entries(wipLimits || {}).filter(([, limit]) => limit !== null)),
+  };
+
+  await project.save();
+
+  res.json(getWorkflow(project));
+}));
+
+/**
+ * @route GET /api/projects/:id/board
+ * @desc Get the project's board: one column per workflow status with its cards in rank order
+ * @access Private (requires authentication and project membership)
+ *
+ * Each column has `status`, `cards`, `count` and the column's `wipLimit` (null when unlimited),
+ * with `overLimit` set when the column holds more cards than its WIP limit.
+ * Cards created before ranking existed come first until `npm run migrate:ranks` has ranked them.
+ *
+ * Query Parameters:
+ * - sprint: Only show issues of a sprint: a sprint ID, 'active' for the active sprint, or 'backlog'
+ * - assignedTo: Only show issues assigned to this user ID
+ */
+router.get('/:id/board', protect, requireScope('projects:read'), loadProject('id'), asyncHandler(async (req, res) => {
+  const project = req.project;
+  const { sprint, assignedTo } = req.query;
+  const workflow = getWorkflow(project);
+
+  const query = { project: project._id };
+  if (sprint === 'active') {
+    const activeSprint = await Sprint.findOne({ project: project._id, state: 'active' });
+    if (!activeSprint) {
+      return res.status(404).json({ msg: 'This project has no active sprint' });
+    }
+    query.sprint = activeSprint._id;
+  } else if (sprint === 'backlog') {
+    query.sprint = null;
+  } else if (sprint) {
+    if (!mongoose.Types.ObjectId.isValid(sprint)) {
+      return res.status(400).json({ msg: 'Invalid Sprint ID format' });
+    }
+    query.sprint = sprint;
+  }
+  if (assignedTo) {
+    if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+      return res.status(400).json({ msg: 'Invalid Assigned User ID format' });
+    }
+    query.assignedTo = assignedTo;
+  }
+
+  const issues = await Issue.find(query)
+    .sort({ rank: 1, _id: 1 })
+    .select('key title status priority type assignedTo labels dueDate sprint rank')
+    .populate('assignedTo', 'username email');
+
+  const columns = workflow.statuses.map(status => {
+    const cards = issues.filter(issue => issue.status === status);
+    const wipLimit = workflow.wipLimits[status] || null;
+    return {
+      status,
+      wipLimit,
+      count: cards.length,
+      overLimit: wipLimit !== null && cards.length > wipLimit,
+      cards,
+    };
+  });
+
+  res.json({ project: { _id: project._id, name: project.name }, columns });
+}));
+
+/**
+ * @route GET /api/projects/:id/stats
+ * @desc Get project health statistics
+ * @access Private (requires authentication and project membership/ownership)
+ *
+ * Returns:
+ * - totals: total, open, resolved and overdue issues (overdue: past the due date and not resolved)
+ * - byStatus, byPriority, byType, byAssignee: current issue counts (byAssignee also has open and overdue counts)
+ * - createdVsResolved: issues created and resolved per interval of the range
+ * - timeToResolve: average and median hours from creation to resolution of issues resolved in the range,
+ *   overall and per priority (issues resolved before resolution times were recorded need
+ *   `npm run migrate:resolved-at` once)
+ * - cumulativeFlow: number of issues in each status at the end of every interval of the range
+ *
+ * Query Parameters:
+ * - from: Start of the range (ISO date, default 30 days before `to`)
+ * - to: End of the range (ISO date, default now)
+ * - interval: 'day' (default) or 'week'; intervals are in UTC and weeks start on Monday
+ */
+router.get('/:id/stats', protect, requireScope('projects:read'), loadProject('id'), asyncHandler(async (req, res) => {
+  const project = req.project;
+  const range = parseStatsRange(req.query);
+  if (range.statusCode) {
+    return res.status(range.statusCode).json({ msg: range.msg });
+  }
+  const { statuses } = getWorkflow(project);
+
+  const [breakdown, createdVsResolved, timeToResolve, cumulativeFlow] = await Promise.all([
+    getIssueBreakdown(project, statuses),
+    getCreatedVsResolved(project._id, range),
+    getTimeToResolve(project._id, range),
+    getCumulativeFlow(project._id, range, statuses),
+  ]);
+
+  res.json({
+    project: { _id: project._id, name: project.name, key: project.key },
+    range: { from: range.from, to: range.to, interval: range.interval },
+    ...breakdown,
+    createdVsResolved,
+    timeToResolve,
+    cumulativeFlow,
+  });
+}));
+
+/**
+ * @route GET /api/projects/:id/timesheet
+ * @desc Get the time logged in a project per user (or per issue) and per day
+ * @access Private (requires authentication and project membership; without the 'time:manage'
+ * permission only the user's own time is included)
+ *
+ * Query Parameters:
+ * - from: Start of the range (ISO date, default 30 days before `to`)
+ * - to: End of the range (ISO date, default now)
+ * - user: (optional) Only include this user's time
+ * - groupBy: 'user' (default) or 'issue'
+ */
+router.get('/:id/timesheet', protect, requireScope('projects:read'), loadProject('id'), asyncHandler(async (req, res) => {
+  const { user, groupBy = 'user' } = req.query;
+  if (!['user', 'issue'].includes(groupBy)) {
+    return res.status(400).json({ msg: "groupBy must be 'user' or 'issue'" });
+  }
+  const range = parseStatsRange({ from: req.query.from, to: req.query.to, interval: 'day' });
+  if (range.statusCode) {
+    return res.status(range.statusCode).json({ msg: range.msg });
+  }
+
+  const match = { project: req.project._id };
+  if (user) {
+    if (!mongoose.Types.ObjectId.isValid(user)) {
+      return res.status(400).json({ msg: 'Invalid User ID format' });
+    }
+    match.user = new mongoose.Types.ObjectId(user);
+  }
+  if (!req.project.hasPermission(req.user, 'time:manage')) {
+    if (user && user !== req.user.id) {
+      return res.status(403).json({ msg: "Not authorized to view other users' time in this project" });
+    }
+    match.user = new mongoose.Types.ObjectId(req.user.id);
+  }
+
+  res.json({
+    project: { _id: req.project._id, name: req.project.name, key: req.project.key },
+    range: { from: range.buckets[0], to: range.to },
+    ...await buildTimesheet(match, groupBy, range),
+  });
+}));
+
+/**
+ * @route POST /api/projects/:id/import
+ * @desc Import issues into a project from CSV or JSON
+ * @access Private (requires authentication and the 'issue:create' permission)
+ *
+ * Send either a multipart upload with the file in `file` (CSV or JSON, detected from the file name
+ * unless `format` is given), or a JSON body with `issues` (array of objects) or `csv` (CSV text).
+ * Every row is validated against the Issue schema and the project's workflow and labels; valid rows
+ * are imported and invalid ones are reported with their row number (the line number in CSV files)
+ * and the problems per field. Imported issues don't send notifications.
+ *
+ * Columns are matched to issue fields by name (title, description, status, priority, type, assignee,
+ * reporter, labels, dueDate, createdAt, resolvedAt and a few aliases, including the columns of
+ * GET /api/issues/export). Users are given by username or email, labels by name (separated by ';').
+ * Issues imported in a resolved status keep their resolvedAt, or count as resolved when they were created.
+ * Setting another reporter requires the 'project:update' permission, setting an assignee 'issue:assign'.
+ *
+ * Body:
+ * - mapping: (optional) `{ "column": "field" }` overrides; map a column to null to ignore it
+ *   (a JSON string in multipart requests)
+ * - dryRun: true to only validate the rows and report what would be imported
+ */
+router.post('/:id/import', protect, requireScope('issues:write'), requireVerified('issue:create'), loadProject('id'), authorizeProject('issue:create'), uploadImportFile, asyncHandler(async (req, res) => {
+  const project = req.project;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  let { mapping = {} } = req.body;
+  if (typeof mapping === 'string') {
+    try {
+      mapping = JSON.parse(mapping);
+    } catch (err) {
+      return res.status(400).json({ msg: 'Mapping must be valid JSON' });
+    }
+  }
+
+  // Read the rows from the upload or the body
+  let format = req.body.format;
+  let content = null;
+  if (req.file) {
+    format = format || (/\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json' ? 'json' : 'csv');
+    content = req.file.buffer.toString('utf8');
+  } else if (Array.isArray(req.body.issues)) {
+    format = 'json';
+  } else if (typeof req.body.csv === 'string') {
+    format = 'csv';
+    content = req.body.csv;
+  } else {
+    return res.status(400).json({ msg: "Please upload a CSV or JSON file in 'file', or send 'issues' or 'csv' in the body" });
+  }
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ msg: "Format must be 'csv' or 'json'" });
+  }
+
+  let rows;
+  if (format === 'csv') {
+    rows = parseCsv(content).map(({ line, values }) => ({ row: line, values }));
+  } else {
+    let records = req.body.issues;
+    if (content !== null) {
+      try {
+        records = JSON.parse(content);
+      } catch (err) {
+        return res.status(400).json({ msg: `Invalid JSON: ${err.message}` });
+      }
+    }
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      return res.status(400).json({ msg: 'JSON imports must be an array of issue objects' });
+    }
+    rows = records.map((values, index) => ({ row: index + 1, values }));
+  }
+
+  if (rows.length === 0) {
+    return res.status(400).json({ msg: 'The import contains no rows' });
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return res.status(400).json({ msg: `Imports are limited to ${IMPORT_MAX_ROWS} rows` });
+  }
+
+  const columns = [...new Set(rows.flatMap(({ values }) => Object.keys(values)))];
+  const columnMapping = buildColumnMapping(columns, mapping);
+  if (columnMapping.statusCode) {
+    return res.status(columnMapping.statusCode).json({ msg: columnMapping.msg });
+  }
+
+  // Validate every row first, so a dry run reports exactly what a real import would do
+  const context = createImportContext(project, req.user);
+  const validated = [];
+  for (const { row, values } of rows) {
+    validated.push({ row, ...await validateImportRow(values, columnMapping.mapping, context) });
+  }
+
+  const imported = [];
+  const errors = validated.filter(result => result.errors.length > 0).map(({ row, errors: rowErrors }) => ({ row, errors: rowErrors }));
+
+  if (!dryRun) {
+    for (const { row, issue, errors: rowErrors } of validated) {
+      if (rowErrors.length > 0) continue;
+      // Imported issues are numbered in the project and go to the bottom of their board column
+      const { number, key } = await allocateIssueKey(project);
+      issue.number = number;
+      issue.key = key;
+      issue.rank = await rankAtEnd(project._id, issue.status);
+      await issue.save();
+      imported.push({ row, _id: issue._id, key: issue.key });
+    }
+  }
+
+  res.status(dryRun ? 200 : 201).json({
+    dryRun,
+    total: rows.length,
+    valid: validated.length - errors.length,
+    imported: imported.length,
+    failed: errors.length,
+    mapping: columnMapping.mapping,
+    ignoredColumns: columnMapping.ignoredColumns,
+    issues: imported,
+    errors,
+  });
+}));
+
+/**
+ * @route GET /api/projects/:id/permissions
+ * @desc Get the effective permission matrix of a project
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/:id/permissions', protect, requireScope('projects:read'), loadProject('id'), asyncHandler(async (req, res) => {
+  res.json(buildPermissionMatrix(req.project, req.user));
+}));
+
+/**
+ * @route PUT /api/projects/:id/permissions
+ * @desc Override the permissions granted to project roles
+ * @access Private (requires authentication and the 'project:manage-permissions' permission)
+ *
+ * Body:
+ * - roles: Object mapping a project role to its full list of permissions,
+ *   e.g. { "developer": ["issue:create", "comment:create"] }. Use null to restore a role's defaults.
+ */
+router.put('/:id/permissions', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('project:manage-permissions'), asyncHandler(async (req, res) => {
+  const project = req.project;
+  const { roles } = req.body;
+
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    return res.status(400).json({ msg: 'Please provide the role permissions to update' });
+  }
+
+  const overrides = new Map(project.permissions || []);
+  for (const [role, permissions] of Object.entries(roles)) {
+    if (!DEFAULT_ROLE_PERMISSIONS[role]) {
+      return res.status(400).json({ msg: `Unknown project role: ${role}` });
+    }
+    if (permissions === null) {
+      overrides.delete(role); // Restore the default permissions for this role
+      continue;
+    }
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ msg: `Permissions for role ${role} must be an array` });
+    }
+    const unknownPermission = permissions.find(permission => !PERMISSIONS.includes(permission));
+    if (unknownPermission) {
+      return res.status(400).json({ msg: `Unknown permission: ${unknownPermission}` });
+    }
+    overrides.set(role, [...new Set(permissions)]);
+  }
+
+  project.permissions = overrides;
+  await project.save();
+
+  res.json(buildPermissionMatrix(project, req.user));
+}));
+
+/**
+ * @route DELETE /api/projects/:id
+ * @desc Delete a project
+ * @access Private (requires authentication and the 'project:delete' permission)
+ */
+router.delete('/:id', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('project:delete'), asyncHandler(async (req, res) => {
+  const project = req.project;
+
+  // Delete the project's issues one by one, so the issue 'deleteOne' hook also removes their comments,
+  // history, links, notifications and attachments (including stored files)
+  for await (const issue of Issue.find({ project: project._id }).cursor()) {
+    await issue.deleteOne();
+  }
+  await Sprint.deleteMany({ project: req.params.id });
+  await WorkLog.deleteMany({ project: req.params.id });
 
   await project.deleteOne(); // Use deleteOne() instead of remove() for newer Mongoose versions
 
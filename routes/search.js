@@ -0,0 +1,146 @@
+// backend/routes/search.js
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect, requireScope } = require('../middleware/auth'); // Import authentication middleware
+const asyncHandler = require('../middleware/asyncHandler'); // Import asyncHandler
+const { getAccessibleProjectIds } = require('../middleware/projectAccess');
+const { createHighlighter } = require('../utils/search');
+
+const Issue = require('../models/Issue');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+
+// Maximum number of issue and comment matches considered before grouping and paging
+const MAX_CANDIDATES = 500;
+// Comment matches count for less than matches in the issue itself
+const COMMENT_SCORE_WEIGHT = 0.5;
+// Matching comments returned per issue
+const COMMENTS_PER_RESULT = 3;
+
+/**
+ * @route GET /api/search
+ * @desc Full-text search over issue titles, descriptions and comments, ranked by relevance
+ * @access Private (requires authentication; only issues in the user's projects are searched)
+ *
+ * Results are grouped by issue. An issue's score is its own text score plus half the score of its
+ * best matching comment. Snippets are HTML-escaped, with matching words wrapped in <mark>.
+ *
+ * Query Parameters:
+ * - q: Search terms (MongoDB text search syntax: "exact phrase", -excluded)
+ * - project: (optional) Only search this project
+ * - page: Current page number (default 1)
+ * - limit: Number of issues per page (default 10, at most 50)
+ */
+router.get('/', protect, requireScope('issues:read'), asyncHandler(async (req, res) => {
+  const { q, project } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  if (!q || !q.trim()) {
+    return res.status(400).json({ msg: 'Please provide search terms in the "q" parameter' });
+  }
+
+  // Restrict the search to projects the user can access (admins see everything)
+  const accessibleProjectIds = await getAccessibleProjectIds(req.user);
+  let projectScope = accessibleProjectIds ? { $in: accessibleProjectIds } : null;
+  if (project) {
+    if (!mongoose.Types.ObjectId.isValid(project)) {
+      return res.status(400).json({ msg: 'Invalid Project ID format' });
+    }
+    if (accessibleProjectIds && !accessibleProjectIds.some(id => id.toString() === project)) {
+      return res.status(403).json({ msg: 'Not authorized to search this project' });
+    }
+    projectScope = new mongoose.Types.ObjectId(project);
+  }
+
+  const issueMatch = { $text: { $search: q } };
+  if (projectScope) issueMatch.project = projectScope;
+
+  const [issueHits, commentHits] = await Promise.all([
+    Issue.aggregate([
+      { $match: issueMatch },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $sort: { score: -1 } },
+      { $limit: MAX_CANDIDATES },
+      { $project: { key: 1, title: 1, description: 1, status: 1, priority: 1, project: 1, score: 1 } },
+    ]),
+    // Comments don't store their project, so it is looked up through the issue before scoping
+    Comment.aggregate([
+      { $match: { $text: { $search: q }, isDeleted: { $ne: true } } },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $lookup: { from: 'issues', localField: 'issue', foreignField: '_id', as: 'issueDoc', pipeline: [{ $project: { project: 1 } }] } },
+      { $unwind: '$issueDoc' },
+      ...(projectScope ? [{ $match: { 'issueDoc.project': projectScope } }] : []),
+      { $sort: { score: -1 } },
+      { $limit: MAX_CANDIDATES },
+      { $project: { issue: 1, author: 1, content: 1, createdAt: 1, score: 1 } },
+    ]),
+  ]);
+
+  // Group the matches by issue
+  const results = new Map();
+  const resultFor = (issueId) => {
+    const id = issueId.toString();
+    if (!results.has(id)) results.set(id, { issueId: id, issue: null, issueScore: 0, comments: [] });
+    return results.get(id);
+  };
+  issueHits.forEach(hit => {
+    const result = resultFor(hit._id);
+    result.issue = hit;
+    result.issueScore = hit.score;
+  });
+  commentHits.forEach(hit => resultFor(hit.issue).comments.push(hit)); // Already sorted by score
+
+  const ranked = [...results.values()]
+    .map(result => ({
+      ...result,
+      score: result.issueScore + COMMENT_SCORE_WEIGHT * (result.comments.length ? result.comments[0].score : 0),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const pageResults = ranked.slice((page - 1) * limit, page * limit);
+
+  // Load what the page needs: issues only matched through comments, projects and comment authors
+  const missingIssueIds = pageResults.filter(result => !result.issue).map(result => result.issueId);
+  const missingIssues = await Issue.find({ _id: { $in: missingIssueIds } })
+    .select('key title description status priority project')
+    .lean();
+  missingIssues.forEach(issue => { results.get(issue._id.toString()).issue = issue; });
+
+  const pageIssues = pageResults.map(result => results.get(result.issueId).issue);
+  await Issue.populate(pageIssues, { path: 'project', select: 'name key' });
+
+  const pageComments = pageResults.flatMap(result => result.comments.slice(0, COMMENTS_PER_RESULT));
+  await User.populate(pageComments, { path: 'author', select: 'username email', model: User });
+
+  const highlight = createHighlighter(q);
+
+  res.json({
+    total: ranked.length,
+    page,
+    limit,
+    results: pageResults.map(result => {
+      const { description, score, ...issue } = results.get(result.issueId).issue;
+      return {
+        issue,
+        score: result.score,
+        highlights: {
+          title: highlight(issue.title),
+          description: highlight(description),
+        },
+        commentMatches: result.comments.length,
+        comments: result.comments.slice(0, COMMENTS_PER_RESULT).map(comment => ({
+          _id: comment._id,
+          author: comment.author,
+          createdAt: comment.createdAt,
+          score: comment.score,
+          snippet: highlight(comment.content) || comment.content.slice(0, 120),
+        })),
+      };
+    }),
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,313 @@
+// backend/routes/sprints.js
+
+// Mounted by routes/projects.js on /api/projects/:id/sprints
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :id (the project ID) from the parent router
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect, authorizeProject, requireScope } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { loadProject } = require('../middleware/projectAccess');
+const { RESOLVED_STATUSES } = require('../utils/workflow');
+
+const Issue = require('../models/Issue');
+const Sprint = require('../models/Sprint');
+
+// Find a sprint of the loaded project by ID, responding with an error if it doesn't exist
+const findSprint = async (req, res, sprintId = req.params.sprintId) => {
+  if (!mongoose.Types.ObjectId.isValid(sprintId)) {
+    res.status(400).json({ msg: 'Invalid Sprint ID format' });
+    return null;
+  }
+
+  const sprint = await Sprint.findOne({ _id: sprintId, project: req.project._id });
+  if (!sprint) {
+    res.status(404).json({ msg: 'Sprint not found' });
+    return null;
+  }
+  return sprint;
+};
+
+// Count the issues of each sprint, and how many of them are resolved or closed
+const countSprintIssues = async (sprintIds) => {
+  const counts = await Issue.aggregate([
+    { $match: { sprint: { $in: sprintIds } } },
+    {
+      $group: {
+        _id: '$sprint',
+        issueCount: { $sum: 1 },
+        doneCount: { $sum: { $cond: [{ $in: ['$status', RESOLVED_STATUSES] }, 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(counts.map(c => [c._id.toString(), { issueCount: c.issueCount, doneCount: c.doneCount }]));
+};
+
+const withCounts = (sprint, counts) => ({
+  ...sprint.toObject(),
+  ...(counts.get(sprint._id.toString()) || { issueCount: 0, doneCount: 0 }),
+});
+
+/**
+ * @route GET /api/projects/:id/sprints
+ * @desc Get the sprints of a project (ordered by start date), with issue counts
+ * @access Private (requires authentication and project membership)
+ *
+ * Query Parameters:
+ * - state: Filter by sprint state ('planned', 'active' or 'completed')
+ */
+router.get('/', protect, requireScope('projects:read'), loadProject('id'), asyncHandler(async (req, res) => {
+  const query = { project: req.project._id };
+  if (req.query.state) query.state = req.query.state;
+
+  const sprints = await Sprint.find(query).sort({ startDate: 1, createdAt: 1 });
+  const counts = await countSprintIssues(sprints.map(sprint => sprint._id));
+
+  res.json(sprints.map(sprint => withCounts(sprint, counts)));
+}));
+
+/**
+ * @route POST /api/projects/:id/sprints
+ * @desc Plan a new sprint
+ * @access Private (requires authentication and the 'sprint:manage' permission)
+ *
+ * Body:
+ * - name: Sprint name
+ * - goal: (optional) What the sprint should achieve
+ * - startDate, endDate: (optional) Planned dates; can also be set when the sprint is started
+ */
+router.post('/', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('sprint:manage'), asyncHandler(async (req, res) => {
+  const { name, goal, startDate, endDate } = req.body;
+
+  if (!name || !name.trim()) {
+    return res.status(400).json({ msg: 'Sprint name is required' });
+  }
+
+  const sprint = await Sprint.create({
+    project: req.project._id,
+    name,
+    goal,
+    startDate,
+    endDate,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json(sprint);
+}));
+
+/**
+ * @route GET /api/projects/:id/sprints/:sprintId
+ * @desc Get a sprint with its issues
+ * @access Private (requires authentication and project membership)
+ */
+router.get('/:sprintId', protect, requireScope('projects:read'), loadProject('id'), asyncHandler(async (req, res) => {
+  const sprint = await findSprint(req, res);
+  if (!sprint) return;
+
+  const issues = await Issue.find({ sprint: sprint._id })
+    .sort({ createdAt: 1 })
+    .populate('assignedTo', 'username email');
+  const counts = await countSprintIssues([sprint._id]);
+
+  res.json({ ...withCounts(sprint, counts), issues });
+}));
+
+/**
+ * @route PUT /api/projects/:id/sprints/:sprintId
+ * @desc Update a sprint's name, goal or dates
+ * @access Private (requires authentication and the 'sprint:manage' permission)
+ */
+router.put('/:sprintId', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('sprint:manage'), asyncHandler(async (req, res) => {
+  const sprint = await findSprint(req, res);
+  if (!sprint) return;
+
+  if (sprint.state === 'completed') {
+    return res.status(409).json({ msg: 'Completed sprints cannot be changed' });
+  }
+
+  const { name, goal, startDate, endDate } = req.body;
+  if (name !== undefined) {
+    if (!name || !name.trim()) {
+      return res.status(400).json({ msg: 'Sprint name is required' });
+    }
+    sprint.name = name;
+  }
+  if (goal !== undefined) sprint.goal = goal;
+  if (startDate !== undefined) sprint.startDate = startDate;
+  if (endDate !== undefined) sprint.endDate = endDate;
+
+  await sprint.save(); // Mongoose validates the date order
+
+  res.json(sprint);
+}));
+
+/**
+ * @route DELETE /api/projects/:id/sprints/:sprintId
+ * @desc Delete a sprint; its issues go back to the backlog
+ * @access Private (requires authentication and the 'sprint:manage' permission)
+ */
+router.delete('/:sprintId', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('sprint:manage'), asyncHandler(async (req, res) => {
+  const sprint = await findSprint(req, res);
+  if (!sprint) return;
+
+  if (sprint.state === 'active') {
+    return res.status(409).json({ msg: 'Complete the sprint before deleting it' });
+  }
+
+  // The 'deleteOne' pre-hook in the Sprint model moves its issues back to the backlog
+  await sprint.deleteOne();
+
+  res.json({ msg: 'Sprint removed successfully' });
+}));
+
+/**
+ * @route POST /api/projects/:id/sprints/:sprintId/issues
+ * @desc Add issues of the project to a sprint (moving them out of the backlog or another sprint)
+ * @access Private (requires authentication and the 'sprint:manage' permission)
+ *
+ * Body:
+ * - issues: Array of issue IDs
+ */
+router.post('/:sprintId/issues', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('sprint:manage'), asyncHandler(async (req, res) => {
+  const sprint = await findSprint(req, res);
+  if (!sprint) return;
+
+  if (sprint.state === 'completed') {
+    return res.status(409).json({ msg: 'Issues cannot be added to a completed sprint' });
+  }
+
+  const { issues } = req.body;
+  if (!Array.isArray(issues) || issues.length === 0) {
+    return res.status(400).json({ msg: 'Please provide an array of issue IDs' });
+  }
+  if (issues.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({ msg: 'Invalid Issue ID format' });
+  }
+
+  const found = await Issue.find({ _id: { $in: issues }, project: req.project._id }).distinct('_id');
+  if (found.length !== new Set(issues.map(String)).size) {
+    const foundIds = found.map(id => id.toString());
+    return res.status(404).json({
+      msg: 'Some issues were not found in this project',
+      missing: issues.filter(id => !foundIds.includes(String(id))),
+    });
+  }
+
+  const result = await Issue.updateMany({ _id: { $in: found } }, { $set: { sprint: sprint._id } });
+
+  res.json({ msg: 'Issues added to sprint', affectedIssues: result.modifiedCount });
+}));
+
+/**
+ * @route DELETE /api/projects/:id/sprints/:sprintId/issues/:issueId
+ * @desc Remove an issue from a sprint, moving it back to the backlog
+ * @access Private (requires authentication and the 'sprint:manage' permission)
+ */
+router.delete('/:sprintId/issues/:issueId', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('sprint:manage'), asyncHandler(async (req, res) => {
+  const sprint = await findSprint(req, res);
+  if (!sprint) return;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.issueId)) {
+    return res.status(400).json({ msg: 'Invalid Issue ID format' });
+  }
+
+  const issue = await Issue.findOneAndUpdate(
+    { _id: req.params.issueId, sprint: sprint._id },
+    { $set: { sprint: null } },
+    { new: true }
+  );
+  if (!issue) {
+    return res.status(404).json({ msg: 'Issue not found in this sprint' });
+  }
+
+  res.json({ msg: 'Issue moved to the backlog' });
+}));
+
+/**
+ * @route POST /api/projects/:id/sprints/:sprintId/start
+ * @desc Start a planned sprint. Only one sprint per project can be active at a time.
+ * @access Private (requires authentication and the 'sprint:manage' permission)
+ *
+ * Body:
+ * - startDate: (optional) Defaults to the planned start date, or now
+ * - endDate: (optional if already planned) When the sprint ends
+ */
+router.post('/:sprintId/start', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('sprint:manage'), asyncHandler(async (req, res) => {
+  const sprint = await findSprint(req, res);
+  if (!sprint) return;
+
+  if (sprint.state !== 'planned') {
+    return res.status(409).json({ msg: `Cannot start a sprint that is ${sprint.state}` });
+  }
+
+  const activeSprint = await Sprint.findOne({ project: req.project._id, state: 'active' });
+  if (activeSprint) {
+    return res.status(409).json({ msg: `Sprint '${activeSprint.name}' is already active in this project` });
+  }
+
+  const { startDate, endDate } = req.body;
+  sprint.startDate = startDate || sprint.startDate || Date.now();
+  if (endDate) sprint.endDate = endDate;
+  if (!sprint.endDate) {
+    return res.status(400).json({ msg: 'Please provide an end date for the sprint' });
+  }
+
+  sprint.state = 'active';
+  sprint.startedAt = Date.now();
+  await sprint.save();
+
+  res.json(sprint);
+}));
+
+/**
+ * @route POST /api/projects/:id/sprints/:sprintId/complete
+ * @desc Complete the active sprint, rolling its unfinished issues over
+ * @access Private (requires authentication and the 'sprint:manage' permission)
+ *
+ * Issues that are not resolved or closed move to the sprint given in `rolloverTo`, or by default
+ * to the next planned sprint of the project (the backlog if there is none).
+ *
+ * Body:
+ * - rolloverTo: (optional) ID of a planned sprint, or 'backlog'
+ */
+router.post('/:sprintId/complete', protect, requireScope('projects:write'), loadProject('id'), authorizeProject('sprint:manage'), asyncHandler(async (req, res) => {
+  const sprint = await findSprint(req, res);
+  if (!sprint) return;
+
+  if (sprint.state !== 'active') {
+    return res.status(409).json({ msg: 'Only the active sprint can be completed' });
+  }
+
+  // Work out where unfinished issues go
+  const { rolloverTo } = req.body;
+  let nextSprint = null;
+  if (rolloverTo && rolloverTo !== 'backlog') {
+    nextSprint = await findSprint(req, res, rolloverTo);
+    if (!nextSprint) return;
+    if (nextSprint.state !== 'planned') {
+      return res.status(409).json({ msg: 'Issues can only be rolled over to a planned sprint' });
+    }
+  } else if (!rolloverTo) {
+    nextSprint = await Sprint.findOne({ project: req.project._id, state: 'planned' }).sort({ startDate: 1, createdAt: 1 });
+  }
+
+  const issues = await Issue.find({ sprint: sprint._id }).select('status');
+  const completed = issues.filter(issue => RESOLVED_STATUSES.includes(issue.status)).map(issue => issue._id);
+  const incomplete = issues.filter(issue => !RESOLVED_STATUSES.includes(issue.status)).map(issue => issue._id);
+
+  await Issue.updateMany({ _id: { $in: incomplete } }, { $set: { sprint: nextSprint ? nextSprint._id : null } });
+
+  sprint.state = 'completed';
+  sprint.completedAt = Date.now();
+  sprint.completedIssues = completed;
+  sprint.incompleteIssues = incomplete;
+  await sprint.save();
+
+  res.json({
+    sprint,
+    completedIssues: completed.length,
+    rolledOverIssues: incomplete.length,
+    rolledOverTo: nextSprint ? { _id: nextSprint._id, name: nextSprint.name } : 'backlog',
+  });
+}));
+
+module.exports = router;
@@ -2,10 +2,15 @@
 
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth'); // Import authentication middleware
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect, authorize, requireScope } = require('../middleware/auth'); // Import authentication middleware
 const asyncHandler = require('../middleware/asyncHandler'); // Import asyncHandler
+const { getAccessibleProjectIds } = require('../middleware/projectAccess');
+const { parseStatsRange } = require('../utils/projectStats');
+const { buildTimesheet } = require('../utils/worklogs');
 
 const User = require('../models/User'); // Import the User model
+const Project = require('../models/Project');
 
 /**
  * @route GET /api/users
@@ -13,7 +18,7 @@ const User = require('../models/User'); // Import the User model
  * @access Private (e.g., only authenticated users can see other users for assignments/members)
  * You might even restrict this further to 'admin' or 'project managers' in a real app.
  */
-router.get('/', protect, asyncHandler(async (req, res) => {
+router.get('/', protect, requireScope('users:read'), asyncHandler(async (req, res) => {
   // In a production app, consider pagination for a large number of users.
   // For now, fetch all users.
   const users = await User.find().select('-password'); // Exclude passwords from the response
@@ -26,7 +31,7 @@ router.get('/', protect, asyncHandler(async (req, res) => {
  * @desc Get a single user by ID
  * @access Private (e.g., only authenticated users can view user profiles)
  */
-router.get('/:id', protect, asyncHandler(async (req, res) => {
+router.get('/:id', protect, requireScope('users:read'), asyncHandler(async (req, res) => {
   // Validate if the provided ID is a valid Mongoose ObjectId format
   if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
     return res.status(400).json({ msg: 'Invalid User ID format' });
@@ -41,6 +46,56 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
   res.json(user);
 }));
 
+/**
+ * @route GET /api/users/:id/timesheet
+ * @desc Get the time a user logged per issue (or per project) and per day
+ * @access Private (the user themselves, or anyone with the 'time:manage' permission in the user's
+ * projects; only time logged in those projects is included)
+ *
+ * Query Parameters:
+ * - from: Start of the range (ISO date, default 30 days before `to`)
+ * - to: End of the range (ISO date, default now)
+ * - groupBy: 'issue' (default) or 'project'
+ */
+router.get('/:id/timesheet', protect, requireScope('users:read'), asyncHandler(async (req, res) => {
+  const { groupBy = 'issue' } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ msg: 'Invalid User ID format' });
+  }
+  if (!['issue', 'project'].includes(groupBy)) {
+    return res.status(400).json({ msg: "groupBy must be 'issue' or 'project'" });
+  }
+  const range = parseStatsRange({ from: req.query.from, to: req.query.to, interval: 'day' });
+  if (range.statusCode) {
+    return res.status(range.statusCode).json({ msg: range.msg });
+  }
+
+  const user = await User.findById(req.params.id).select('username email');
+  if (!user) {
+    return res.status(404).json({ msg: 'User not found' });
+  }
+
+  // Own time is visible in every accessible project, other users' time only where the viewer manages time
+  const match = { user: user._id };
+  const accessibleProjectIds = await getAccessibleProjectIds(req.user);
+  if (req.user.id !== user.id && req.user.role !== 'admin') {
+    const projects = await Project.find({ _id: { $in: accessibleProjectIds } });
+    match.project = { $in: projects.filter(project => project.hasPermission(req.user, 'time:manage')).map(project => project._id) };
+    if (match.project.$in.length === 0) {
+      return res.status(403).json({ msg: "Not authorized to view this user's timesheet" });
+    }
+  } else if (accessibleProjectIds) {
+    match.project = { $in: accessibleProjectIds };
+  }
+
+  res.json({
+    user,
+    range: { from: range.buckets[0], to: range.to },
+    ...await buildTimesheet(match, groupBy, range),
+  });
+}));
+
 // You can add more user-related routes here (e.g., update user, delete user by admin)
 
 module.exports = router;
@@ -0,0 +1,170 @@
+// backend/routes/worklogs.js
+
+// Mounted by routes/issues.js on /api/issues/:issueId/worklogs
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Access :issueId from the parent router
+const mongoose = require('mongoose'); // Import mongoose to use ObjectId for validation
+const { protect, authorizeProject, requireScope } = require('../middleware/auth');
+const asyncHandler = require('../middleware/asyncHandler');
+const { loadIssue } = require('../middleware/projectAccess');
+
+const WorkLog = require('../models/WorkLog');
+const { parseDuration } = require('../utils/duration');
+const { parseEstimateAdjustment, adjustIssueTime } = require('../utils/worklogs');
+
+// Read the date work was done on (default now); returns null if it is invalid
+const parseWorkDate = (value) => {
+  const date = value ? new Date(value) : new Date();
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Load a work log of the issue by :worklogId, checking that the user may change it.
+// Authors can change their own work logs, anyone else needs 'time:manage'.
+const findEditableWorkLog = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.worklogId)) {
+    res.status(400).json({ msg: 'Invalid Work Log ID format' });
+    return null;
+  }
+
+  const workLog = await WorkLog.findOne({ _id: req.params.worklogId, issue: req.issue._id });
+  if (!workLog) {
+    res.status(404).json({ msg: 'Work log not found' });
+    return null;
+  }
+
+  const isAuthor = workLog.user.toString() === req.user.id;
+  if (isAuthor ? !req.project.hasPermission(req.user, 'time:log') : !req.project.hasPermission(req.user, 'time:manage')) {
+    res.status(403).json({ msg: 'Not authorized to change this work log' });
+    return null;
+  }
+  return workLog;
+};
+
+/**
+ * @route GET /api/issues/:issueId/worklogs
+ * @desc Get the work logged on an issue (newest first) with the issue's estimates and time spent
+ * @access Private (requires authentication and project membership)
+ *
+ * Durations and estimates are in minutes.
+ */
+router.get('/', protect, requireScope('issues:read'), loadIssue('issueId'), asyncHandler(async (req, res) => {
+  const worklogs = await WorkLog.find({ issue: req.issue._id })
+    .sort({ date: -1, createdAt: -1 })
+    .populate('user', 'username email');
+
+  res.json({
+    originalEstimate: req.issue.originalEstimate,
+    remainingEstimate: req.issue.remainingEstimate,
+    timeSpent: req.issue.timeSpent || 0,
+    worklogs,
+  });
+}));
+
+/**
+ * @route POST /api/issues/:issueId/worklogs
+ * @desc Log work on an issue
+ * @access Private (requires authentication and the 'time:log' permission)
+ *
+ * Body:
+ * - duration: Minutes, or working time like '1h 30m' (d = 8 hours, w = 5 days)
+ * - date: (optional) When the work was done (default now)
+ * - note: (optional) What was done
+ * - adjustEstimate: (optional) 'auto' (default) to reduce the remaining estimate by the duration,
+ *   'leave' to keep it, or 'new' to set it to `remainingEstimate`
+ */
+router.post('/', protect, requireScope('issues:write'), loadIssue('issueId'), authorizeProject('time:log'), asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const duration = parseDuration(req.body.duration);
+  if (!duration) {
+    return res.status(400).json({ msg: "Please provide the duration in minutes or as working time like '1h 30m'" });
+  }
+  const date = parseWorkDate(req.body.date);
+  if (!date) {
+    return res.status(400).json({ msg: 'Invalid work date' });
+  }
+  const adjustment = parseEstimateAdjustment(req.body);
+  if (adjustment.statusCode) {
+    return res.status(adjustment.statusCode).json({ msg: adjustment.msg });
+  }
+
+  const workLog = await WorkLog.create({
+    issue: req.issue._id,
+    project: req.issue.project,
+    user: req.user.id,
+    duration,
+    date,
+    note,
+  });
+  const time = await adjustIssueTime(req.issue._id, duration, adjustment);
+
+  await workLog.populate('user', 'username email');
+  res.status(201).json({ worklog: workLog, issue: time });
+}));
+
+/**
+ * @route PUT /api/issues/:issueId/worklogs/:worklogId
+ * @desc Edit a work log
+ * @access Private (requires authentication; the author with 'time:log', or the 'time:manage' permission)
+ *
+ * Body: duration, date, note and adjustEstimate as for POST. With 'auto', the remaining estimate
+ * changes by the difference in duration.
+ */
+router.put('/:worklogId', protect, requireScope('issues:write'), loadIssue('issueId'), asyncHandler(async (req, res) => {
+  const workLog = await findEditableWorkLog(req, res);
+  if (!workLog) return;
+
+  const { note } = req.body;
+  const previousDuration = workLog.duration;
+
+  if (req.body.duration !== undefined) {
+    const duration = parseDuration(req.body.duration);
+    if (!duration) {
+      return res.status(400).json({ msg: "Please provide the duration in minutes or as working time like '1h 30m'" });
+    }
+    workLog.duration = duration;
+  }
+  if (req.body.date !== undefined) {
+    const date = parseWorkDate(req.body.date);
+    if (!date) {
+      return res.status(400).json({ msg: 'Invalid work date' });
+    }
+    workLog.date = date;
+  }
+  if (note !== undefined) workLog.note = note;
+
+  const adjustment = parseEstimateAdjustment(req.body);
+  if (adjustment.statusCode) {
+    return res.status(adjustment.statusCode).json({ msg: adjustment.msg });
+  }
+
+  await workLog.save();
+  const time = await adjustIssueTime(req.issue._id, workLog.duration - previousDuration, adjustment);
+
+  await workLog.populate('user', 'username email');
+  res.json({ worklog: workLog, issue: time });
+}));
+
+/**
+ * @route DELETE /api/issues/:issueId/worklogs/:worklogId
+ * @desc Delete a work log
+ * @access Private (requires authentication; the author with 'time:log', or the 'time:manage' permission)
+ *
+ * Body: adjustEstimate as for POST. With 'auto', the logged time is added back to the remaining estimate.
+ */
+router.delete('/:worklogId', protect, requireScope('issues:write'), loadIssue('issueId'), asyncHandler(async (req, res) => {
+  const workLog = await findEditableWorkLog(req, res);
+  if (!workLog) return;
+
+  const adjustment = parseEstimateAdjustment(req.body || {});
+  if (adjustment.statusCode) {
+    return res.status(adjustment.statusCode).json({ msg: adjustment.msg });
+  }
+
+  await workLog.deleteOne();
+  const time = await adjustIssueTime(req.issue._id, -workLog.duration, adjustment);
+
+  res.json({ msg: 'Work log removed successfully', issue: time });
+}));
+
+module.exports = router;
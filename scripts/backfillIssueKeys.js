@@ -0,0 +1,57 @@
+// backend/scripts/backfillIssueKeys.js
+
+// One-off migration: number the issues that predate issue keys, oldest first within each project,
+// and give them keys (e.g. 'WEB-42') so they can be looked up and re-keyed like newer issues.
+// Projects without a key get one first. Issues created since keys were introduced keep their numbers;
+// older issues are numbered after them, reserving the numbers with the project's issue counter.
+// Safe to run more than once, and while the server is running; only issues without a key are changed.
+//
+// Usage: npm run migrate:issue-keys
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './config/config.env' });
+
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+const { ensureProjectKey } = require('../utils/issueKeys');
+
+// Number the unkeyed issues of one project; returns how many were numbered
+const backfillProject = async (project) => {
+  const issues = await Issue.find({ project: project._id, key: null }).sort({ createdAt: 1, _id: 1 }).select('_id').lean();
+  if (issues.length === 0) return 0;
+
+  await ensureProjectKey(project);
+  const updated = await Project.findByIdAndUpdate(project._id, { $inc: { issueCounter: issues.length } }, { new: true })
+    .select('key issueCounter');
+  const firstNumber = updated.issueCounter - issues.length + 1;
+
+  await Issue.bulkWrite(issues.map((issue, index) => ({
+    updateOne: {
+      filter: { _id: issue._id, key: null },
+      update: { $set: { number: firstNumber + index, key: `${updated.key}-${firstNumber + index}` } },
+    },
+  })));
+  return issues.length;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const projectIds = await Issue.distinct('project', { key: null });
+  let updated = 0;
+  for (const projectId of projectIds) {
+    const project = await Project.findById(projectId);
+    if (project) updated += await backfillProject(project);
+  }
+
+  console.log(`Numbered ${updated} issue(s) in ${projectIds.length} project(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Error backfilling issue keys:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,40 @@
+// backend/scripts/backfillRanks.js
+
+// One-off migration: give issues that predate board ranking a rank at the bottom of their column,
+// oldest first, so every board column has a stable order and cards can be placed around them.
+// Safe to run more than once; only issues still without a rank are changed.
+//
+// Usage: npm run migrate:ranks
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './config/config.env' });
+
+const Issue = require('../models/Issue');
+const { ensureColumnRanks } = require('../utils/rank');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Board columns (project and status) that hold unranked issues
+  const columns = await Issue.aggregate([
+    { $match: { rank: null } },
+    { $group: { _id: { project: '$project', status: '$status' }, count: { $sum: 1 } } },
+  ]);
+
+  let updated = 0;
+  for (const { _id: column, count } of columns) {
+    await ensureColumnRanks(column.project, column.status);
+    updated += count;
+  }
+
+  console.log(`Ranked ${updated} issue(s) in ${columns.length} board column(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Error backfilling ranks:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
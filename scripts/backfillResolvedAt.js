@@ -0,0 +1,68 @@
+// backend/scripts/backfillResolvedAt.js
+
+// One-off migration: give resolved issues that predate `Issue.resolvedAt` a resolution time, taken from
+// when their status history shows them entering a resolved status, otherwise from their last update.
+// Safe to run more than once; only issues still without a resolution time are changed.
+//
+// Usage: npm run migrate:resolved-at
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config({ path: './config/config.env' });
+
+const Issue = require('../models/Issue');
+const IssueHistory = require('../models/IssueHistory');
+const { RESOLVED_STATUSES } = require('../utils/workflow');
+
+// Issues handled per round trip
+const BATCH_SIZE = 500;
+
+// Set resolvedAt on one batch of issues
+const backfillBatch = async (issues) => {
+  const history = await IssueHistory.find({
+    issue: { $in: issues.map(issue => issue._id) },
+    field: 'status',
+    newValue: { $in: RESOLVED_STATUSES },
+    oldValue: { $nin: RESOLVED_STATUSES },
+  }).sort({ createdAt: 1 }).select('issue createdAt').lean();
+
+  // The last time each issue was resolved (the history is sorted oldest first)
+  const resolvedAt = new Map(history.map(entry => [entry.issue.toString(), entry.createdAt]));
+
+  await Issue.bulkWrite(issues.map(issue => ({
+    updateOne: {
+      filter: { _id: issue._id, resolvedAt: null },
+      update: { $set: { resolvedAt: resolvedAt.get(issue._id.toString()) || issue.updatedAt } },
+    },
+  })));
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = Issue.find({ status: { $in: RESOLVED_STATUSES }, resolvedAt: null }).select('updatedAt').lean().cursor();
+  let batch = [];
+  let updated = 0;
+  for await (const issue of cursor) {
+    batch.push(issue);
+    if (batch.length === BATCH_SIZE) {
+      await backfillBatch(batch);
+      updated += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length) {
+    await backfillBatch(batch);
+    updated += batch.length;
+  }
+
+  console.log(`Backfilled resolvedAt on ${updated} issue(s)`);
+};
+
+run()
+  .catch(err => {
+    console.error('Error backfilling resolvedAt:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
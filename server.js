@@ -6,16 +6,34 @@ const connectDB = require('./config/db');
 const errorHandler = require('./middleware/error'); // Import your custom error handler
 const cookieParser = require('cookie-parser'); // Import the cookie-parser middleware
 const cors = require('cors'); // Import the CORS middleware
+const rateLimit = require('./middleware/rateLimit'); // Per-client request limits
+const { assertMailConfigured } = require('./mail'); // Outgoing email configuration check
+const { startDigestScheduler } = require('./mail/dispatcher'); // Digest notification emails
+const { startDueDateReminders } = require('./utils/dueDateReminders'); // Due date reminder notifications
 
 // Load environment variables from .env file
 // Ensure path to config.env is correct if using that instead of just .env
 dotenv.config({ path: './config/config.env' });
 
+// Fail fast on a missing mail transport in production (emails carry password reset links)
+assertMailConfigured();
+
 // Connect to MongoDB database
 connectDB();
 
+// Start background jobs that send digest emails and due date reminders
+startDigestScheduler();
+startDueDateReminders();
+
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one proxy hop) so req.ip, which rate limits
+// and login lockouts count by, is the client's address instead of the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware: Enable CORS for all routes to allow frontend to communicate
 // Configure CORS to allow specific origin and support credentials
 const corsOptions = {
@@ -26,6 +44,7 @@ const corsOptions = {
   origin: process.env.CLIENT_ORIGIN,
   methods: ['GET', 'POST', 'PUT', 'DELETE'], // Allow these HTTP methods
   allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'], // Allow these headers
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'], // Let the frontend read rate limits
   credentials: true // Allow cookies and authentication headers
 };
 app.use(cors(corsOptions)); // Apply CORS middleware with configured options
@@ -38,20 +57,32 @@ app.use(express.json());
 // This makes cookies available in req.cookies
 app.use(cookieParser());
 
+// Request limits per route group (see config/rateLimits.js). Routes sharing a group share one count.
+const apiRateLimit = rateLimit('api');
+
 // Define Routes
 // These are the API endpoints for different parts of your application.
 // Authentication routes (for user registration and login)
-app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth', rateLimit('auth'), require('./routes/auth'));
 
 // Project Management routes
-app.use('/api/projects', require('./routes/projects'));
+app.use('/api/projects', apiRateLimit, require('./routes/projects'));
 
 // Issue Management routes
-app.use('/api/issues', require('./routes/issues'));
+app.use('/api/issues', apiRateLimit, require('./routes/issues'));
+
+// Full-text search across issues and comments
+app.use('/api/search', rateLimit('search'), require('./routes/search'));
+
+// Saved issue filters and shared views
+app.use('/api/filters', apiRateLimit, require('./routes/filters'));
+
+// Notification inbox routes (mentions, assignments)
+app.use('/api/notifications', apiRateLimit, require('./routes/notifications'));
 
 // User Management routes (for fetching lists of users for assignment, etc.)
 // Make sure you have a './routes/users' file or this will cause an error
-app.use('/api/users', require('./routes/users'));
+app.use('/api/users', apiRateLimit, require('./routes/users'));
 
 // Basic test route for the root URL
 app.get('/', (req, res) => {
@@ -0,0 +1,45 @@
+// backend/storage/index.js
+
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+// Available storage backends, selected with the STORAGE_DRIVER environment variable
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage = null;
+
+/**
+ * @function getStorage
+ * @description Get the shared storage backend, creating it on first use.
+ * STORAGE_DRIVER may be 'local' (default) or 's3'.
+ * @returns {Object} Storage backend with `save(key, stream, { contentType })`,
+ * `createReadStream(key)` and `remove(key)` methods
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const createStorage = DRIVERS[name];
+    if (!createStorage) {
+      throw new Error(`Unknown STORAGE_DRIVER '${name}'. Use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * @function setStorage
+ * @description Replace the storage backend (e.g. a custom provider or a test double).
+ * @param {Object} backend - Object implementing the storage backend methods
+ */
+const setStorage = (backend) => {
+  storage = backend;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+};
@@ -0,0 +1,50 @@
+// backend/storage/localStorage.js
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * @function createLocalStorage
+ * @description Storage backend that keeps files on the local disk.
+ * @param {Object} [options]
+ * @param {string} [options.root] - Base directory (defaults to STORAGE_LOCAL_DIR or ./uploads)
+ * @returns {Object} Storage backend with `save`, `createReadStream` and `remove` methods
+ */
+const createLocalStorage = ({ root = process.env.STORAGE_LOCAL_DIR || 'uploads' } = {}) => {
+  const base = path.resolve(root);
+
+  // Resolve a storage key to a path, refusing keys that would escape the base directory
+  const resolveKey = (key) => {
+    const file = path.resolve(base, key);
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    // Write a readable stream to the given key
+    save: async (key, stream) => {
+      const file = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await pipeline(stream, fs.createWriteStream(file));
+    },
+
+    // Open a readable stream for the given key
+    createReadStream: async (key) => {
+      const file = resolveKey(key);
+      await fs.promises.access(file); // Fail early (ENOENT) rather than on the first read
+      return fs.createReadStream(file);
+    },
+
+    // Delete the file for the given key (missing files are ignored)
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
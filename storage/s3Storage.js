@@ -0,0 +1,64 @@
+// backend/storage/s3Storage.js
+
+/**
+ * @function createS3Storage
+ * @description Storage backend for Amazon S3 or any S3-compatible service (MinIO, R2, ...).
+ * Requires the optional `@aws-sdk/client-s3` and `@aws-sdk/lib-storage` packages.
+ * Settings come from the S3_* environment variables unless passed in.
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Bucket name (S3_BUCKET)
+ * @param {string} [options.region] - Region (S3_REGION, default us-east-1)
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services (S3_ENDPOINT)
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs (S3_FORCE_PATH_STYLE=true)
+ * @returns {Object} Storage backend with `save`, `createReadStream` and `remove` methods
+ */
+const createS3Storage = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+} = {}) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  let s3;
+  let Upload;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+    ({ Upload } = require('@aws-sdk/lib-storage'));
+  } catch (err) {
+    throw new Error('The s3 storage driver requires the @aws-sdk/client-s3 and @aws-sdk/lib-storage packages');
+  }
+
+  const credentials = process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+    : undefined; // Fall back to the SDK's default credential chain
+
+  const client = new s3.S3Client({ region, endpoint, forcePathStyle, credentials });
+
+  return {
+    name: 's3',
+
+    // Upload a readable stream to the given key (multipart for large files)
+    save: async (key, stream, { contentType } = {}) => {
+      await new Upload({
+        client,
+        params: { Bucket: bucket, Key: key, Body: stream, ContentType: contentType },
+      }).done();
+    },
+
+    // Open a readable stream for the given key
+    createReadStream: async (key) => {
+      const result = await client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    },
+
+    // Delete the object for the given key
+    remove: async (key) => {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = createS3Storage;
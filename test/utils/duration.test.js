@@ -0,0 +1,29 @@
+// backend/test/utils/duration.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDuration } = require('../../utils/duration');
+
+test('parseDuration parses minutes and working time', () => {
+  assert.strictEqual(parseDuration(90), 90);
+  assert.strictEqual(parseDuration('45'), 45);
+  assert.strictEqual(parseDuration('1d 4h 30m'), 8 * 60 + 4 * 60 + 30);
+  assert.strictEqual(parseDuration(' 1W2d '), 7 * 8 * 60);
+  assert.strictEqual(parseDuration('1.5h'), 90);
+});
+
+test('parseDuration rejects invalid durations', () => {
+  assert.strictEqual(parseDuration(''), null);
+  assert.strictEqual(parseDuration('   '), null);
+  assert.strictEqual(parseDuration('1h x'), null);
+  assert.strictEqual(parseDuration('h'), null);
+  assert.strictEqual(parseDuration(-5), null);
+  assert.strictEqual(parseDuration({}), null);
+});
+
+test('parseDuration rejects long invalid input in linear time', () => {
+  // Used to backtrack exponentially: 15 repetitions ran for over a minute
+  const started = Date.now();
+  assert.strictEqual(parseDuration(`${'1h    '.repeat(5000)}x`), null);
+  assert.ok(Date.now() - started < 1000, 'parsing took too long');
+});
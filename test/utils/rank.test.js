@@ -0,0 +1,57 @@
+// backend/test/utils/rank.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_RANK_LENGTH, rankBetween, spreadRanks } = require('../../utils/rank');
+
+// Place a card in an in-memory column the way utils/rank.js does in the database:
+// respace the column when the new rank would be too long
+const place = (column, index, generate) => {
+  let rank = generate(column, index);
+  if (rank.length > MAX_RANK_LENGTH) {
+    column.splice(0, column.length, ...spreadRanks(column.length));
+    rank = generate(column, index);
+  }
+  column.splice(index, 0, rank);
+  return rank;
+};
+
+test('rankBetween sorts strictly between its bounds', () => {
+  const cases = [[null, null], ['a', null], [null, 'a'], ['a', 'b'], ['a', 'a1'], ['0i', '1'], ['z', null]];
+  for (const [before, after] of cases) {
+    const rank = rankBetween(before, after);
+    if (before) assert.ok(rank > before, `${rank} > ${before}`);
+    if (after) assert.ok(rank < after, `${rank} < ${after}`);
+    assert.ok(!rank.endsWith('0'), `${rank} does not end in 0`);
+  }
+});
+
+test('rankBetween adds a midpoint digit when there is no room at the top', () => {
+  assert.strictEqual(rankBetween(null, '1'), '0i');
+});
+
+test('spreadRanks generates ordered, equally long ranks', () => {
+  const ranks = spreadRanks(2000);
+  assert.strictEqual(ranks.length, 2000);
+  assert.ok(ranks.every((rank, index) => index === 0 || ranks[index - 1] < rank));
+  assert.ok(ranks.every(rank => rank.length === ranks[0].length && !rank.endsWith('0')));
+});
+
+test('rank length stays bounded over repeated moves to the top', () => {
+  const column = ['i'];
+  for (let i = 0; i < 5000; i++) {
+    const rank = place(column, 0, ranks => rankBetween(null, ranks[0]));
+    assert.ok(rank.length <= MAX_RANK_LENGTH);
+  }
+  assert.ok(column.every((rank, index) => index === 0 || column[index - 1] < rank));
+});
+
+test('rank length stays bounded over repeated inserts above the same card', () => {
+  const column = ['a', 'b'];
+  for (let i = 0; i < 5000; i++) {
+    const target = column.length - 1; // Directly above the last card
+    const rank = place(column, target, (ranks, index) => rankBetween(ranks[index - 1], ranks[index]));
+    assert.ok(rank.length <= MAX_RANK_LENGTH);
+  }
+  assert.ok(column.every((rank, index) => index === 0 || column[index - 1] < rank));
+});
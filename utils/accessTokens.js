@@ -0,0 +1,111 @@
+// backend/utils/accessTokens.js
+
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const { TOKEN_SCOPES } = require('../config/scopes');
+
+// Personal access tokens start with this, so `protect` can tell them from JWTs
+const TOKEN_PREFIX = 'btpat_';
+// How many characters of a token are kept to identify it in listings
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+// Longest expiry that can be chosen, in days
+const MAX_EXPIRY_DAYS = 365;
+// lastUsedAt is only written when it is older than this, so not every request writes to the database
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @function isPersonalAccessToken
+ * @description Whether a bearer token is a personal access token (rather than a JWT).
+ * @param {string} token - Token from the request
+ * @returns {boolean}
+ */
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+/**
+ * @function parseTokenRequest
+ * @description Validate the body of a request to create a token.
+ * @param {Object} body - `{ name, scopes, expiresInDays }` (no `expiresInDays` for a token that does not expire)
+ * @returns {Object} `{ name, scopes, expiresAt }`, or `{ statusCode, msg }` if invalid
+ */
+const parseTokenRequest = ({ name, scopes, expiresInDays }) => {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { statusCode: 400, msg: 'Please give the token a name' };
+  }
+  if (!Array.isArray(scopes) || !scopes.length) {
+    return { statusCode: 400, msg: `Please give the token at least one scope: ${TOKEN_SCOPES.join(', ')}` };
+  }
+  const unknown = scopes.find(scope => !TOKEN_SCOPES.includes(scope));
+  if (unknown) {
+    return { statusCode: 400, msg: `Unknown scope '${unknown}'. Use any of: ${TOKEN_SCOPES.join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return { statusCode: 400, msg: `expiresInDays must be a whole number of days from 1 to ${MAX_EXPIRY_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  return { name: name.trim(), scopes: [...new Set(scopes)], expiresAt };
+};
+
+/**
+ * @function createAccessToken
+ * @description Create a personal access token for a user.
+ * @param {ObjectId} userId - User the token acts as
+ * @param {Object} options - Result of `parseTokenRequest`
+ * @returns {Promise<Object>} `{ accessToken, token }` with the saved document and the token itself,
+ * which is not stored and cannot be shown again
+ */
+const createAccessToken = async (userId, { name, scopes, expiresAt }) => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const accessToken = await AccessToken.create({
+    user: userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+  });
+  return { accessToken, token };
+};
+
+/**
+ * @function findActiveAccessToken
+ * @description Look up a personal access token that has not expired or been revoked.
+ * @param {string} token - Token from the request
+ * @returns {Promise<Object|null>} The access token document
+ */
+const findActiveAccessToken = async (token) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+  return accessToken && !accessToken.isExpired() ? accessToken : null;
+};
+
+/**
+ * @function touchAccessToken
+ * @description Record that a token was just used (at most once a minute).
+ * @param {Object} accessToken - Access token document
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+const touchAccessToken = async (accessToken, req) => {
+  if (accessToken.lastUsedAt && Date.now() - accessToken.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+  accessToken.lastUsedAt = new Date();
+  accessToken.lastUsedIp = req.ip || null;
+  await AccessToken.updateOne(
+    { _id: accessToken._id },
+    { $set: { lastUsedAt: accessToken.lastUsedAt, lastUsedIp: accessToken.lastUsedIp } }
+  );
+};
+
+module.exports = {
+  isPersonalAccessToken,
+  parseTokenRequest,
+  createAccessToken,
+  findActiveAccessToken,
+  touchAccessToken,
+};
@@ -0,0 +1,35 @@
+// backend/utils/commentThread.js
+
+/**
+ * @function buildCommentThread
+ * @description Nest a flat list of comments into reply trees.
+ * Deleted comments are kept as placeholders while they still have replies and dropped otherwise.
+ * @param {Array<Object>} comments - Comment documents of one issue, oldest first
+ * @returns {Array<Object>} Top-level comments, each with a nested `replies` array
+ */
+const buildCommentThread = (comments) => {
+  const nodes = new Map();
+  comments.forEach(comment => {
+    nodes.set(comment._id.toString(), { ...comment.toThreadJSON(), replies: [] });
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parentComment && nodes.get(node.parentComment.toString());
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node); // Top-level comment (or a reply whose parent no longer exists)
+    }
+  });
+
+  // Drop deleted comments that no longer hold any replies, deepest first
+  const prune = list => list.filter(node => {
+    node.replies = prune(node.replies);
+    return !node.isDeleted || node.replies.length > 0;
+  });
+
+  return prune(roots);
+};
+
+module.exports = { buildCommentThread };
@@ -0,0 +1,94 @@
+// backend/utils/csv.js
+
+const ErrorResponse = require('./errorResponse');
+
+// Spreadsheet programs run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @function formatCsvRow
+ * @description Format one CSV record (RFC 4180), quoting values that contain separators, quotes or
+ * line breaks. Values that a spreadsheet would run as a formula are prefixed with an apostrophe.
+ * @param {Array} values - Cell values (null and undefined become empty cells)
+ * @returns {string} The record, terminated by CRLF
+ */
+const formatCsvRow = (values) => values.map(value => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+/**
+ * @function parseCsv
+ * @description Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks)
+ * into records. The first record is the header; each following record becomes an object keyed by
+ * the header names. Blank lines are skipped, and the apostrophe `formatCsvRow` adds in front of
+ * formula-like values is removed.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} `{ line, values }` per data record, where `line` is the record's line number
+ * @throws {ErrorResponse} 400 for an unterminated quoted field or a missing header
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const source = text.replace(/^\uFEFF/, ''); // Excel adds a byte order mark
+  const endField = () => {
+    record.push(field.length > 1 && field[0] === "'" && FORMULA_PREFIX.test(field[1]) ? field.slice(1) : field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, cells: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ErrorResponse(`Unterminated quoted field starting on line ${recordLine}`, 400, { line: recordLine });
+  }
+  endRecord();
+
+  if (records.length === 0) {
+    throw new ErrorResponse('The CSV file has no header row', 400);
+  }
+
+  const header = records[0].cells.map(name => name.trim());
+  return records.slice(1).map(({ line: recordStart, cells }) => ({
+    line: recordStart,
+    values: Object.fromEntries(header.map((name, index) => [name, cells[index] !== undefined ? cells[index] : ''])),
+  }));
+};
+
+module.exports = {
+  formatCsvRow,
+  parseCsv,
+};
@@ -0,0 +1,48 @@
+// backend/utils/dueDateReminders.js
+
+const Issue = require('../models/Issue');
+const { RESOLVED_STATUSES } = require('./workflow');
+const { notifyDueSoon } = require('./notifications');
+
+/**
+ * @function sendDueDateReminders
+ * @description Notify assignees of unresolved issues due within the reminder window.
+ * Each issue is reminded once per due date (`dueReminderSentAt` is reset when the due date changes).
+ * The window is DUE_REMINDER_HOURS (default 24).
+ * @returns {Promise<number>} Number of issues reminded
+ */
+const sendDueDateReminders = async () => {
+  const hours = parseInt(process.env.DUE_REMINDER_HOURS) || 24;
+  const now = new Date();
+
+  const issues = await Issue.find({
+    dueDate: { $gte: now, $lte: new Date(now.getTime() + hours * 60 * 60 * 1000) },
+    dueReminderSentAt: null,
+    assignedTo: { $ne: null },
+    status: { $nin: RESOLVED_STATUSES },
+  });
+
+  for (const issue of issues) {
+    await notifyDueSoon({ issue });
+    await Issue.updateOne({ _id: issue._id }, { $set: { dueReminderSentAt: now } });
+  }
+
+  return issues.length;
+};
+
+/**
+ * @function startDueDateReminders
+ * @description Check for upcoming due dates every DUE_REMINDER_CHECK_MINUTES (default 60).
+ * @returns {Object} The interval timer
+ */
+const startDueDateReminders = () => {
+  const minutes = parseInt(process.env.DUE_REMINDER_CHECK_MINUTES) || 60;
+  return setInterval(() => {
+    sendDueDateReminders().catch(err => console.error('Error sending due date reminders:', err));
+  }, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  sendDueDateReminders,
+  startDueDateReminders,
+};
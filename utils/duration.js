@@ -0,0 +1,44 @@
+// backend/utils/duration.js
+
+// Working time units, in minutes: a day is 8 hours and a week is 5 days of work
+const UNIT_MINUTES = {
+  w: 5 * 8 * 60,
+  d: 8 * 60,
+  h: 60,
+  m: 1,
+};
+
+// One amount and unit of a duration like '1d 4h 30m'. It is matched token by token (sticky) rather than
+// with a single repeated pattern, which backtracks exponentially on long invalid input.
+const DURATION_TOKEN = /\s*(\d+(?:\.\d+)?)\s*([wdhm])/iy;
+
+/**
+ * @function parseDuration
+ * @description Parse a duration given as a number of minutes or as working time like '1d 4h 30m'
+ * (w = 5 days, d = 8 hours, h = hours, m = minutes).
+ * @param {number|string} value - Duration
+ * @returns {number|null} Whole minutes, or null if the value is not a valid duration
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+  let minutes = 0;
+  DURATION_TOKEN.lastIndex = 0;
+  while (DURATION_TOKEN.lastIndex < text.length) {
+    const match = DURATION_TOKEN.exec(text);
+    if (!match) return null; // Leftover characters that are not an amount and unit
+    minutes += parseFloat(match[1]) * UNIT_MINUTES[match[2].toLowerCase()];
+  }
+  return Math.round(minutes);
+};
+
+module.exports = {
+  parseDuration,
+};
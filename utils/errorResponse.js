@@ -0,0 +1,22 @@
+// backend/utils/errorResponse.js
+
+/**
+ * @class ErrorResponse
+ * @description Error carrying an HTTP status code. Throw it (or pass it to `next`) from helpers
+ * and middleware, and the global error handler responds with that status and message.
+ */
+class ErrorResponse extends Error {
+  /**
+   * @param {string} message - Message sent to the client
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} [details] - Extra fields merged into the error response body
+   */
+  constructor(message, statusCode, details) {
+    super(message);
+    this.name = 'ErrorResponse';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = ErrorResponse;
@@ -0,0 +1,11 @@
+// backend/utils/escapeRegex.js
+
+/**
+ * @function escapeRegex
+ * @description Escape user input so it matches literally when used in a `$regex` query.
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = escapeRegex;
@@ -0,0 +1,54 @@
+// backend/utils/issueExport.js
+
+// Columns of an issue export, in order. The import (POST /api/projects/:id/import) recognises the
+// same names, so an export can be imported into another project as is.
+const EXPORT_COLUMNS = ['key', 'title', 'description', 'status', 'priority', 'type', 'project', 'createdBy', 'assignedTo', 'labels', 'sprint', 'dueDate', 'createdAt', 'resolvedAt', 'updatedAt'];
+
+// Fields to populate on the issues passed to `toExportRecord`
+const EXPORT_POPULATE = [
+  { path: 'project', select: 'name key labels' },
+  { path: 'createdBy', select: 'username' },
+  { path: 'assignedTo', select: 'username' },
+  { path: 'sprint', select: 'name' },
+];
+
+const toIsoString = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * @function toExportRecord
+ * @description Turn an issue into an export record with readable values: the project name,
+ * creator and assignee usernames, label names and the sprint name.
+ * @param {Object} issue - Issue document populated with `EXPORT_POPULATE`
+ * @returns {Object} Record with one property per entry of `EXPORT_COLUMNS`
+ */
+const toExportRecord = (issue) => {
+  const project = issue.project;
+  const labelNames = (issue.labels || []).map(id => {
+    const label = project && project.labels ? project.labels.id(id) : null;
+    return label ? label.name : id.toString();
+  });
+
+  return {
+    key: issue.key || null,
+    title: issue.title,
+    description: issue.description || '',
+    status: issue.status,
+    priority: issue.priority,
+    type: issue.type,
+    project: project ? project.name : null,
+    createdBy: issue.createdBy ? issue.createdBy.username : null,
+    assignedTo: issue.assignedTo ? issue.assignedTo.username : null,
+    labels: labelNames,
+    sprint: issue.sprint ? issue.sprint.name : null,
+    dueDate: toIsoString(issue.dueDate),
+    createdAt: toIsoString(issue.createdAt),
+    resolvedAt: toIsoString(issue.resolvedAt),
+    updatedAt: toIsoString(issue.updatedAt),
+  };
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_POPULATE,
+  toExportRecord,
+};
@@ -0,0 +1,127 @@
+// backend/utils/issueFilters.js
+
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const escapeRegex = require('./escapeRegex');
+const { ISSUE_KEY_PATTERN } = require('./issueKeys');
+const { getAccessibleProjectIds } = require('../middleware/projectAccess');
+
+// Filter and sort parameters understood by GET /api/issues (and stored in saved filters)
+const FILTER_PARAMS = ['project', 'status', 'priority', 'type', 'assignedTo', 'labels', 'labelMatch', 'sprint', 'search', 'sortBy', 'order'];
+
+/**
+ * @function buildIssueQuery
+ * @description Turn GET /api/issues filter parameters into a MongoDB query and sort,
+ * restricted to the projects the user can access.
+ * @param {Object} params - Filter parameters (see FILTER_PARAMS); `labels` may be an array or a comma-separated string
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} `{ query, sort }`, or `{ statusCode, msg }` if a parameter is invalid
+ */
+const buildIssueQuery = async (params, user) => {
+  const { project, status, priority, type, assignedTo, labels, labelMatch = 'any', sprint, search, sortBy, order } = params;
+  const query = {}; // Initialize an empty query object
+
+  // Restrict results to projects the user can access (admins see everything)
+  const accessibleProjectIds = await getAccessibleProjectIds(user);
+  if (accessibleProjectIds) {
+    query.project = { $in: accessibleProjectIds };
+  }
+
+  // Add filters to the query based on provided parameters
+  if (project) {
+    // Validate project ID format
+    if (!mongoose.Types.ObjectId.isValid(project)) {
+      return { statusCode: 400, msg: 'Invalid Project ID format' };
+    }
+    if (accessibleProjectIds && !accessibleProjectIds.some(id => id.toString() === project.toString())) {
+      return { statusCode: 403, msg: 'Not authorized to access issues in this project' };
+    }
+    query.project = project;
+  }
+  if (status) query.status = status;
+  if (priority) query.priority = priority;
+  if (type) query.type = type;
+  if (assignedTo) {
+    // Validate assignedTo user ID format
+    if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+      return { statusCode: 400, msg: 'Invalid Assigned User ID format' };
+    }
+    const userExists = await User.findById(assignedTo);
+    if (!userExists) {
+      return { statusCode: 404, msg: 'Assigned user for filter not found' };
+    }
+    query.assignedTo = assignedTo;
+  }
+  if (labels && labels.length > 0) {
+    const labelIds = (Array.isArray(labels) ? labels : labels.split(',')).map(id => String(id).trim()).filter(Boolean);
+    if (labelIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { statusCode: 400, msg: 'Invalid Label ID format' };
+    }
+    if (!['any', 'all'].includes(labelMatch)) {
+      return { statusCode: 400, msg: "labelMatch must be 'any' or 'all'" };
+    }
+    query.labels = labelMatch === 'all' ? { $all: labelIds } : { $in: labelIds };
+  }
+  if (sprint) {
+    if (sprint !== 'backlog' && !mongoose.Types.ObjectId.isValid(sprint)) {
+      return { statusCode: 400, msg: 'Invalid Sprint ID format' };
+    }
+    query.sprint = sprint === 'backlog' ? null : sprint;
+  }
+  if (search !== undefined && typeof search !== 'string') {
+    return { statusCode: 400, msg: 'search must be given once, as text' };
+  }
+  if (search) {
+    // Implement case-insensitive search across title and description fields (matching the text literally)
+    query.$or = [
+      { title: { $regex: escapeRegex(search), $options: 'i' } },
+      { description: { $regex: escapeRegex(search), $options: 'i' } },
+    ];
+    if (ISSUE_KEY_PATTERN.test(search.trim().toUpperCase())) {
+      query.$or.push({ key: search.trim().toUpperCase() });
+    }
+  }
+
+  // Define sorting options
+  const sort = {};
+  if (sortBy) {
+    sort[sortBy] = order === 'desc' ? -1 : 1; // -1 for descending, 1 for ascending
+  } else {
+    sort.createdAt = -1; // Default sort by creation date (newest first)
+  }
+
+  return { query, sort };
+};
+
+/**
+ * @function findIssues
+ * @description Run a query built by `buildIssueQuery` and return one page of populated issues.
+ * @param {Object} filter - `{ query, sort }`
+ * @param {Object} pagination - `{ page, limit }` (numbers or numeric strings)
+ * @returns {Promise<Object>} `{ total, issues }`
+ */
+const findIssues = async ({ query, sort }, { page = 1, limit = 10 }) => {
+  // Calculate skip for pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  // Find issues matching the query, sort, paginate, and populate related fields
+  const issues = await Issue.find(query)
+    .sort(sort)
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('project', 'name')             // Populate 'name' field from Project model
+    .populate('createdBy', 'username email') // Populate 'username' and 'email' from User model
+    .populate('assignedTo', 'username email'); // Populate 'username' and 'email' from User model
+
+  // Get the total count of issues matching the filter for pagination metadata
+  const total = await Issue.countDocuments(query);
+
+  return { total, issues };
+};
+
+module.exports = {
+  FILTER_PARAMS,
+  buildIssueQuery,
+  findIssues,
+};
@@ -0,0 +1,82 @@
+// backend/utils/issueHistory.js
+
+const IssueHistory = require('../models/IssueHistory');
+
+// Issue fields whose changes are recorded in the issue history
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'type', 'project', 'assignedTo', 'dueDate', 'labels', 'sprint', 'originalEstimate', 'remainingEstimate'];
+
+// Normalize a field value so that ObjectIds, Dates and empty values compare cleanly
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.length ? value.map(item => item.toString()).sort().join(',') : null; // Order doesn't matter
+  if (value._id) return value._id.toString(); // Populated documents and ObjectIds
+  return value.toString();
+};
+
+/**
+ * @function snapshotIssue
+ * @description Capture the current values of all tracked fields of an issue.
+ * Call this before applying updates so the changes can be diffed afterwards.
+ * @param {Object} issue - Issue document
+ * @returns {Object} Plain object of tracked field values
+ */
+const snapshotIssue = (issue) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    const value = issue.get(field);
+    if (Array.isArray(value)) {
+      snapshot[field] = value.map(item => (item && item._id ? item._id : item)); // Copy, so later edits don't leak in
+    } else {
+      snapshot[field] = value && value._id ? value._id : value;
+    }
+  });
+  return snapshot;
+};
+
+/**
+ * @function diffIssue
+ * @description Compare a snapshot taken with `snapshotIssue` against the issue's current values.
+ * @param {Object} before - Snapshot of the issue before the update
+ * @param {Object} issue - Issue document after the update has been applied
+ * @returns {Array<Object>} List of `{ field, oldValue, newValue }` changes
+ */
+const diffIssue = (before, issue) => {
+  const after = snapshotIssue(issue);
+  return TRACKED_FIELDS
+    .filter(field => normalizeValue(before[field]) !== normalizeValue(after[field]))
+    .map(field => ({
+      field,
+      oldValue: before[field] === undefined ? null : before[field],
+      newValue: after[field] === undefined ? null : after[field],
+    }));
+};
+
+/**
+ * @function recordIssueChanges
+ * @description Persist a list of field changes as history entries for an issue.
+ * @param {Object} issue - The issue that was changed
+ * @param {Array<Object>} changes - Changes as returned by `diffIssue`
+ * @param {string} actorId - ID of the user who made the changes
+ * @returns {Promise<Array>} The created history entries
+ */
+const recordIssueChanges = async (issue, changes, actorId) => {
+  if (!changes.length) return [];
+
+  const createdAt = new Date(); // All changes from one update share a timestamp
+  return IssueHistory.insertMany(changes.map(change => ({
+    issue: issue._id,
+    actor: actorId,
+    field: change.field,
+    oldValue: change.oldValue,
+    newValue: change.newValue,
+    createdAt,
+  })));
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotIssue,
+  diffIssue,
+  recordIssueChanges,
+};
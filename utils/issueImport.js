@@ -0,0 +1,235 @@
+// backend/utils/issueImport.js
+
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const { getWorkflow, RESOLVED_STATUSES } = require('./workflow');
+
+// Issue fields an import can set
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'type', 'assignedTo', 'createdBy', 'labels', 'dueDate', 'createdAt', 'resolvedAt'];
+
+// Column names recognised without an explicit mapping (compared lowercase, ignoring spaces, '_' and '-')
+const COLUMN_ALIASES = {
+  title: 'title',
+  summary: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  type: 'type',
+  issuetype: 'type',
+  assignedto: 'assignedTo',
+  assignee: 'assignedTo',
+  createdby: 'createdBy',
+  creator: 'createdBy',
+  reporter: 'createdBy',
+  labels: 'labels',
+  label: 'labels',
+  duedate: 'dueDate',
+  due: 'dueDate',
+  createdat: 'createdAt',
+  created: 'createdAt',
+  resolvedat: 'resolvedAt',
+  resolved: 'resolvedAt',
+};
+
+const normalizeColumn = (name) => String(name).toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * @function buildColumnMapping
+ * @description Work out which column feeds which issue field. Columns are matched by name
+ * (see COLUMN_ALIASES) unless the explicit mapping says otherwise; mapping a column to null ignores it.
+ * @param {Array<string>} columns - Column names found in the import
+ * @param {Object} [explicit] - `{ column: field }` overrides
+ * @returns {Object} `{ mapping, ignoredColumns }`, or `{ statusCode, msg }` if the mapping is invalid
+ */
+const buildColumnMapping = (columns, explicit = {}) => {
+  if (!explicit || typeof explicit !== 'object' || Array.isArray(explicit)) {
+    return { statusCode: 400, msg: 'Mapping must be an object of { column: field }' };
+  }
+  const invalid = Object.entries(explicit).find(([, field]) => field !== null && field !== '' && !IMPORT_FIELDS.includes(field));
+  if (invalid) {
+    return { statusCode: 400, msg: `Column '${invalid[0]}' is mapped to unknown field '${invalid[1]}'. Fields: ${IMPORT_FIELDS.join(', ')}` };
+  }
+
+  const mapping = {};
+  const ignoredColumns = [];
+  columns.forEach(column => {
+    const field = Object.prototype.hasOwnProperty.call(explicit, column)
+      ? explicit[column] || null
+      : COLUMN_ALIASES[normalizeColumn(column)] || null;
+    if (field) {
+      mapping[column] = field;
+    } else {
+      ignoredColumns.push(column);
+    }
+  });
+
+  const fields = Object.values(mapping);
+  const duplicate = fields.find((field, index) => fields.indexOf(field) !== index);
+  if (duplicate) {
+    return { statusCode: 400, msg: `More than one column is mapped to '${duplicate}'` };
+  }
+  if (!fields.includes('title')) {
+    return { statusCode: 400, msg: "No column is mapped to 'title'" };
+  }
+
+  return { mapping, ignoredColumns };
+};
+
+// Match a value against an enum case-insensitively, returning the canonical spelling
+const matchEnum = (value, allowed) => allowed.find(option => option.toLowerCase() === value.toLowerCase()) || value;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * @function createImportContext
+ * @description Prepare what validating import rows needs: the project's workflow and labels, the
+ * importing user's permissions and a cache of users looked up by username or email.
+ * @param {Object} project - Project document the issues are imported into
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} Context for `validateImportRow`
+ */
+const createImportContext = (project, user) => ({
+  project,
+  user,
+  workflow: getWorkflow(project),
+  canAssign: project.hasPermission(user, 'issue:assign'),
+  // Importing on behalf of other reporters rewrites history, so it is limited to those who can edit the project
+  canSetReporter: project.hasPermission(user, 'project:update'),
+  users: new Map(),
+});
+
+// Find a user by username or email, caching the result for the rest of the import
+const resolveUser = async (context, ref) => {
+  const cacheKey = ref.toLowerCase();
+  if (!context.users.has(cacheKey)) {
+    const conditions = [{ username: ref }, { email: cacheKey }];
+    if (mongoose.Types.ObjectId.isValid(ref)) conditions.push({ _id: ref });
+    context.users.set(cacheKey, await User.findOne({ $or: conditions }).select('_id username'));
+  }
+  return context.users.get(cacheKey);
+};
+
+// Resolve label names (or IDs) against the project's label set
+const resolveLabels = (project, value) => {
+  const names = Array.isArray(value) ? value : String(value).split(/[;,]/);
+  const ids = [];
+  const unknown = [];
+  names.map(name => String(name).trim()).filter(Boolean).forEach(name => {
+    const label = (mongoose.Types.ObjectId.isValid(name) && project.labels.id(name))
+      || project.labels.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+    if (label) {
+      ids.push(label._id);
+    } else {
+      unknown.push(name);
+    }
+  });
+  return { ids, unknown };
+};
+
+/**
+ * @function validateImportRow
+ * @description Turn one import record into an unsaved Issue, validating it against the schema
+ * (required fields, lengths and enums, matched case-insensitively) and the project's workflow and labels.
+ * @param {Object} record - Raw record (column name => value)
+ * @param {Object} mapping - Column mapping from `buildColumnMapping`
+ * @param {Object} context - Context from `createImportContext`
+ * @returns {Promise<Object>} `{ issue, errors }`, where `errors` is a list of `{ field, msg }`
+ */
+const validateImportRow = async (record, mapping, context) => {
+  const { project, user, workflow } = context;
+  const values = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    values[field] = typeof record[column] === 'string' ? record[column].trim() : record[column];
+  });
+
+  const errors = [];
+  const data = { project: project._id, createdBy: user.id };
+
+  if (!isBlank(values.title)) data.title = String(values.title);
+  if (!isBlank(values.description)) data.description = String(values.description);
+
+  ['priority', 'type'].forEach(field => {
+    if (!isBlank(values[field])) data[field] = matchEnum(String(values[field]), Issue.schema.path(field).enumValues);
+  });
+
+  // Imported issues may be in any status of the project's workflow (e.g. already closed)
+  data.status = workflow.initialStatus;
+  if (!isBlank(values.status)) {
+    const status = matchEnum(String(values.status), workflow.statuses);
+    if (workflow.statuses.includes(status)) {
+      data.status = status;
+    } else {
+      errors.push({ field: 'status', msg: `Status '${values.status}' is not part of the project's workflow (${workflow.statuses.join(', ')})` });
+    }
+  }
+
+  if (!isBlank(values.assignedTo)) {
+    const assignee = await resolveUser(context, String(values.assignedTo));
+    if (!context.canAssign) {
+      errors.push({ field: 'assignedTo', msg: 'Not authorized to assign issues in this project' });
+    } else if (!assignee) {
+      errors.push({ field: 'assignedTo', msg: `User '${values.assignedTo}' not found` });
+    } else {
+      data.assignedTo = assignee._id;
+    }
+  }
+
+  if (!isBlank(values.createdBy)) {
+    const reporter = await resolveUser(context, String(values.createdBy));
+    if (!reporter) {
+      errors.push({ field: 'createdBy', msg: `User '${values.createdBy}' not found` });
+    } else if (reporter.id !== user.id && !context.canSetReporter) {
+      errors.push({ field: 'createdBy', msg: 'Not authorized to import issues on behalf of other users' });
+    } else {
+      data.createdBy = reporter._id;
+    }
+  }
+
+  if (!isBlank(values.labels)) {
+    const { ids, unknown } = resolveLabels(project, values.labels);
+    if (unknown.length) {
+      errors.push({ field: 'labels', msg: `Unknown label(s): ${unknown.join(', ')}` });
+    } else {
+      data.labels = ids;
+    }
+  }
+
+  ['dueDate', 'createdAt', 'resolvedAt'].forEach(field => {
+    if (isBlank(values[field])) return;
+    const date = new Date(values[field]);
+    if (Number.isNaN(date.getTime())) {
+      errors.push({ field, msg: `Invalid date '${values[field]}'` });
+    } else {
+      data[field] = date;
+    }
+  });
+
+  // Issues imported as resolved were resolved in the past, not by the import: without a resolution
+  // date, the creation date is the best guess (the Issue pre-save hook would use the import time)
+  if (RESOLVED_STATUSES.includes(data.status)) {
+    if (!data.resolvedAt && data.createdAt) data.resolvedAt = data.createdAt;
+    if (data.resolvedAt && data.createdAt && data.resolvedAt < data.createdAt) {
+      errors.push({ field: 'resolvedAt', msg: 'The resolution date cannot be before the creation date' });
+    }
+  } else if (data.resolvedAt) {
+    delete data.resolvedAt; // Only resolved issues have a resolution date
+  }
+
+  const issue = new Issue(data);
+  const validationError = issue.validateSync();
+  if (validationError) {
+    Object.values(validationError.errors).forEach(err => {
+      if (!errors.some(error => error.field === err.path)) errors.push({ field: err.path, msg: err.message });
+    });
+  }
+
+  return { issue, errors };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  buildColumnMapping,
+  createImportContext,
+  validateImportRow,
+};
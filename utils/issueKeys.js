@@ -0,0 +1,111 @@
+// backend/utils/issueKeys.js
+
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+
+// A project key, e.g. 'WEB'
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}$/;
+// An issue key, e.g. 'WEB-42'
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9]{1,9}-\d+$/;
+
+/**
+ * @function suggestProjectKey
+ * @description Derive an unused project key from a project name: the initials of a multi-word name
+ * or the start of a single word (e.g. 'Web Frontend' -> 'WF', 'Backend' -> 'BACK'),
+ * with a number appended if that key is already taken.
+ * @param {string} name - Project name
+ * @returns {Promise<string>}
+ */
+const suggestProjectKey = async (name) => {
+  const words = String(name || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  let base = words.length > 1 ? words.map(word => word[0]).join('') : (words[0] || '').slice(0, 4);
+  base = base.replace(/^[0-9]+/, '').slice(0, 8);
+  if (base.length < 2) base = 'PRJ';
+
+  for (let suffix = 1; ; suffix++) {
+    const key = suffix === 1 ? base : `${base}${suffix}`;
+    if (!await Project.exists({ key })) return key;
+  }
+};
+
+/**
+ * @function ensureProjectKey
+ * @description Give a project that predates project keys a key derived from its name.
+ * @param {Object} project - Project document
+ * @returns {Promise<void>}
+ */
+const ensureProjectKey = async (project) => {
+  if (project.key) return;
+
+  project.key = await suggestProjectKey(project.name);
+  await Project.updateOne({ _id: project._id, key: null }, { $set: { key: project.key } });
+};
+
+/**
+ * @function allocateIssueKey
+ * @description Allocate the next issue number of a project. The counter is incremented atomically,
+ * so concurrent requests never receive the same number. Projects without a key get one first.
+ * @param {Object} project - Project document
+ * @returns {Promise<Object>} `{ number, key }`
+ */
+const allocateIssueKey = async (project) => {
+  await ensureProjectKey(project);
+
+  const updated = await Project.findByIdAndUpdate(project._id, { $inc: { issueCounter: 1 } }, { new: true })
+    .select('key issueCounter');
+
+  return { number: updated.issueCounter, key: `${updated.key}-${updated.issueCounter}` };
+};
+
+/**
+ * @function findIssueByRef
+ * @description Find an issue by ObjectId, current key or previous key (case-insensitive).
+ * @param {string} ref - Issue ID or key (e.g. 'WEB-42')
+ * @returns {Promise<Object|null>} `{ issue, alias }` where `alias` is true if `ref` is a previous key
+ * of the issue; `{ issue: null }` if nothing matches; null if `ref` is neither an ID nor a key
+ */
+const findIssueByRef = async (ref) => {
+  const key = String(ref || '').toUpperCase();
+
+  // Keys are checked first: ObjectId.isValid also accepts any 12-character string
+  if (ISSUE_KEY_PATTERN.test(key)) {
+    const issue = await Issue.findOne({ key });
+    if (issue) return { issue, alias: false };
+    return { issue: await Issue.findOne({ keyAliases: key }), alias: true };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(ref)) return null;
+  return { issue: await Issue.findById(ref), alias: false };
+};
+
+/**
+ * @function rekeyProjectIssues
+ * @description Re-key all issues of a project after its key changed, keeping their old keys as aliases.
+ * Call this only once the project has been saved with its new key, so a failed save leaves the issues alone.
+ * @param {Object} project - Project document, already saved with its new key
+ * @param {string|null} previousKey - The project's key before the change
+ * @returns {Promise<void>}
+ */
+const rekeyProjectIssues = async (project, previousKey) => {
+  if (!previousKey) return; // Issues of a project without a key have no keys to change
+
+  await Issue.updateMany({ project: project._id, key: { $ne: null } }, [
+    {
+      $set: {
+        keyAliases: { $concatArrays: [{ $ifNull: ['$keyAliases', []] }, ['$key']] },
+        key: { $concat: [project.key, '-', { $toString: '$number' }] },
+      },
+    },
+  ]);
+};
+
+module.exports = {
+  PROJECT_KEY_PATTERN,
+  ISSUE_KEY_PATTERN,
+  suggestProjectKey,
+  ensureProjectKey,
+  allocateIssueKey,
+  findIssueByRef,
+  rekeyProjectIssues,
+};
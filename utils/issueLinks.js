@@ -0,0 +1,171 @@
+// backend/utils/issueLinks.js
+
+const Issue = require('../models/Issue');
+const IssueLink = require('../models/IssueLink');
+const { RESOLVED_STATUSES } = require('./workflow');
+
+// Stored link types, with the relation name as seen from each end of the link.
+// A link reads "<source> <outward> <target>" and "<target> <inward> <source>".
+const LINK_TYPES = {
+  blocks: { outward: 'blocks', inward: 'is_blocked_by' },
+  duplicates: { outward: 'duplicates', inward: 'is_duplicated_by' },
+  relates_to: { outward: 'relates_to', inward: 'relates_to' },
+  parent_of: { outward: 'parent_of', inward: 'subtask_of' },
+};
+
+// Link types that must never form a cycle (A blocks B blocks A, or A being its own ancestor)
+const ACYCLIC_LINK_TYPES = ['blocks', 'parent_of'];
+
+// Every relation name a client can use when creating a link
+const LINK_RELATIONS = [...new Set(Object.values(LINK_TYPES).flatMap(t => [t.outward, t.inward]))];
+
+/**
+ * @function resolveLinkRelation
+ * @description Turn a relation name from the point of view of one issue into a stored link.
+ * For example "A is_blocked_by B" is stored as "B blocks A".
+ * @param {string} relation - Relation name (one of LINK_RELATIONS)
+ * @param {string} issueId - ID of the issue the relation is described from
+ * @param {string} otherId - ID of the other issue
+ * @returns {Object|null} `{ type, source, target }`, or null for unknown relations
+ */
+const resolveLinkRelation = (relation, issueId, otherId) => {
+  for (const [type, names] of Object.entries(LINK_TYPES)) {
+    if (names.outward === relation) return { type, source: issueId, target: otherId };
+    if (names.inward === relation) return { type, source: otherId, target: issueId };
+  }
+  return null;
+};
+
+/**
+ * @function isReachable
+ * @description Check whether `to` can be reached from `from` by following links of one type
+ * in their stored direction (breadth-first, one query per level).
+ * @param {string} type - Link type to follow
+ * @param {string} from - Issue ID to start from
+ * @param {string} to - Issue ID to look for
+ * @returns {Promise<boolean>}
+ */
+const isReachable = async (type, from, to) => {
+  const visited = new Set([from.toString()]);
+  let frontier = [from];
+
+  while (frontier.length > 0) {
+    const next = await IssueLink.find({ type, source: { $in: frontier } }).distinct('target');
+    frontier = [];
+    for (const id of next) {
+      const key = id.toString();
+      if (key === to.toString()) return true;
+      if (!visited.has(key)) {
+        visited.add(key);
+        frontier.push(id);
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * @function validateLink
+ * @description Check that a link can be created between two issues.
+ * Rejects duplicates, cycles of blocking or parent links, and sub-tasks with a second parent.
+ * @param {Object} link - `{ type, source, target }` as returned by `resolveLinkRelation`
+ * @returns {Promise<Object|null>} `{ statusCode, msg }` if invalid, otherwise null
+ */
+const validateLink = async ({ type, source, target }) => {
+  if (source.toString() === target.toString()) {
+    return { statusCode: 400, msg: 'An issue cannot be linked to itself' };
+  }
+
+  // relates_to reads the same both ways, so either direction counts as the same link
+  const existing = await IssueLink.findOne(type === 'relates_to'
+    ? { type, $or: [{ source, target }, { source: target, target: source }] }
+    : { type, source, target });
+  if (existing) {
+    return { statusCode: 409, msg: 'These issues are already linked this way' };
+  }
+
+  if (type === 'parent_of' && await IssueLink.exists({ type, target })) {
+    return { statusCode: 409, msg: 'The sub-task already has a parent issue' };
+  }
+
+  // Adding source -> target closes a cycle if target already leads back to source
+  if (ACYCLIC_LINK_TYPES.includes(type) && await isReachable(type, target, source)) {
+    return {
+      statusCode: 409,
+      msg: type === 'blocks'
+        ? 'This link would create a circular blocking dependency'
+        : 'This link would make an issue a sub-task of itself',
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @function describeLink
+ * @description Describe a link from the point of view of one of its issues.
+ * @param {Object} link - IssueLink document with `source` and `target` populated
+ * @param {string} issueId - ID of the issue the link is described from
+ * @returns {Object} `{ _id, relation, issue, createdBy, createdAt }` where `issue` is the other issue
+ */
+const describeLink = (link, issueId) => {
+  const outward = link.source._id.toString() === issueId.toString();
+  return {
+    _id: link._id,
+    relation: LINK_TYPES[link.type][outward ? 'outward' : 'inward'],
+    issue: outward ? link.target : link.source,
+    createdBy: link.createdBy,
+    createdAt: link.createdAt,
+  };
+};
+
+/**
+ * @function getLinkSummary
+ * @description Get all links of an issue, grouped by relation name.
+ * Linked issues in projects the user cannot access are left out.
+ * @param {string} issueId - Issue ID
+ * @param {Array|null} accessibleProjectIds - Project IDs the user can access (null for no restriction)
+ * @returns {Promise<Object>} e.g. `{ blocks: [...], subtask_of: [...] }` with entries from `describeLink`
+ */
+const getLinkSummary = async (issueId, accessibleProjectIds) => {
+  const links = await IssueLink.find({ $or: [{ source: issueId }, { target: issueId }] })
+    .sort({ createdAt: 1 })
+    .populate('source', 'key title status priority project')
+    .populate('target', 'key title status priority project');
+
+  const allowed = accessibleProjectIds && new Set(accessibleProjectIds.map(id => id.toString()));
+  const summary = {};
+
+  links.forEach(link => {
+    if (!link.source || !link.target) return; // The other issue no longer exists
+    const entry = describeLink(link, issueId);
+    if (allowed && !allowed.has(entry.issue.project.toString())) return;
+    (summary[entry.relation] = summary[entry.relation] || []).push(entry);
+  });
+
+  return summary;
+};
+
+/**
+ * @function getOpenSubtasks
+ * @description Get the sub-tasks of an issue that are not yet resolved or closed.
+ * @param {string} issueId - ID of the parent issue
+ * @returns {Promise<Array<Object>>} Issue documents (key, title and status only)
+ */
+const getOpenSubtasks = async (issueId) => {
+  const subtaskIds = await IssueLink.find({ type: 'parent_of', source: issueId }).distinct('target');
+  if (subtaskIds.length === 0) return [];
+
+  return Issue.find({ _id: { $in: subtaskIds }, status: { $nin: RESOLVED_STATUSES } }).select('key title status');
+};
+
+module.exports = {
+  LINK_TYPES,
+  LINK_RELATIONS,
+  resolveLinkRelation,
+  validateLink,
+  describeLink,
+  getLinkSummary,
+  getOpenSubtasks,
+};
@@ -0,0 +1,253 @@
+// backend/utils/issueUpdates.js
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const WorkLog = require('../models/WorkLog');
+const { snapshotIssue, diffIssue, recordIssueChanges } = require('./issueHistory');
+const { RESOLVED_STATUSES, getWorkflow, validateTransition } = require('./workflow');
+const { notifyMentions, notifyAssignment, notifyStatusChange } = require('./notifications');
+const { getOpenSubtasks } = require('./issueLinks');
+const { rankAtEnd } = require('./rank');
+const { allocateIssueKey } = require('./issueKeys');
+const { parseDuration } = require('./duration');
+
+/**
+ * @function validateLabels
+ * @description Check that every label ID belongs to the project's label set.
+ * @param {Object} project - Project document
+ * @param {Array} labels - Label IDs
+ * @returns {string|null} An error message, or null if all labels are valid
+ */
+const validateLabels = (project, labels) => {
+  if (!Array.isArray(labels)) return 'Labels must be an array of label IDs';
+  const unknown = labels.find(id => !mongoose.Types.ObjectId.isValid(id) || !project.labels.id(id));
+  return unknown !== undefined ? `Label ${unknown} does not exist in this project` : null;
+};
+
+/**
+ * @function checkStatusChange
+ * @description Check a status change against the project's workflow, and that a parent issue is only
+ * resolved or closed once all of its sub-tasks are.
+ * @param {Object} project - Project whose workflow applies
+ * @param {Object} issue - Issue document (with its current status)
+ * @param {string} status - New status
+ * @param {Object} user - User making the change
+ * @returns {Promise<Object|null>} `{ statusCode, body }` for the error response, or null if the change is allowed
+ */
+const checkStatusChange = async (project, issue, status, user) => {
+  const transitionError = validateTransition(project, issue.status, status, user);
+  if (transitionError) {
+    return {
+      statusCode: transitionError.statusCode,
+      body: { msg: transitionError.msg, allowedTransitions: transitionError.allowedTransitions },
+    };
+  }
+
+  if (RESOLVED_STATUSES.includes(status)) {
+    const openSubtasks = await getOpenSubtasks(issue._id);
+    if (openSubtasks.length > 0) {
+      return {
+        statusCode: 409,
+        body: { msg: `Cannot set status to '${status}' while ${openSubtasks.length} sub-task(s) are still open`, openSubtasks },
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @function canDeleteIssue
+ * @description Creators can delete their own issues, anyone else needs the 'issue:delete' permission.
+ * @param {Object} issue - Issue document
+ * @param {Object} project - Project the issue belongs to
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {boolean}
+ */
+const canDeleteIssue = (issue, project, user) =>
+  issue.createdBy.toString() === user.id || project.hasPermission(user, 'issue:delete');
+
+/**
+ * @function updateIssue
+ * @description Validate and apply an update to an issue, following the rules of PUT /api/issues/:id:
+ * workflow transitions, open sub-tasks, assignment and project-move permissions, and project labels.
+ * A moved issue gets a key in its new project (keeping the old one as an alias), loses its sprint
+ * and goes to the bottom of its board column. The changes are recorded in the issue history.
+ *
+ * The caller must already have checked that the user holds 'issue:update' in the issue's project.
+ * Notifications are not sent; call `notifyIssueUpdate` with the result once the update is final.
+ * @param {Object} issue - Issue document to update
+ * @param {Object} project - Project the issue currently belongs to
+ * @param {Object} update - Fields to change: title, description, status, priority, type, project, assignedTo, dueDate, labels,
+ * originalEstimate, remainingEstimate
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Validate and compute the changes without saving anything
+ * @returns {Promise<Object>} `{ issue, before, changes, targetProject }`, or `{ statusCode, body }` if the update is not allowed
+ */
+const updateIssue = async (issue, project, update, user, { dryRun = false } = {}) => {
+  const { title, description, status, priority, type, assignedTo, dueDate, labels } = update;
+  const projectId = update.project;
+
+  // Capture the current field values so the changes can be recorded in the issue history
+  const before = snapshotIssue(issue);
+
+  // Validate Project existence if 'project' field is being updated
+  if (projectId && !mongoose.Types.ObjectId.isValid(projectId)) {
+    return { statusCode: 400, body: { msg: 'Invalid Project ID format' } };
+  }
+
+  // The workflow of the project the issue will belong to after this update applies
+  const targetProject = projectId ? await Project.findById(projectId) : project;
+  if (!targetProject) {
+    return { statusCode: 404, body: { msg: 'Project not found' } };
+  }
+  if (projectId && !targetProject.hasPermission(user, 'issue:create')) {
+    return { statusCode: 403, body: { msg: 'Not authorized to move issues into this project' } };
+  }
+
+  // Reassigning requires the 'issue:assign' permission
+  const currentAssignee = issue.assignedTo ? issue.assignedTo.toString() : null;
+  if (assignedTo !== undefined && (assignedTo || null) !== currentAssignee && !project.hasPermission(user, 'issue:assign')) {
+    return { statusCode: 403, body: { msg: 'Not authorized to assign issues in this project' } };
+  }
+
+  // Validate the status change against the project's workflow
+  if (status && status !== issue.status) {
+    const statusError = await checkStatusChange(targetProject, issue, status, user);
+    if (statusError) return statusError;
+  } else if (projectId && !getWorkflow(targetProject).statuses.includes(issue.status)) {
+    // Moving to a project whose workflow doesn't know the current status
+    return {
+      statusCode: 422,
+      body: {
+        msg: `Status '${issue.status}' is not part of the target project's workflow`,
+        allowedTransitions: getWorkflow(targetProject).statuses,
+      },
+    };
+  }
+
+  // Labels must come from the label set of the project the issue will belong to
+  if (labels !== undefined) {
+    const labelError = validateLabels(targetProject, labels);
+    if (labelError) {
+      return { statusCode: 400, body: { msg: labelError } };
+    }
+  }
+
+  // Estimates are minutes or working time like '2d 4h'; null clears them
+  const estimates = {};
+  for (const field of ['originalEstimate', 'remainingEstimate']) {
+    if (update[field] === undefined) continue;
+    estimates[field] = update[field] === null ? null : parseDuration(update[field]);
+    if (estimates[field] === null && update[field] !== null) {
+      return { statusCode: 400, body: { msg: `Invalid ${field}; use minutes or a duration like '1d 4h 30m'` } };
+    }
+  }
+
+  // Validate AssignedTo User existence if 'assignedTo' field is being updated
+  if (assignedTo) {
+    if (!mongoose.Types.ObjectId.isValid(assignedTo)) {
+      return { statusCode: 400, body: { msg: 'Invalid Assigned To User ID format' } };
+    }
+    const existingUser = await User.findById(assignedTo);
+    if (!existingUser) {
+      return { statusCode: 404, body: { msg: 'Assigned user not found' } };
+    }
+  }
+
+  // Update fields if provided
+  issue.title = title || issue.title;
+  // Use !== undefined to allow description to be explicitly set to an empty string
+  issue.description = description !== undefined ? description : issue.description;
+  issue.status = status || issue.status;
+  issue.priority = priority || issue.priority;
+  issue.type = type || issue.type;
+  issue.project = projectId || issue.project;
+  // Handle assignedTo update, including setting to null (unassigning)
+  if (assignedTo !== undefined) issue.assignedTo = assignedTo || null;
+  // Use !== undefined to allow dueDate to be explicitly set to null
+  issue.dueDate = dueDate !== undefined ? dueDate : issue.dueDate;
+  // Labels belong to a project, so an issue moved elsewhere keeps only labels given for the new project
+  const movedProject = projectId && projectId.toString() !== project._id.toString();
+  if (labels !== undefined) {
+    issue.labels = labels;
+  } else if (movedProject) {
+    issue.labels = [];
+  }
+  // Sprints belong to a project too; a moved issue lands in the new project's backlog
+  if (movedProject) issue.sprint = null;
+  Object.entries(estimates).forEach(([field, value]) => issue.set(field, value));
+  // A first estimate is also what is left to do, unless told otherwise
+  if (estimates.originalEstimate != null && estimates.remainingEstimate === undefined && issue.remainingEstimate == null) {
+    issue.remainingEstimate = estimates.originalEstimate;
+  }
+
+  const changes = diffIssue(before, issue);
+
+  if (dryRun) {
+    // Catch invalid values (e.g. an unknown priority) that saving would reject
+    try {
+      await issue.validate();
+    } catch (err) {
+      if (err.name !== 'ValidationError') throw err;
+      return { statusCode: 400, body: { msg: Object.values(err.errors).map(val => val.message).join(', ') } };
+    }
+    return { issue, before, changes, targetProject };
+  }
+
+  // A moved issue is numbered in its new project; the old key stays valid as an alias
+  if (movedProject) {
+    const { number, key } = await allocateIssueKey(targetProject);
+    if (issue.key) issue.keyAliases.push(issue.key);
+    issue.number = number;
+    issue.key = key;
+  }
+  // An issue that changes board column goes to the bottom of its new column
+  if (movedProject || issue.status !== before.status) {
+    issue.rank = await rankAtEnd(issue.project, issue.status, issue._id);
+  }
+
+  // A new due date deserves a new reminder
+  if (changes.some(change => change.field === 'dueDate')) {
+    issue.dueReminderSentAt = null;
+  }
+
+  await issue.save(); // Save the updated issue
+  await recordIssueChanges(issue, changes, user.id); // Record who changed what
+  // Work logs follow their issue, so they show up in the new project's timesheets
+  if (movedProject) {
+    await WorkLog.updateMany({ issue: issue._id }, { $set: { project: issue.project } });
+  }
+
+  return { issue, before, changes, targetProject };
+};
+
+/**
+ * @function notifyIssueUpdate
+ * @description Notify newly mentioned members, the new assignee, and the creator and assignee of a
+ * status change about an update applied with `updateIssue`.
+ * @param {Object} result - Result of `updateIssue`
+ * @param {Object} actor - User who made the update
+ * @returns {Promise<void>}
+ */
+const notifyIssueUpdate = async ({ issue, before, changes, targetProject }, actor) => {
+  if (changes.some(change => change.field === 'description')) {
+    await notifyMentions({ text: issue.description, previousText: before.description, project: targetProject, issue, actor });
+  }
+  if (changes.some(change => change.field === 'assignedTo')) {
+    await notifyAssignment({ issue, actor });
+  }
+  if (changes.some(change => change.field === 'status')) {
+    await notifyStatusChange({ issue, oldStatus: before.status, actor });
+  }
+};
+
+module.exports = {
+  validateLabels,
+  checkStatusChange,
+  canDeleteIssue,
+  updateIssue,
+  notifyIssueUpdate,
+};
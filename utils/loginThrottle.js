@@ -0,0 +1,71 @@
+// backend/utils/loginThrottle.js
+
+const { getLoginLockout } = require('../config/rateLimits');
+const { getRateLimitStore } = require('./rateLimitStore');
+
+// Failed logins are counted per account and per IP address; a lock is a counter whose window is the lockout
+const failureKeys = (email, ip) => ({
+  account: `login:account:${String(email).trim().toLowerCase()}`,
+  ip: `login:ip:${ip}`,
+});
+const lockKey = (key) => `${key}:lock`;
+
+/**
+ * @function checkLoginLock
+ * @description Check whether logins for an account or from an IP address are locked after too many failures.
+ * @param {string} email - Email the login is for
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<number>} Seconds until logins are allowed again (0 if they are not locked)
+ */
+const checkLoginLock = async (email, ip) => {
+  const store = getRateLimitStore();
+  const keys = failureKeys(email, ip);
+  const locks = await Promise.all([store.get(lockKey(keys.account)), store.get(lockKey(keys.ip))]);
+
+  return locks.reduce((seconds, lock) => (
+    lock ? Math.max(seconds, Math.ceil((lock.resetAt.getTime() - Date.now()) / 1000)) : seconds
+  ), 0);
+};
+
+/**
+ * @function recordLoginFailure
+ * @description Count a failed login. Once an account or IP address reaches its limit, logins are locked;
+ * every further failure in the failure window doubles the lockout, up to the maximum.
+ * @param {string} email - Email the login was for
+ * @param {string} ip - IP address of the request
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (email, ip) => {
+  const store = getRateLimitStore();
+  const settings = getLoginLockout();
+  const keys = failureKeys(email, ip);
+
+  const limits = [[keys.account, settings.maxAccountFailures], [keys.ip, settings.maxIpFailures]];
+  for (const [key, maxFailures] of limits) {
+    const { count } = await store.increment(key, settings.failureWindowMinutes * 60 * 1000);
+    if (count < maxFailures) continue;
+
+    const minutes = Math.min(settings.lockoutMinutes * 2 ** (count - maxFailures), settings.maxLockoutMinutes);
+    await store.reset(lockKey(key));
+    await store.increment(lockKey(key), minutes * 60 * 1000);
+  }
+};
+
+/**
+ * @function clearLoginFailures
+ * @description Forget an account's failed logins after a successful login. Failures counted for the
+ * IP address are kept, so one known password cannot be used to keep guessing others.
+ * @param {string} email - Email of the account
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (email) => {
+  const store = getRateLimitStore();
+  const { account } = failureKeys(email, '');
+  await Promise.all([store.reset(account), store.reset(lockKey(account))]);
+};
+
+module.exports = {
+  checkLoginLock,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,43 @@
+// backend/utils/mentions.js
+
+const User = require('../models/User');
+
+// Matches @username where the @ is not part of a word or email address (e.g. not "me@example.com")
+const MENTION_PATTERN = /(^|[^\w@.])@([\w][\w.-]*)/g;
+
+/**
+ * @function extractMentions
+ * @description Find the unique usernames mentioned with `@username` in a piece of text.
+ * @param {string} text - Text to scan (comment content, issue description, ...)
+ * @returns {Array<string>} Mentioned usernames, without the leading @
+ */
+const extractMentions = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    usernames.add(match[2].replace(/[.-]+$/, '')); // Drop trailing punctuation ("@bob." -> "bob")
+  }
+  return [...usernames];
+};
+
+/**
+ * @function resolveMentions
+ * @description Resolve the mentions in a text to users who are members of the project.
+ * Mentions of unknown users or of users outside the project are ignored.
+ * @param {string} text - Text containing @mentions
+ * @param {Object} project - Project document the text belongs to
+ * @returns {Promise<Array<Object>>} Mentioned users who are project members
+ */
+const resolveMentions = async (text, project) => {
+  const usernames = extractMentions(text);
+  if (!usernames.length) return [];
+
+  const users = await User.find({ username: { $in: usernames } }).select('username email');
+  return users.filter(user => project.getMemberRole(user._id) !== null);
+};
+
+module.exports = {
+  extractMentions,
+  resolveMentions,
+};
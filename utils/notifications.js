@@ -0,0 +1,135 @@
+// backend/utils/notifications.js
+
+const Notification = require('../models/Notification');
+const { extractMentions, resolveMentions } = require('./mentions');
+const { dispatchNotifications } = require('../mail/dispatcher');
+
+// Compare IDs that may be ObjectIds, populated documents or strings
+const sameId = (a, b) => a && b && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * @function createNotifications
+ * @description Store notifications, skipping any addressed to the user who triggered them,
+ * and hand them to the mail dispatcher for email delivery in the background.
+ * Failures are logged rather than thrown so they never undo the change that caused them.
+ * @param {Array<Object>} notifications - Notification fields (recipient, actor, type, message, ...)
+ * @returns {Promise<Array>} The created notifications
+ */
+const createNotifications = async (notifications) => {
+  const toSend = notifications.filter(n => !sameId(n.recipient, n.actor));
+  if (!toSend.length) return [];
+
+  let created;
+  try {
+    created = await Notification.insertMany(toSend);
+  } catch (err) {
+    console.error('Error creating notifications:', err);
+    return [];
+  }
+
+  // Emails are queued in the background; don't make the request wait for them
+  dispatchNotifications(created).catch(err => console.error('Error dispatching notification emails:', err));
+  return created;
+};
+
+/**
+ * @function notifyMentions
+ * @description Notify project members newly mentioned in an issue description or comment.
+ * Users already mentioned in the previous version of the text are not notified again.
+ * @param {Object} options
+ * @param {string} options.text - Current text
+ * @param {string} [options.previousText] - Text before an edit, if any
+ * @param {Object} options.project - Project document the issue belongs to
+ * @param {Object} options.issue - Issue document
+ * @param {Object} [options.comment] - Comment document, when the mention is in a comment
+ * @param {Object} options.actor - User who wrote the text (req.user)
+ * @returns {Promise<Array>} The created notifications
+ */
+const notifyMentions = async ({ text, previousText, project, issue, comment = null, actor }) => {
+  const alreadyMentioned = extractMentions(previousText);
+  const mentioned = (await resolveMentions(text, project))
+    .filter(user => !alreadyMentioned.includes(user.username));
+
+  const where = comment ? `a comment on "${issue.title}"` : `"${issue.title}"`;
+  return createNotifications(mentioned.map(user => ({
+    recipient: user._id,
+    actor: actor._id,
+    type: 'mention',
+    issue: issue._id,
+    comment: comment ? comment._id : null,
+    project: project._id,
+    message: `${actor.username} mentioned you in ${where}`,
+  })));
+};
+
+/**
+ * @function notifyAssignment
+ * @description Notify a user that an issue has been assigned to them.
+ * @param {Object} options
+ * @param {Object} options.issue - Issue document (with the new assignee set)
+ * @param {Object} options.actor - User who made the assignment (req.user)
+ * @returns {Promise<Array>} The created notifications
+ */
+const notifyAssignment = async ({ issue, actor }) => {
+  if (!issue.assignedTo) return [];
+
+  return createNotifications([{
+    recipient: issue.assignedTo._id || issue.assignedTo,
+    actor: actor._id,
+    type: 'assignment',
+    issue: issue._id,
+    project: issue.project._id || issue.project,
+    message: `${actor.username} assigned you to "${issue.title}"`,
+  }]);
+};
+
+/**
+ * @function notifyStatusChange
+ * @description Notify the creator and assignee of an issue that its status changed.
+ * @param {Object} options
+ * @param {Object} options.issue - Issue document (with the new status set)
+ * @param {string} options.oldStatus - Status before the change
+ * @param {Object} options.actor - User who changed the status (req.user)
+ * @returns {Promise<Array>} The created notifications
+ */
+const notifyStatusChange = async ({ issue, oldStatus, actor }) => {
+  const recipients = [issue.createdBy, issue.assignedTo]
+    .filter(Boolean)
+    .map(user => (user._id || user).toString());
+
+  return createNotifications([...new Set(recipients)].map(recipient => ({
+    recipient,
+    actor: actor._id,
+    type: 'status_change',
+    issue: issue._id,
+    project: issue.project._id || issue.project,
+    message: `${actor.username} changed the status of "${issue.title}" from ${oldStatus} to ${issue.status}`,
+  })));
+};
+
+/**
+ * @function notifyDueSoon
+ * @description Remind the assignee of an issue that its due date is approaching.
+ * @param {Object} options
+ * @param {Object} options.issue - Issue document with an assignee and a due date
+ * @returns {Promise<Array>} The created notifications
+ */
+const notifyDueSoon = async ({ issue }) => {
+  if (!issue.assignedTo) return [];
+
+  return createNotifications([{
+    recipient: issue.assignedTo._id || issue.assignedTo,
+    type: 'due_date',
+    issue: issue._id,
+    project: issue.project._id || issue.project,
+    message: `"${issue.title}" is due on ${issue.dueDate.toISOString().slice(0, 10)}`,
+  }]);
+};
+
+module.exports = {
+  createNotifications,
+  notifyMentions,
+  notifyAssignment,
+  notifyStatusChange,
+  notifyDueSoon,
+};
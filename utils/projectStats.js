@@ -0,0 +1,283 @@
+// backend/utils/projectStats.js
+
+const Issue = require('../models/Issue');
+const IssueHistory = require('../models/IssueHistory');
+const User = require('../models/User');
+const { RESOLVED_STATUSES } = require('./workflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INTERVALS = { day: DAY_MS, week: 7 * DAY_MS };
+
+// Most data points a time series may have
+const MAX_BUCKETS = 366;
+// Range used when none is given
+const DEFAULT_RANGE_DAYS = 30;
+
+const ISSUE_PRIORITIES = Issue.schema.path('priority').enumValues;
+const ISSUE_TYPES = Issue.schema.path('type').enumValues;
+
+// Start of the UTC day or week (weeks start on Monday) containing a date
+const bucketStart = (date, interval) => {
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  if (interval === 'week') {
+    return new Date(day - ((new Date(day).getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  return new Date(day);
+};
+
+/**
+ * @function parseStatsRange
+ * @description Read the date range and interval of a statistics request.
+ * @param {Object} params - `{ from, to, interval }` query parameters; dates as ISO strings,
+ * `to` defaults to now and `from` to 30 days before `to`, `interval` is 'day' (default) or 'week'
+ * @returns {Object} `{ from, to, interval, buckets }` where `buckets` are the start dates of each
+ * interval, or `{ statusCode, msg }` if the parameters are invalid
+ */
+const parseStatsRange = ({ from, to, interval = 'day' }) => {
+  if (!INTERVALS[interval]) {
+    return { statusCode: 400, msg: `Interval must be one of: ${Object.keys(INTERVALS).join(', ')}` };
+  }
+
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { statusCode: 400, msg: "Invalid date in 'from' or 'to'; use ISO dates like 2024-05-01" };
+  }
+  if (start > end) {
+    return { statusCode: 400, msg: "'from' must be before 'to'" };
+  }
+
+  const buckets = [];
+  for (let time = bucketStart(start, interval).getTime(); time <= end.getTime(); time += INTERVALS[interval]) {
+    buckets.push(new Date(time));
+    if (buckets.length > MAX_BUCKETS) {
+      return { statusCode: 400, msg: `The range spans more than ${MAX_BUCKETS} ${interval}s; use a shorter range or a longer interval` };
+    }
+  }
+
+  return { from: start, to: end, interval, buckets };
+};
+
+// List `{ value, count }` entries in a fixed order, including values without issues
+const inOrder = (groups, values) => {
+  const counts = new Map(groups.map(group => [group._id, group.count]));
+  const extra = groups.map(group => group._id).filter(value => !values.includes(value));
+  return [...values, ...extra].map(value => ({ value, count: counts.get(value) || 0 }));
+};
+
+/**
+ * @function getIssueBreakdown
+ * @description Count a project's issues by status, priority, type and assignee, with open and overdue
+ * totals. Overdue issues have a due date in the past and are not resolved.
+ * @param {Object} project - Project document
+ * @param {Array<string>} statuses - Statuses of the project's workflow, in board order
+ * @returns {Promise<Object>} `{ totals, byStatus, byPriority, byType, byAssignee }`
+ */
+const getIssueBreakdown = async (project, statuses) => {
+  const now = new Date();
+  const isOpen = { $not: [{ $in: ['$status', RESOLVED_STATUSES] }] };
+  // $gt null is false for both missing and null due dates
+  const isOverdue = { $and: [isOpen, { $gt: ['$dueDate', null] }, { $lt: ['$dueDate', now] }] };
+  const countBy = field => [{ $group: { _id: field, count: { $sum: 1 } } }];
+
+  const [facets] = await Issue.aggregate([
+    { $match: { project: project._id } },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            open: { $sum: { $cond: [isOpen, 1, 0] } },
+            overdue: { $sum: { $cond: [isOverdue, 1, 0] } },
+          },
+        }],
+        byStatus: countBy('$status'),
+        byPriority: countBy('$priority'),
+        byType: countBy('$type'),
+        byAssignee: [
+          {
+            $group: {
+              _id: '$assignedTo',
+              total: { $sum: 1 },
+              open: { $sum: { $cond: [isOpen, 1, 0] } },
+              overdue: { $sum: { $cond: [isOverdue, 1, 0] } },
+            },
+          },
+          { $sort: { open: -1, total: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = facets.totals[0] || { total: 0, open: 0, overdue: 0 };
+  const users = await User.find({ _id: { $in: facets.byAssignee.map(group => group._id).filter(Boolean) } })
+    .select('username email');
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  return {
+    totals: { total: totals.total, open: totals.open, resolved: totals.total - totals.open, overdue: totals.overdue },
+    byStatus: inOrder(facets.byStatus, statuses).map(({ value, count }) => ({ status: value, count })),
+    byPriority: inOrder(facets.byPriority, ISSUE_PRIORITIES).map(({ value, count }) => ({ priority: value, count })),
+    byType: inOrder(facets.byType, ISSUE_TYPES).map(({ value, count }) => ({ type: value, count })),
+    // Unassigned issues have a null user
+    byAssignee: facets.byAssignee.map(group => ({
+      user: group._id ? usersById.get(group._id.toString()) || { _id: group._id } : null,
+      total: group.total,
+      open: group.open,
+      overdue: group.overdue,
+    })),
+  };
+};
+
+/**
+ * @function getCreatedVsResolved
+ * @description Count the issues created and resolved in each interval of the range.
+ * @param {ObjectId} projectId - Project ID
+ * @param {Object} range - Range from `parseStatsRange`
+ * @returns {Promise<Array<Object>>} `{ date, created, resolved }` per interval
+ */
+const getCreatedVsResolved = async (projectId, { from, to, interval, buckets }) => {
+  const countPer = field => Issue.aggregate([
+    { $match: { project: projectId, [field]: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: `$${field}`, unit: interval, timezone: 'UTC', ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) } },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const [created, resolved] = await Promise.all([countPer('createdAt'), countPer('resolvedAt')]);
+  const toMap = groups => new Map(groups.map(group => [group._id.getTime(), group.count]));
+  const createdCounts = toMap(created);
+  const resolvedCounts = toMap(resolved);
+
+  return buckets.map(date => ({
+    date,
+    created: createdCounts.get(date.getTime()) || 0,
+    resolved: resolvedCounts.get(date.getTime()) || 0,
+  }));
+};
+
+// Average and median of a list of durations in milliseconds, in hours
+const summarizeDurations = (durations) => {
+  if (durations.length === 0) return { count: 0, averageHours: null, medianHours: null };
+  const sorted = [...durations].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const toHours = ms => Math.round((ms / (60 * 60 * 1000)) * 10) / 10;
+  return {
+    count: sorted.length,
+    averageHours: toHours(sorted.reduce((sum, duration) => sum + duration, 0) / sorted.length),
+    medianHours: toHours(median),
+  };
+};
+
+/**
+ * @function getTimeToResolve
+ * @description Average and median time from creation to resolution of the issues resolved in the range,
+ * overall and per priority.
+ * @param {ObjectId} projectId - Project ID
+ * @param {Object} range - Range from `parseStatsRange`
+ * @returns {Promise<Object>} `{ count, averageHours, medianHours, byPriority }`
+ */
+const getTimeToResolve = async (projectId, { from, to }) => {
+  const groups = await Issue.aggregate([
+    { $match: { project: projectId, resolvedAt: { $gte: from, $lte: to } } },
+    { $group: { _id: '$priority', durations: { $push: { $max: [0, { $subtract: ['$resolvedAt', '$createdAt'] }] } } } },
+  ]);
+
+  const byPriority = new Map(groups.map(group => [group._id, group.durations]));
+  return {
+    ...summarizeDurations(groups.flatMap(group => group.durations)),
+    byPriority: ISSUE_PRIORITIES.map(priority => ({ priority, ...summarizeDurations(byPriority.get(priority) || []) })),
+  };
+};
+
+/**
+ * @function getCumulativeFlow
+ * @description Count the project's issues in each status at the end of every interval of the range,
+ * replaying each issue's status history in the database. Issues count from the moment they were created.
+ * @param {ObjectId} projectId - Project ID
+ * @param {Object} range - Range from `parseStatsRange`
+ * @param {Array<string>} statuses - Statuses of the project's workflow, in board order
+ * @returns {Promise<Object>} `{ statuses, series }` where each series entry is `{ date, counts }`
+ */
+const getCumulativeFlow = async (projectId, { to, interval, buckets }, statuses) => {
+  // Each interval is sampled at its end (or at the end of the range for the last one)
+  const samples = buckets.map(date => new Date(Math.min(date.getTime() + INTERVALS[interval] - 1, to.getTime())));
+
+  const groups = await Issue.aggregate([
+    { $match: { project: projectId, createdAt: { $lte: to } } },
+    {
+      $lookup: {
+        from: IssueHistory.collection.name,
+        let: { issueId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$issue', '$$issueId'] }, field: 'status' } },
+          { $sort: { createdAt: 1 } },
+          { $project: { _id: 0, oldValue: 1, newValue: 1, createdAt: 1 } },
+        ],
+        as: 'changes',
+      },
+    },
+    {
+      $project: {
+        // The issue's status at each sample (null before it was created): the last change made by then,
+        // otherwise the status before its first change, otherwise its current status
+        statusAt: {
+          $map: {
+            input: samples,
+            as: 'sample',
+            in: {
+              $cond: [
+                { $gt: ['$createdAt', '$$sample'] },
+                null,
+                {
+                  $let: {
+                    vars: { past: { $filter: { input: '$changes', cond: { $lte: ['$$this.createdAt', '$$sample'] } } } },
+                    in: {
+                      $cond: [
+                        { $gt: [{ $size: '$$past' }, 0] },
+                        { $last: '$$past.newValue' },
+                        { $ifNull: [{ $first: '$changes.oldValue' }, '$status'] },
+                      ],
+                    },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+    },
+    { $unwind: { path: '$statusAt', includeArrayIndex: 'sample' } },
+    { $match: { statusAt: { $ne: null } } },
+    { $group: { _id: { sample: '$sample', status: '$statusAt' }, count: { $sum: 1 } } },
+  ]);
+
+  // Statuses since removed from the workflow are still counted
+  const allStatuses = [...statuses];
+  groups.forEach(({ _id }) => {
+    if (!allStatuses.includes(_id.status)) allStatuses.push(_id.status);
+  });
+
+  const series = samples.map(() => Object.fromEntries(allStatuses.map(status => [status, 0])));
+  groups.forEach(({ _id, count }) => {
+    series[_id.sample][_id.status] = count;
+  });
+
+  return {
+    statuses: allStatuses,
+    series: buckets.map((date, index) => ({ date, counts: series[index] })),
+  };
+};
+
+module.exports = {
+  parseStatsRange,
+  getIssueBreakdown,
+  getCreatedVsResolved,
+  getTimeToResolve,
+  getCumulativeFlow,
+};
@@ -0,0 +1,194 @@
+// backend/utils/rank.js
+
+const mongoose = require('mongoose');
+const Issue = require('../models/Issue');
+
+// Lexicographic ranks order board cards by plain string comparison. A card can always be placed
+// between two others by generating a rank between theirs, so moving a card never renumbers the rest.
+// Generated ranks never end in the lowest digit, which guarantees there is always room in between.
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+// Repeated moves to the same spot make ranks longer; past this length the column is rebalanced
+const MAX_RANK_LENGTH = 24;
+
+/**
+ * @function rankBetween
+ * @description Generate a rank that sorts strictly between two ranks.
+ * @param {string|null} before - Rank to sort after (null for the start of the list)
+ * @param {string|null} after - Rank to sort before (null for the end of the list)
+ * @returns {string} The new rank
+ */
+const rankBetween = (before, after) => {
+  const lower = before || '';
+  let upper = after || null;
+  const appending = upper === null;
+
+  if (upper !== null && lower >= upper) {
+    throw new Error(`Cannot generate a rank between '${lower}' and '${upper}'`);
+  }
+
+  let rank = '';
+  for (let i = 0; ; i++) {
+    const lo = i < lower.length ? DIGITS.indexOf(lower[i]) : 0;
+    const hi = upper !== null && i < upper.length ? DIGITS.indexOf(upper[i]) : BASE;
+
+    if (hi - lo > 1) {
+      // Appending or prepending takes the smallest step so repeated moves to one end stay short;
+      // anything else takes the midpoint to leave the most room on both sides.
+      const atEnd = upper === null;
+      const atStart = i >= lower.length;
+      if (atEnd && !atStart) return rank + DIGITS[lo + 1];
+      if (atStart && !atEnd) return rank + DIGITS[hi - 1];
+      if (appending && i > 0) return rank + DIGITS[1]; // Ran past the end of the lower rank
+      return rank + DIGITS[Math.floor((lo + hi) / 2)]; // Including a new digit when there was no room
+    }
+
+    // No room at this position: keep the lower digit and look further along the string.
+    // Once the prefix is below the upper rank, the upper rank no longer limits later digits.
+    rank += DIGITS[lo];
+    if (lo < hi) upper = null;
+  }
+};
+
+/**
+ * @function spreadRanks
+ * @description Generate evenly spaced ranks of equal length for a column of cards, leaving room
+ * around each one.
+ * @param {number} count - Number of cards
+ * @returns {Array<string>} Ranks in ascending order
+ */
+const spreadRanks = (count) => {
+  // Shortest length that leaves at least BASE free ranks between neighbours
+  let length = 1;
+  while (BASE ** length < (count + 1) * BASE) length++;
+
+  const step = Math.floor(BASE ** length / (count + 1));
+  return Array.from({ length: count }, (_, index) => {
+    let value = (index + 1) * step;
+    if (value % BASE === 0) value++; // Never end in the lowest digit
+    let rank = '';
+    for (let i = 0; i < length; i++) {
+      rank = DIGITS[value % BASE] + rank;
+      value = Math.floor(value / BASE);
+    }
+    return rank;
+  });
+};
+
+/**
+ * @function rebalanceColumn
+ * @description Replace the ranks of a board column with short, evenly spaced ones, keeping the order.
+ * @param {string} projectId - Project ID
+ * @param {string} status - Status of the column
+ * @param {string} [excludeId] - Issue to leave out (e.g. the one being moved, which gets a new rank anyway)
+ * @returns {Promise<void>}
+ */
+const rebalanceColumn = async (projectId, status, excludeId) => {
+  const query = { project: projectId, status, rank: { $ne: null } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const issues = await Issue.find(query).sort({ rank: 1, _id: 1 }).select('_id');
+  const ranks = spreadRanks(issues.length);
+  await Issue.bulkWrite(issues.map((issue, index) => ({
+    updateOne: { filter: { _id: issue._id }, update: { $set: { rank: ranks[index] } } },
+  })));
+};
+
+/**
+ * @function rankAtEnd
+ * @description Get a rank that places an issue at the bottom of a board column.
+ * @param {string} projectId - Project ID
+ * @param {string} status - Status of the column
+ * @param {string} [excludeId] - Issue to ignore (e.g. the one being moved)
+ * @returns {Promise<string>}
+ */
+const rankAtEnd = async (projectId, status, excludeId) => {
+  const query = { project: projectId, status, rank: { $ne: null } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const last = await Issue.findOne(query).sort({ rank: -1 }).select('rank');
+  const rank = rankBetween(last ? last.rank : null, null);
+  if (rank.length <= MAX_RANK_LENGTH) return rank;
+
+  await rebalanceColumn(projectId, status, excludeId);
+  return rankAtEnd(projectId, status, excludeId);
+};
+
+/**
+ * @function ensureColumnRanks
+ * @description Give every unranked issue of a board column (e.g. issues created before ranking existed)
+ * a rank at the bottom of the column, oldest first, so cards can be placed relative to them.
+ * Used by scripts/backfillRanks.js, and before moving a card in case the migration has not run yet.
+ * @param {string} projectId - Project ID
+ * @param {string} status - Status of the column
+ * @returns {Promise<void>}
+ */
+const ensureColumnRanks = async (projectId, status) => {
+  const unranked = await Issue.find({ project: projectId, status, rank: null }).sort({ createdAt: 1 }).select('_id');
+  if (unranked.length === 0) return;
+
+  let rank = await rankAtEnd(projectId, status);
+  const operations = unranked.map((issue, index) => {
+    if (index > 0) rank = rankBetween(rank, null);
+    return { updateOne: { filter: { _id: issue._id, rank: null }, update: { $set: { rank } } } };
+  });
+
+  await Issue.bulkWrite(operations);
+};
+
+/**
+ * @function rankForPosition
+ * @description Work out the rank for placing an issue directly after or before another card of a column.
+ * Without either card the issue goes to the bottom of the column.
+ * @param {Object} issue - Issue being placed
+ * @param {string} status - Status of the target column
+ * @param {Object} position - `{ afterIssue, beforeIssue }` IDs of the neighbouring card (at most one)
+ * @returns {Promise<Object>} `{ rank }`, or `{ statusCode, msg }` if the position is invalid
+ */
+const rankForPosition = async (issue, status, { afterIssue, beforeIssue }) => {
+  if (afterIssue && beforeIssue) {
+    return { statusCode: 400, msg: 'Provide either afterIssue or beforeIssue, not both' };
+  }
+
+  const anchorId = afterIssue || beforeIssue;
+  if (!anchorId) {
+    return { rank: await rankAtEnd(issue.project, status, issue._id) };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(anchorId)) {
+    return { statusCode: 400, msg: 'Invalid Issue ID format' };
+  }
+  if (anchorId.toString() === issue._id.toString()) {
+    return { statusCode: 400, msg: 'An issue cannot be placed relative to itself' };
+  }
+
+  const column = { project: issue.project, status, _id: { $ne: issue._id } };
+  const anchor = await Issue.findOne({ ...column, _id: anchorId }).select('rank');
+  if (!anchor) {
+    return { statusCode: 404, msg: `Issue ${anchorId} is not in the '${status}' column of this project` };
+  }
+
+  // The neighbour on the other side of the anchor card
+  const neighbour = afterIssue
+    ? await Issue.findOne({ ...column, rank: { $gt: anchor.rank } }).sort({ rank: 1 }).select('rank')
+    : await Issue.findOne({ ...column, rank: { $lt: anchor.rank } }).sort({ rank: -1 }).select('rank');
+  const neighbourRank = neighbour ? neighbour.rank : null;
+
+  const rank = afterIssue ? rankBetween(anchor.rank, neighbourRank) : rankBetween(neighbourRank, anchor.rank);
+  if (rank.length <= MAX_RANK_LENGTH) return { rank };
+
+  // Out of room next to the anchor: respace the column, then place the card against the new ranks
+  await rebalanceColumn(issue.project, status, issue._id);
+  return rankForPosition(issue, status, { afterIssue, beforeIssue });
+};
+
+module.exports = {
+  MAX_RANK_LENGTH,
+  rankBetween,
+  spreadRanks,
+  rebalanceColumn,
+  rankAtEnd,
+  ensureColumnRanks,
+  rankForPosition,
+};
@@ -0,0 +1,96 @@
+// backend/utils/rateLimitStore.js
+
+/**
+ * @class MemoryStore
+ * @description Fixed-window hit counters kept in this process's memory. Counts are lost on restart and
+ * are not shared between server instances; use `setRateLimitStore` with a shared store (e.g. Redis)
+ * for those cases. Any store must implement the same three async methods.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.cleanupInterval=60000] - How often expired counters are dropped, in ms
+   */
+  constructor({ cleanupInterval = 60 * 1000 } = {}) {
+    this.hits = new Map();
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupInterval).unref();
+  }
+
+  /**
+   * @method increment
+   * @description Count a hit for a key. The window starts at the first hit and the count starts
+   * over once it has passed.
+   * @param {string} key - What is being counted (e.g. 'api:203.0.113.7')
+   * @param {number} windowMs - Length of the window in ms
+   * @returns {Promise<Object>} `{ count, resetAt }` after the hit
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  /**
+   * @method get
+   * @description Get the current count of a key without counting a hit.
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>} `{ count, resetAt }`, or null if there is no current window
+   */
+  async get(key) {
+    const entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= Date.now()) return null;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  /**
+   * @method reset
+   * @description Forget the count of a key.
+   * @param {string} key - Counter key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  // Drop counters whose window has passed, so memory does not grow with every client ever seen
+  cleanup() {
+    const now = Date.now();
+    this.hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    });
+  }
+}
+
+let store = null;
+
+/**
+ * @function getRateLimitStore
+ * @description Get the shared store used by rate limits and login lockouts (a MemoryStore by default).
+ * @returns {Object} Store with `increment`, `get` and `reset` methods
+ */
+const getRateLimitStore = () => {
+  if (!store) store = new MemoryStore();
+  return store;
+};
+
+/**
+ * @function setRateLimitStore
+ * @description Replace the store used by rate limits and login lockouts, e.g. with one backed by a
+ * shared database so limits hold across server instances.
+ * @param {Object} newStore - Object with the async `increment(key, windowMs)`, `get(key)` and `reset(key)`
+ * methods of MemoryStore
+ */
+const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  MemoryStore,
+  getRateLimitStore,
+  setRateLimitStore,
+};
@@ -0,0 +1,77 @@
+// backend/utils/search.js
+
+const escapeRegex = require('./escapeRegex');
+const { escapeHtml } = require('../mail/templates');
+
+// Characters of context shown on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * @function extractSearchTerms
+ * @description Get the words and "quoted phrases" of a search string that results should be
+ * highlighted for, following MongoDB $text syntax (terms prefixed with '-' are excluded).
+ * @param {string} search - Search string
+ * @returns {Array<string>}
+ */
+const extractSearchTerms = (search) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(search)) !== null) {
+    const [, phraseNegated, phrase, wordNegated, word] = match;
+    if (phrase && !phraseNegated) terms.push(phrase.trim());
+    if (word && !wordNegated) terms.push(word.replace(/[^\p{L}\p{N}_'-]/gu, ''));
+  }
+  return terms.filter(Boolean);
+};
+
+// Build a regex matching any of the terms. Text search matches word stems ("crash" finds "crashes"),
+// so single words match any word starting with a rough stem of the term.
+const buildTermPattern = (terms) => {
+  const alternatives = terms.map(term => {
+    if (/\s/.test(term)) return escapeRegex(term);
+    const stem = term.length > 4 ? term.replace(/(ing|ed|es|s)$/i, '') : term;
+    return `${escapeRegex(stem)}\\w*`;
+  });
+  return new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+};
+
+/**
+ * @function createHighlighter
+ * @description Create a function that turns a text into an HTML snippet around the first match of
+ * the search terms, with every match wrapped in <mark>. The rest of the text is HTML-escaped.
+ * @param {string} search - Search string
+ * @returns {Function} `(text) => string|null`, returning null when the text doesn't match
+ */
+const createHighlighter = (search) => {
+  const terms = extractSearchTerms(search);
+  if (terms.length === 0) return () => null;
+  const pattern = buildTermPattern(terms);
+
+  return (text) => {
+    if (!text) return null;
+    pattern.lastIndex = 0;
+    const first = pattern.exec(text);
+    if (!first) return null;
+
+    const start = Math.max(0, first.index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, first.index + first[0].length + SNIPPET_CONTEXT);
+    const excerpt = text.slice(start, end);
+
+    let html = '';
+    let last = 0;
+    excerpt.replace(pattern, (matched, offset) => {
+      html += `${escapeHtml(excerpt.slice(last, offset))}<mark>${escapeHtml(matched)}</mark>`;
+      last = offset + matched.length;
+      return matched;
+    });
+    html += escapeHtml(excerpt.slice(last));
+
+    return `${start > 0 ? '…' : ''}${html}${end < text.length ? '…' : ''}`;
+  };
+};
+
+module.exports = {
+  extractSearchTerms,
+  createHighlighter,
+};
@@ -0,0 +1,175 @@
+// backend/utils/sessions.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+// Refresh tokens already exchanged that are remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+// lastSeenAt is only written when it is older than this, so not every request writes to the database
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Lifetime of access tokens (a jsonwebtoken duration such as '15m') and of refresh tokens, in days
+const getAccessTokenExpire = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+const getRefreshTokenDays = () => parseFloat(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Describe the browser and operating system of a User-Agent header, e.g. 'Firefox on Windows'
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+  const systems = [['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && system) return `${browser[0]} on ${system[0]}`;
+  if (browser || system) return (browser || system)[0];
+  return userAgent ? userAgent.slice(0, 100) : 'Unknown device';
+};
+
+// Where a request comes from
+const describeClient = (req) => {
+  const userAgent = String(req.headers['user-agent'] || '').slice(0, 500);
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || null };
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+  expiresIn: getAccessTokenExpire(),
+});
+
+// A refresh token is the session ID and a random secret, so the session can be found without the secret
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * @function createSession
+ * @description Start a session for a user who just signed in.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for the device and IP address)
+ * @returns {Promise<Object>} `{ session, accessToken, refreshToken }`
+ */
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...describeClient(req),
+    expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000),
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, accessToken: signAccessToken(user._id, session._id), refreshToken };
+};
+
+/**
+ * @function rotateSession
+ * @description Exchange a refresh token for a new access token and a new refresh token. The old refresh
+ * token stops working; if it is ever presented again, the token must have been copied, so the whole
+ * session is revoked.
+ * @param {string} refreshToken - Refresh token issued by `createSession` or a previous rotation
+ * @param {Object} req - Express request (for the device and IP address)
+ * @returns {Promise<Object>} `{ session, accessToken, refreshToken }`, or `{ statusCode, msg }` if the
+ * token is not accepted
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { statusCode: 401, msg: 'Invalid refresh token' };
+  }
+
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+  const now = new Date();
+
+  // Only the current token of an active session can be exchanged, and only once
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        ...describeClient(req),
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + getRefreshTokenDays() * 24 * 60 * 60 * 1000),
+      },
+      $push: { previousTokenHashes: { $each: [hash], $slice: -MAX_PREVIOUS_TOKENS } },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ _id: sessionId, previousTokenHashes: hash });
+    if (reused) {
+      if (!reused.revokedAt) await revokeSession(reused._id, 'token_reuse');
+      return { statusCode: 401, msg: 'This refresh token was already used; the session has been revoked for safety. Please log in again.' };
+    }
+    return { statusCode: 401, msg: 'Invalid or expired refresh token' };
+  }
+
+  return { session, accessToken: signAccessToken(session.user, session._id), refreshToken: nextToken };
+};
+
+/**
+ * @function revokeSession
+ * @description End a session; its access and refresh tokens stop working immediately.
+ * @param {ObjectId} sessionId - Session ID
+ * @param {string} reason - Why the session ended (e.g. 'logout', 'revoked')
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (sessionId, reason) => {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+/**
+ * @function revokeUserSessions
+ * @description End all active sessions of a user.
+ * @param {ObjectId} userId - User ID
+ * @param {string} reason - Why the sessions ended (e.g. 'logout_all')
+ * @param {Object} [options]
+ * @param {ObjectId} [options.except] - Session to keep (e.g. the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+/**
+ * @function touchSession
+ * @description Record that a session was just used (at most once a minute).
+ * @param {Object} session - Session document
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session, req) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) return;
+  session.lastSeenAt = new Date();
+  await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: session.lastSeenAt, ip: req.ip || session.ip } });
+};
+
+/**
+ * @function getAuthCookieOptions
+ * @description Cookie options for the access token ('token') and refresh token ('refreshToken') cookies.
+ * The refresh token cookie is only sent to the auth routes.
+ * @param {string} name - 'token' or 'refreshToken'
+ * @param {boolean} [clear=false] - Options that make the browser drop the cookie
+ * @returns {Object}
+ */
+const getAuthCookieOptions = (name, clear = false) => ({
+  expires: clear ? new Date(Date.now() + 10 * 1000) : new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000),
+  httpOnly: true, // Prevents client-side JavaScript from accessing the cookie
+  secure: process.env.NODE_ENV === 'production', // Only send over HTTPS in production
+  sameSite: 'Lax',
+  path: name === 'refreshToken' ? '/api/auth' : '/',
+});
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  touchSession,
+  getAuthCookieOptions,
+};
@@ -0,0 +1,202 @@
+// backend/utils/workflow.js
+
+const Issue = require('../models/Issue');
+const Project = require('../models/Project');
+
+// All statuses an issue can have, as defined by the Issue model
+const ISSUE_STATUSES = Issue.schema.path('status').enumValues;
+
+// Statuses in which an issue counts as done (no longer needs work)
+const RESOLVED_STATUSES = ['Resolved', 'Closed'];
+
+// Roles a project member can hold, as defined by the Project model
+const MEMBER_ROLES = Project.schema.path('members').schema.path('role').enumValues;
+
+// Statuses of the workflow used by projects that have not defined their own
+const DEFAULT_STATUSES = ['Open', 'In Progress', 'Resolved', 'Closed', 'Reopened'];
+
+// Workflow used by projects that have not defined their own. It is permissive, as status changes were
+// before workflows existed: any member can move an issue between any two statuses, and board columns
+// have no WIP limits. Projects opt into restrictions by defining their own workflow.
+const DEFAULT_WORKFLOW = {
+  initialStatus: 'Open',
+  statuses: DEFAULT_STATUSES,
+  transitions: DEFAULT_STATUSES.flatMap(from => DEFAULT_STATUSES
+    .filter(to => to !== from)
+    .map(to => ({ from, to, roles: [] }))),
+  wipLimits: {},
+};
+
+/**
+ * @function getWorkflow
+ * @description Get the effective workflow of a project, falling back to the default workflow.
+ * @param {Object} project - Project document
+ * @returns {Object} `{ initialStatus, statuses, transitions, wipLimits }`
+ */
+const getWorkflow = (project) => {
+  const workflow = project && project.workflow;
+  if (!workflow || !workflow.statuses || workflow.statuses.length === 0) {
+    return DEFAULT_WORKFLOW;
+  }
+
+  return {
+    initialStatus: workflow.initialStatus || workflow.statuses[0],
+    statuses: [...workflow.statuses],
+    transitions: (workflow.transitions || []).map(t => ({ from: t.from, to: t.to, roles: [...(t.roles || [])] })),
+    wipLimits: workflow.wipLimits ? Object.fromEntries(workflow.wipLimits) : {},
+  };
+};
+
+/**
+ * @function getAvailableTransitions
+ * @description List the transitions a user may perform from a given status.
+ * Global admins may perform every transition defined by the workflow.
+ * @param {Object} project - Project document the issue belongs to
+ * @param {string} fromStatus - Current status of the issue
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Array<Object>} List of `{ to, roles }` transitions
+ */
+const getAvailableTransitions = (project, fromStatus, user) => {
+  const workflow = getWorkflow(project);
+  const role = project.getMemberRole(user.id);
+  const isAdmin = user.role === 'admin';
+
+  return workflow.transitions
+    .filter(t => t.from === fromStatus)
+    .filter(t => isAdmin || t.roles.length === 0 || t.roles.includes(role))
+    .map(t => ({ to: t.to, roles: t.roles }));
+};
+
+/**
+ * @function validateInitialStatus
+ * @description Check that a new issue starts in the project's initial status.
+ * @param {Object} project - Project document
+ * @param {string} [status] - Requested status (defaults to the initial status)
+ * @returns {Object|null} `{ statusCode, msg, allowedTransitions }` if invalid, otherwise null
+ */
+const validateInitialStatus = (project, status) => {
+  const workflow = getWorkflow(project);
+  if (!status || status === workflow.initialStatus) return null;
+
+  return {
+    statusCode: workflow.statuses.includes(status) ? 409 : 422,
+    msg: `New issues in this project must start in status '${workflow.initialStatus}'`,
+    allowedTransitions: [workflow.initialStatus],
+  };
+};
+
+/**
+ * @function validateTransition
+ * @description Check that a user may move an issue from one status to another.
+ * Returns 422 for statuses unknown to the workflow and 409 for transitions that are not allowed.
+ * @param {Object} project - Project document the issue belongs to
+ * @param {string} fromStatus - Current status of the issue
+ * @param {string} toStatus - Requested status
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object|null} `{ statusCode, msg, allowedTransitions }` if invalid, otherwise null
+ */
+const validateTransition = (project, fromStatus, toStatus, user) => {
+  if (fromStatus === toStatus) return null;
+
+  const workflow = getWorkflow(project);
+  const allowedTransitions = getAvailableTransitions(project, fromStatus, user).map(t => t.to);
+
+  if (!workflow.statuses.includes(toStatus)) {
+    return {
+      statusCode: 422,
+      msg: `Status '${toStatus}' is not part of this project's workflow`,
+      allowedTransitions,
+    };
+  }
+
+  if (!allowedTransitions.includes(toStatus)) {
+    return {
+      statusCode: 409,
+      msg: `Cannot change status from '${fromStatus}' to '${toStatus}'`,
+      allowedTransitions,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @function validateWorkflowDefinition
+ * @description Validate a workflow definition submitted for a project.
+ * @param {Object} workflow - `{ initialStatus, statuses, transitions, wipLimits }`
+ * @returns {string|null} Error message if invalid, otherwise null
+ */
+const validateWorkflowDefinition = ({ initialStatus, statuses, transitions, wipLimits }) => {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return 'Workflow must define at least one status';
+  }
+  const unknownStatus = statuses.find(status => !ISSUE_STATUSES.includes(status));
+  if (unknownStatus) {
+    return `Unknown status '${unknownStatus}'. Allowed statuses: ${ISSUE_STATUSES.join(', ')}`;
+  }
+  if (new Set(statuses).size !== statuses.length) {
+    return 'Workflow statuses must be unique';
+  }
+  if (initialStatus && !statuses.includes(initialStatus)) {
+    return `Initial status '${initialStatus}' is not one of the workflow statuses`;
+  }
+
+  if (transitions !== undefined && !Array.isArray(transitions)) {
+    return 'Workflow transitions must be an array';
+  }
+  for (const transition of transitions || []) {
+    if (!transition || !statuses.includes(transition.from) || !statuses.includes(transition.to)) {
+      return `Invalid transition from '${transition && transition.from}' to '${transition && transition.to}'`;
+    }
+    if (transition.from === transition.to) {
+      return `Transition from '${transition.from}' to itself is not allowed`;
+    }
+    const unknownRole = (transition.roles || []).find(role => !MEMBER_ROLES.includes(role));
+    if (unknownRole) {
+      return `Unknown project role '${unknownRole}'. Allowed roles: ${MEMBER_ROLES.join(', ')}`;
+    }
+  }
+
+  if (wipLimits !== undefined && (!wipLimits || typeof wipLimits !== 'object' || Array.isArray(wipLimits))) {
+    return 'WIP limits must be an object mapping statuses to limits';
+  }
+  for (const [status, limit] of Object.entries(wipLimits || {})) {
+    if (!statuses.includes(status)) {
+      return `WIP limit given for status '${status}', which is not one of the workflow statuses`;
+    }
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      return `WIP limit for '${status}' must be a positive whole number (or null for no limit)`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @function findStrandedStatuses
+ * @description Find the statuses issues of a project are in that a new workflow would not contain.
+ * Such issues could neither be shown on the board nor moved, so the workflow must keep those statuses.
+ * @param {ObjectId} projectId - Project ID
+ * @param {Array<string>} statuses - Statuses of the new workflow
+ * @returns {Promise<Array<Object>>} `{ status, count }` for each status still in use that would be removed
+ */
+const findStrandedStatuses = async (projectId, statuses) => {
+  const groups = await Issue.aggregate([
+    { $match: { project: projectId, status: { $nin: statuses } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  return groups.map(group => ({ status: group._id, count: group.count }));
+};
+
+module.exports = {
+  ISSUE_STATUSES,
+  RESOLVED_STATUSES,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  getAvailableTransitions,
+  validateInitialStatus,
+  validateTransition,
+  validateWorkflowDefinition,
+  findStrandedStatuses,
+};
@@ -0,0 +1,116 @@
+// backend/utils/worklogs.js
+
+const Issue = require('../models/Issue');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const WorkLog = require('../models/WorkLog');
+const { parseDuration } = require('./duration');
+
+// How logging work changes the remaining estimate
+const ESTIMATE_ADJUSTMENTS = ['auto', 'leave', 'new'];
+
+/**
+ * @function parseEstimateAdjustment
+ * @description Read how a work log change should adjust the issue's remaining estimate:
+ * 'auto' (default) reduces it by the time logged (and gives it back when a log shrinks or is deleted),
+ * 'leave' keeps it, and 'new' sets it to `remainingEstimate`.
+ * @param {Object} body - `{ adjustEstimate, remainingEstimate }` from the request body
+ * @returns {Object} `{ mode, remaining }`, or `{ statusCode, msg }` if invalid
+ */
+const parseEstimateAdjustment = ({ adjustEstimate = 'auto', remainingEstimate }) => {
+  if (!ESTIMATE_ADJUSTMENTS.includes(adjustEstimate)) {
+    return { statusCode: 400, msg: `adjustEstimate must be one of: ${ESTIMATE_ADJUSTMENTS.join(', ')}` };
+  }
+  if (adjustEstimate !== 'new') return { mode: adjustEstimate };
+
+  const remaining = parseDuration(remainingEstimate);
+  if (remaining === null) {
+    return { statusCode: 400, msg: "Please provide the new remainingEstimate in minutes or as a duration like '1d 4h'" };
+  }
+  return { mode: 'new', remaining };
+};
+
+/**
+ * @function adjustIssueTime
+ * @description Add logged time to an issue's time spent and adjust its remaining estimate, in one atomic update.
+ * @param {ObjectId} issueId - Issue ID
+ * @param {number} spentDelta - Minutes added to the time spent (negative when time is removed)
+ * @param {Object} adjustment - Result of `parseEstimateAdjustment`
+ * @returns {Promise<Object>} The issue's `{ originalEstimate, remainingEstimate, timeSpent }` after the update
+ */
+const adjustIssueTime = async (issueId, spentDelta, adjustment) => {
+  const set = {
+    timeSpent: { $max: [0, { $add: [{ $ifNull: ['$timeSpent', 0] }, spentDelta] }] },
+    updatedAt: '$$NOW',
+  };
+  if (adjustment.mode === 'auto') {
+    // Issues without an estimate stay without one
+    set.remainingEstimate = {
+      $cond: [
+        { $eq: [{ $ifNull: ['$remainingEstimate', null] }, null] },
+        null,
+        { $max: [0, { $subtract: ['$remainingEstimate', spentDelta] }] },
+      ],
+    };
+  } else if (adjustment.mode === 'new') {
+    set.remainingEstimate = { $literal: adjustment.remaining };
+  }
+
+  return Issue.findByIdAndUpdate(issueId, [{ $set: set }], { new: true })
+    .select('originalEstimate remainingEstimate timeSpent');
+};
+
+/**
+ * @function buildTimesheet
+ * @description Total the logged minutes of matching work logs per row (user, issue or project) and per day.
+ * @param {Object} match - Work log filter (e.g. `{ project }` or `{ user }`)
+ * @param {string} groupBy - Work log field the rows are made of: 'user', 'issue' or 'project'
+ * @param {Object} range - Day range from `parseStatsRange` (`from`, `to` and day `buckets`)
+ * @returns {Promise<Object>} `{ days, totalMinutes, rows }`, each row `{ user|issue|project, totalMinutes, days }`
+ * with the minutes per day ('YYYY-MM-DD', UTC)
+ */
+const buildTimesheet = async (match, groupBy, { to, buckets }) => {
+  const groups = await WorkLog.aggregate([
+    { $match: { ...match, date: { $gte: buckets[0], $lte: to } } },
+    {
+      $group: {
+        _id: { row: `$${groupBy}`, day: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: 'UTC' } } },
+        minutes: { $sum: '$duration' },
+      },
+    },
+  ]);
+
+  const rows = new Map();
+  groups.forEach(({ _id, minutes }) => {
+    const id = _id.row.toString();
+    if (!rows.has(id)) rows.set(id, { id: _id.row, totalMinutes: 0, days: {} });
+    const row = rows.get(id);
+    row.days[_id.day] = minutes;
+    row.totalMinutes += minutes;
+  });
+
+  // Show who or what each row is about
+  const ids = [...rows.values()].map(row => row.id);
+  const lookups = {
+    user: () => User.find({ _id: { $in: ids } }).select('username email'),
+    issue: () => Issue.find({ _id: { $in: ids } }).select('key title project').populate('project', 'name key'),
+    project: () => Project.find({ _id: { $in: ids } }).select('name key'),
+  };
+  const documents = new Map((await lookups[groupBy]()).map(doc => [doc.id, doc]));
+
+  const sortedRows = [...rows.values()]
+    .sort((a, b) => b.totalMinutes - a.totalMinutes)
+    .map(({ id, totalMinutes, days }) => ({ [groupBy]: documents.get(id.toString()) || { _id: id }, totalMinutes, days }));
+
+  return {
+    days: buckets.map(date => date.toISOString().slice(0, 10)),
+    totalMinutes: sortedRows.reduce((sum, row) => sum + row.totalMinutes, 0),
+    rows: sortedRows,
+  };
+};
+
+module.exports = {
+  parseEstimateAdjustment,
+  adjustIssueTime,
+  buildTimesheet,
+};